@@ -1,24 +1,850 @@
 // ✅ Load Dependencies
 const express = require('express');
 const cors = require('cors');
-const { MongoClient, ServerApiVersion, ObjectId } = require('mongodb');
+const { MongoClient, ServerApiVersion, ObjectId, BSON } = require('mongodb');
 require('dotenv').config();
 const jwt = require('jsonwebtoken');
 const cookieParser = require('cookie-parser');
+const crypto = require('crypto');
+const fs = require('fs');
+const { EventEmitter } = require('events');
 const stripe = require('stripe')(process.env.STRIPE_SECRETE); 
 
+// ✅ Firebase ID token verification
+// Google's signing certificates ({ kid: pem }) are configured locally through
+// FIREBASE_PUBLIC_KEYS (JSON) or FIREBASE_PUBLIC_KEYS_FILE, so sign-in makes no outbound request
+let firebaseKeys;
+const getFirebaseKeys = () => {
+    if (!firebaseKeys) {
+        const raw = process.env.FIREBASE_PUBLIC_KEYS_FILE
+            ? fs.readFileSync(process.env.FIREBASE_PUBLIC_KEYS_FILE, 'utf8')
+            : process.env.FIREBASE_PUBLIC_KEYS;
+        firebaseKeys = raw ? JSON.parse(raw) : {};
+    }
+    return firebaseKeys;
+};
+
+// Returns the token payload, or throws if the token was not issued for our Firebase project
+// or its email address is unverified
+const verifyFirebaseIdToken = (idToken) => {
+    const projectId = process.env.FIREBASE_PROJECT_ID;
+    const header = jwt.decode(idToken, { complete: true })?.header;
+    const key = header && getFirebaseKeys()[header.kid];
+    if (!projectId || !key) {
+        throw new Error('Unknown signing key');
+    }
+    const payload = jwt.verify(idToken, key, {
+        algorithms: ['RS256'],
+        audience: projectId,
+        issuer: `https://securetoken.google.com/${projectId}`,
+    });
+    if (!payload.sub || !payload.email) {
+        throw new Error('Token has no subject or email');
+    }
+    // Anyone can create a Firebase account for an address they don't own; only a verified
+    // address may stand for the account that uses it
+    if (payload.email_verified !== true) {
+        throw new Error('Email address is not verified');
+    }
+    return payload;
+};
+
 // ✅ Setup Express
 const app = express();
 const port = process.env.PORT || 5000;
+const MAX_COMMENT_DEPTH = 3;
+const MAX_SEARCH_LENGTH = 200;
+const EDITABLE_POST_FIELDS = ['title', 'description', 'tag'];
+
+// Server-defined membership price (in cents); the client never chooses the amount
+const MEMBERSHIP_PRICE = {
+    amount: parseInt(process.env.MEMBERSHIP_PRICE_CENTS) || 1000,
+    currency: 'usd',
+};
+const MEMBERSHIP_POST_BONUS = 5;
+const NON_MEMBER_POST_LIMIT = 5;
+
+// Recurring plans map to Stripe Price ids
+const SUBSCRIPTION_PLANS = {
+    monthly: process.env.STRIPE_PRICE_MONTHLY,
+    yearly: process.env.STRIPE_PRICE_YEARLY,
+};
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:5173';
+// Public address of this API, for links in emails
+const API_URL = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60; // 15 minutes
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// Report categories and their severity weight; a case's severity is its highest category
+const REPORT_CATEGORIES = {
+    spam: 1,
+    off_topic: 1,
+    other: 1,
+    misinformation: 2,
+    harassment: 3,
+    hate_speech: 4,
+    violence: 4,
+};
+const ACTIVE_REPORT_STATUSES = ['open', 'in_review'];
+const REPORT_STATUSES = [...ACTIVE_REPORT_STATUSES, 'resolved', 'dismissed'];
+// What a reporter sees of a case: who was reported, who handles it and who closed it stay with admins
+const REPORTER_CASE_PROJECTION = { reporters: 0, targetAuthorEmail: 0, assignee: 0, resolvedBy: 0 };
+
+const WARNINGS_BEFORE_SUSPENSION = 3;
+const AUTO_SUSPENSION_DAYS = 7;
+
+// Notification types users can mute; 'moderation' notices are always delivered
+const NOTIFICATION_PREF_TYPES = ['comment', 'reply', 'mention', 'vote', 'follow', 'announcement', 'report'];
+const NOTIFICATION_TYPES = [...NOTIFICATION_PREF_TYPES, 'moderation'];
+const NOTIFICATION_ACTOR_SAMPLE = 5; // most recent actors kept on a grouped notification
+const NOTIFICATION_RETENTION_DAYS = 90; // read notifications are removed after this
+const MAX_MENTIONS_PER_COMMENT = 10;
+
+const REALTIME_HEARTBEAT_MS = 25 * 1000;
+const MAX_STREAM_TOPICS = 20;
+
+// Reputation points per event
+const REPUTATION_POINTS = {
+    upvoteReceived: 10,
+    downvoteReceived: -2,
+    commentAccepted: 15,
+    membershipBadge: 50, // once per account
+    warning: -50,
+    suspension: -100,
+    commentRemoved: -20,
+};
+const LEADERBOARD_WINDOWS = ['all', 'month', 'week'];
+const MAX_LEADERBOARD_SIZE = 100;
+
+// Fields anyone may see on another user's profile; everything else goes only to the owner and admins
+const PUBLIC_USER_PROJECTION = {
+    _id: 0, username: 1, name: 1, image: 1, bio: 1, badges: 1, memberShip: 1, reputation: 1, createdAt: 1,
+    followerCount: 1, followingCount: 1,
+};
+const PROFILE_RECENT_POSTS = 5;
+
+// Screening of new posts and comments; anything flagged waits in the review queue
+const CONTENT_FILTER = {
+    maxLinks: { post: 5, comment: 2 },
+    newAccountMs: 24 * 60 * 60 * 1000, // accounts younger than this are "new"
+    newAccountDailyLimit: { post: 2, comment: 10 },
+    duplicateWindowMs: 24 * 60 * 60 * 1000,
+    duplicateAuthors: 3, // the same text from this many accounts in the window is spam
+};
+const BANNED_WORDS_CACHE_MS = 60 * 1000;
+
+// Hot ranking, as on Hacker News: (votes + commentWeight * comments) / (ageHours + 2) ^ gravity.
+// Only posts younger than windowDays are scored; older ones rank by 0 (then newest first).
+const HOT_RANKING = { commentWeight: 0.5, gravity: 1.8, windowDays: 7 };
+// Trending tags weigh recent searches and new posts; each hour's activity counts half as much
+// every halfLifeHours
+const TRENDING_WINDOWS = {
+    day: { hours: 24, halfLifeHours: 6 },
+    week: { hours: 7 * 24, halfLifeHours: 48 },
+};
+const TRENDING_WEIGHTS = { search: 1, post: 3 };
+const MAX_TRENDING_TAGS = 50;
+// Hot scores and trending tags are recomputed by the /cron/rankings job (every 5 minutes, see
+// vercel.json). The lease keeps overlapping runs from doing the work twice.
+const RANKING_LEASE_MS = 4 * 60 * 1000;
+
+// Admin analytics: series are bucketed by UTC day, ISO week (starting Monday) or calendar month
+const ANALYTICS_INTERVALS = ['day', 'week', 'month'];
+const ANALYTICS_DEFAULT_DAYS = 30;
+const ANALYTICS_MAX_BUCKETS = 366;
+const MAX_ANALYTICS_TOP_TAGS = 50;
+
+// Newsletter subscribers are pending until they confirm, then active until they unsubscribe
+const NEWSLETTER_STATUSES = ['pending', 'active', 'unsubscribed'];
+const NEWSLETTER_TOPICS = ['digest', 'announcements', 'product'];
+const NEWSLETTER_CONFIRM_TTL_SECONDS = 48 * 60 * 60;
+const MAX_DIGEST_POSTS = 50;
+const NEWSLETTER_SEND_BATCH = 100; // recipients mailed per request; the rest wait for the next send call
+
+// Posts and comments awaiting review or rejected by a moderator are hidden from public reads.
+// Documents without moderationStatus predate screening and are published.
+const PUBLISHED_FILTER = { moderationStatus: { $nin: ['pending', 'rejected'] } };
+
+// Announcements are live from publishAt (or creation) until expiresAt; both are optional
+const ANNOUNCEMENT_SEVERITIES = ['info', 'warning', 'critical'];
+const activeAnnouncementFilter = (now = new Date()) => ({
+    $and: [
+        { $or: [{ publishAt: null }, { publishAt: { $lte: now } }] },
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+    ]
+});
+// The same check for a single loaded announcement
+const isAnnouncementActive = ({ publishAt, expiresAt }, now = new Date()) =>
+    (!publishAt || publishAt <= now) && (!expiresAt || expiresAt > now);
+
+// Escape user input before embedding it in a RegExp
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// URL-safe tag identifier: 'Node.js & Express' -> 'node-js-express', 'C++' -> 'c-plus-plus'
+const slugify = (value) => String(value)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\+/g, '-plus-')
+    .replace(/#/g, '-sharp-')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+// Reputation counter buckets for a moment: all-time, its UTC month ('2026-10') and ISO week ('2026-W42')
+const reputationPeriods = (date = new Date()) => {
+    const thursday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    thursday.setUTCDate(thursday.getUTCDate() + 4 - (thursday.getUTCDay() || 7)); // the week's Thursday fixes its ISO year
+    const week = Math.ceil(((thursday - Date.UTC(thursday.getUTCFullYear(), 0, 1)) / 86400000 + 1) / 7);
+    return {
+        all: 'all',
+        month: `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`,
+        week: `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`,
+    };
+};
+
+// Posts and comments are plain text: drop script-like blocks with their content, then any other tags
+const sanitizeText = (value) => String(value)
+    .replace(/<(script|style|iframe|object|embed)\b[\s\S]*?(<\/\1\s*>|$)/gi, '')
+    .replace(/<\/?[a-z!][^>]*>/gi, '')
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g, '')
+    .trim();
+
+// Start of the UTC day, ISO week or month containing `date`
+const truncateDate = (date, interval) => {
+    const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), interval === 'month' ? 1 : date.getUTCDate()));
+    if (interval === 'week') start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    return start;
+};
+
+// Every bucket start from the one containing `from` through the one containing `to`
+const analyticsBuckets = (from, to, interval) => {
+    const buckets = [];
+    for (let start = truncateDate(from, interval); start <= to;) {
+        buckets.push(start);
+        start = new Date(start);
+        if (interval === 'month') start.setUTCMonth(start.getUTCMonth() + 1);
+        else start.setUTCDate(start.getUTCDate() + (interval === 'week' ? 7 : 1));
+    }
+    return buckets;
+};
+
+// Serialize one CSV line, quoting every field
+const toCsvRow = (values) => values
+    .map(value => `"${String(value ?? '').replace(/"/g, '""')}"`)
+    .join(',') + '\n';
+
+// ✅ Errors
+// Handlers throw these (or pass them to next); the error middleware registered after
+// the routes turns them into { message, code, requestId, ...details } with the given status.
+// `code` is a stable machine-readable identifier clients can branch on.
+class ApiError extends Error {
+    constructor(status, message, code, details) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+class BadRequestError extends ApiError {
+    constructor(message = 'Bad request', code = 'bad_request', details) {
+        super(400, message, code, details);
+    }
+}
+class ValidationError extends ApiError {
+    constructor(errors) {
+        super(400, 'Validation failed', 'validation_failed', { errors });
+    }
+}
+class UnauthorizedError extends ApiError {
+    constructor(message = 'Unauthorized access', code = 'unauthorized', details) {
+        super(401, message, code, details);
+    }
+}
+class ForbiddenError extends ApiError {
+    constructor(message = 'Forbidden', code = 'forbidden', details) {
+        super(403, message, code, details);
+    }
+}
+class NotFoundError extends ApiError {
+    constructor(message = 'Not found', code = 'not_found', details) {
+        super(404, message, code, details);
+    }
+}
+class ConflictError extends ApiError {
+    constructor(message = 'Conflict', code = 'conflict', details) {
+        super(409, message, code, details);
+    }
+}
+class GoneError extends ApiError {
+    constructor(message = 'Gone', code = 'gone', details) {
+        super(410, message, code, details);
+    }
+}
+class TooManyRequestsError extends ApiError {
+    constructor(message = 'Too many requests', code = 'rate_limited', details) {
+        super(429, message, code, details);
+    }
+}
+
+class ServiceUnavailableError extends ApiError {
+    constructor(message = 'Service unavailable', code = 'service_unavailable', details) {
+        super(503, message, code, details);
+    }
+}
+
+// Map anything thrown by a handler, the body parser or the driver to an ApiError
+const toApiError = (err) => {
+    if (err instanceof ApiError) return err;
+    if (err.type === 'entity.parse.failed') return new BadRequestError('Malformed JSON body', 'invalid_json');
+    if (err.name === 'BSONError') return new BadRequestError('Invalid id', 'invalid_id');
+    if (err.code === 11000) return new ConflictError('Duplicate value', 'duplicate');
+    if (err.expose && err.status >= 400 && err.status < 500) return new ApiError(err.status, err.message, 'bad_request');
+    return new ApiError(500, 'Internal Server Error', 'internal_error');
+};
+
+// Parse a route/query id, rejecting malformed values with a 400
+const parseObjectId = (value, label = 'id') => {
+    if (typeof value !== 'string' || !OBJECT_ID_PATTERN.test(value)) {
+        throw new BadRequestError(`Invalid ${label}`, 'invalid_id');
+    }
+    return new ObjectId(value);
+};
+
+// ✅ Cursor pagination
+// A sort is a list of [field, 1 | -1] pairs ending with _id, so every position is unique.
+// The opaque cursor carries the sort's fields and the last item's values for them; the next
+// page seeks past those values, so pages neither overlap nor skip items whatever the limit.
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+
+const sortSignature = (sort) => sort.map(([field, direction]) => `${field}:${direction}`).join(',');
+
+const encodeCursor = (sort, item) => Buffer
+    .from(BSON.EJSON.stringify({ s: sortSignature(sort), v: sort.map(([field]) => item[field] ?? null) }, { relaxed: false }))
+    .toString('base64url');
+
+// Values must be plain scalars, dates or ids so a cursor can't smuggle query operators in
+const isCursorValue = (value) => value === null
+    || ['string', 'number', 'boolean'].includes(typeof value)
+    || value instanceof Date
+    || value instanceof ObjectId;
+
+const decodeCursor = (cursor, sort) => {
+    let decoded;
+    try {
+        decoded = BSON.EJSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (err) {
+        decoded = null;
+    }
+    if (decoded?.s !== sortSignature(sort) || !Array.isArray(decoded.v)
+        || decoded.v.length !== sort.length || !decoded.v.every(isCursorValue)) {
+        throw new BadRequestError('Invalid or expired cursor', 'invalid_cursor');
+    }
+    return decoded.v;
+};
+
+// Filter matching everything after `values` in `sort` order
+const seekFilter = (sort, values) => ({
+    $or: sort.map(([field, direction], index) => ({
+        ...Object.fromEntries(sort.slice(0, index).map(([previous], position) => [previous, values[position]])),
+        [field]: { [direction === -1 ? '$lt' : '$gt']: values[index] },
+    })),
+});
+
+// Cursor mode is chosen by sending `cursor` (empty for the first page); requests without it
+// keep the older page/current offset paging and response shapes.
+const wantsCursor = (query) => query.cursor !== undefined;
+
+const pageLimit = (value) => Math.min(Math.max(parseInt(value) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+// One page of `collection`: `filter` first, then any `stages` (e.g. computed sort fields), then the seek.
+// Returns { items, next } where next is null on the last page.
+const paginate = async (collection, { filter = {}, stages = [], sort, cursor, limit }) => {
+    const pipeline = [{ $match: filter }, ...stages];
+    if (cursor) pipeline.push({ $match: seekFilter(sort, decodeCursor(cursor, sort)) });
+    pipeline.push({ $sort: Object.fromEntries(sort) }, { $limit: limit + 1 });
+    const docs = await collection.aggregate(pipeline).toArray();
+    const items = docs.slice(0, limit);
+    return { items, next: docs.length > limit ? encodeCursor(sort, items[items.length - 1]) : null };
+};
+
+// ✅ Request body validation
+// A schema maps every accepted field to a rule:
+//   { type, required, nullable, min, max, enum, pattern, items }
+// type is one of string | email | url | objectId | number | integer | boolean | date | array.
+// min/max bound a string's length, an array's length or a number's value.
+// nullable fields accept an explicit null (kept as null, e.g. to clear a date); other fields treat null as missing.
+// Fields in SERVER_CONTROLLED_FIELDS are dropped silently (the server sets them);
+// any other field missing from the schema is rejected.
+const SERVER_CONTROLLED_FIELDS = [
+    '_id', 'email', 'role', 'memberShip', 'badges', 'postLimit',
+    'createdAt', 'updatedAt', 'editedAt', 'revision',
+    'authorEmail', 'authorName', 'authorImage', 'upVote', 'downVote',
+    'isBlocked', 'blockedUntil', 'blockReason', 'warning', 'warningCount', 'warnings',
+    'lastSignIn', 'lastSignInIp', 'stripeCustomerId', 'subscription', 'currentPeriodEnd',
+    'notificationPrefs', 'announcementsSyncedAt', 'reputation', 'membershipBonusAt', 'privacy',
+    'followerCount', 'followingCount', 'slug', 'postCount', 'hotScore',
+];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+
+// Returns { value } with the normalized value, or { error }
+const checkValue = (raw, rule) => {
+    let value = raw;
+    switch (rule.type) {
+        case 'string':
+        case 'email':
+        case 'url':
+        case 'objectId':
+            if (typeof raw !== 'string') return { error: 'must be a string' };
+            value = raw.trim();
+            if (rule.type === 'email' && (!EMAIL_PATTERN.test(value) || value.length > 254)) {
+                return { error: 'must be a valid email address' };
+            }
+            if (rule.type === 'objectId' && !OBJECT_ID_PATTERN.test(value)) {
+                return { error: 'must be a valid id' };
+            }
+            if (rule.type === 'url') {
+                let url;
+                try {
+                    url = new URL(value);
+                } catch (err) {
+                    return { error: 'must be a valid URL' };
+                }
+                if (!['http:', 'https:'].includes(url.protocol)) return { error: 'must be an http(s) URL' };
+            }
+            if (rule.min !== undefined && value.length < rule.min) return { error: `must be at least ${rule.min} characters` };
+            if (rule.max !== undefined && value.length > rule.max) return { error: `must be at most ${rule.max} characters` };
+            if (rule.pattern && !rule.pattern.test(value)) return { error: 'has an invalid format' };
+            break;
+        case 'number':
+        case 'integer':
+            if (typeof raw !== 'number' || !Number.isFinite(raw)) return { error: 'must be a number' };
+            if (rule.type === 'integer' && !Number.isInteger(raw)) return { error: 'must be an integer' };
+            if (rule.min !== undefined && raw < rule.min) return { error: `must be at least ${rule.min}` };
+            if (rule.max !== undefined && raw > rule.max) return { error: `must be at most ${rule.max}` };
+            break;
+        case 'boolean':
+            if (typeof raw !== 'boolean') return { error: 'must be true or false' };
+            break;
+        case 'date':
+            if (typeof raw !== 'string' && typeof raw !== 'number') return { error: 'must be a date' };
+            value = new Date(raw);
+            if (isNaN(value.getTime())) return { error: 'must be a valid date' };
+            break;
+        case 'array':
+            if (!Array.isArray(raw)) return { error: 'must be an array' };
+            if (rule.min !== undefined && raw.length < rule.min) return { error: `must have at least ${rule.min} items` };
+            if (rule.max !== undefined && raw.length > rule.max) return { error: `must have at most ${rule.max} items` };
+            if (rule.items) {
+                value = [];
+                for (const [index, item] of raw.entries()) {
+                    const checked = checkValue(item, rule.items);
+                    if (checked.error) return { error: `item ${index} ${checked.error}` };
+                    value.push(checked.value);
+                }
+            }
+            break;
+        default:
+            return { error: 'has an unsupported type' };
+    }
+    if (rule.enum && !rule.enum.includes(value)) return { error: `must be one of ${rule.enum.join(', ')}` };
+    return { value };
+};
+
+// Middleware: replace req.body with the validated fields or fail with field-level errors
+const validateBody = (schema) => (req, res, next) => {
+    const body = req.body ?? {};
+    if (typeof body !== 'object' || Array.isArray(body)) {
+        return next(new ValidationError([{ field: null, message: 'Body must be a JSON object' }]));
+    }
+
+    const errors = [];
+    for (const field of Object.keys(body)) {
+        if (!schema[field] && !SERVER_CONTROLLED_FIELDS.includes(field)) {
+            errors.push({ field, message: `${field} is not allowed` });
+        }
+    }
+
+    const value = {};
+    for (const [field, rule] of Object.entries(schema)) {
+        const raw = body[field];
+        if (raw === null && rule.nullable) {
+            value[field] = null;
+            continue;
+        }
+        if (raw === undefined || raw === null || raw === '') {
+            if (rule.required) errors.push({ field, message: `${field} is required` });
+            continue;
+        }
+        const checked = checkValue(raw, rule);
+        if (checked.error) errors.push({ field, message: `${field} ${checked.error}` });
+        else value[field] = checked.value;
+    }
+
+    if (errors.length) {
+        return next(new ValidationError(errors));
+    }
+    req.body = value;
+    next();
+};
+
+// Body schemas, one per route
+const schemas = {
+    setCookie: {
+        idToken: { type: 'string', required: true, max: 4096 },
+    },
+    createUser: {
+        email: { type: 'email', required: true },
+        username: { type: 'string', min: 3, max: 30, pattern: /^[a-zA-Z0-9_.]+$/ },
+        name: { type: 'string', min: 1, max: 100 },
+        image: { type: 'url', max: 2048 },
+    },
+    updateUser: {
+        name: { type: 'string', min: 1, max: 100 },
+        image: { type: 'url', max: 2048 },
+        bio: { type: 'string', max: 500 },
+    },
+    createPost: {
+        title: { type: 'string', required: true, min: 3, max: 150 },
+        description: { type: 'string', required: true, min: 1, max: 10000 },
+        tag: { type: 'string', required: true, min: 1, max: 40 },
+    },
+    editPost: {
+        title: { type: 'string', min: 3, max: 150 },
+        description: { type: 'string', min: 1, max: 10000 },
+        tag: { type: 'string', min: 1, max: 40 },
+        reason: { type: 'string', max: 500 },
+    },
+    createComment: {
+        postId: { type: 'objectId', required: true },
+        parentId: { type: 'objectId' },
+        comment: { type: 'string', required: true, min: 1, max: 2000 },
+    },
+    editComment: {
+        comment: { type: 'string', required: true, min: 1, max: 2000 },
+    },
+    vote: {
+        type: { type: 'string', required: true, enum: ['up', 'down', 'none'] },
+    },
+    createReport: {
+        targetType: { type: 'string', enum: ['post', 'comment', 'user'] },
+        targetId: { type: 'objectId' },
+        commentId: { type: 'objectId' },
+        category: { type: 'string', enum: Object.keys(REPORT_CATEGORIES) },
+        reason: { type: 'string', max: 500 },
+        feedback: { type: 'string', max: 500 },
+    },
+    reportAction: {
+        action: { type: 'string', required: true, enum: ['ignore', 'warn', 'delete-comment', 'block'] },
+        reportId: { type: 'objectId', required: true },
+        userEmail: { type: 'email' },
+        commentId: { type: 'objectId' },
+        reason: { type: 'string', max: 500 },
+        until: { type: 'date' },
+    },
+    reportStatus: {
+        status: { type: 'string', required: true, enum: REPORT_STATUSES },
+        note: { type: 'string', max: 500 },
+    },
+    reportAssign: {
+        assignee: { type: 'email' },
+    },
+    blockUser: {
+        until: { type: 'date' },
+        reason: { type: 'string', max: 500 },
+    },
+    unblockUser: {
+        resetWarnings: { type: 'boolean' },
+        reason: { type: 'string', max: 500 },
+    },
+    moderationDecision: {
+        decision: { type: 'string', required: true, enum: ['approve', 'reject'] },
+        reason: { type: 'string', max: 500 },
+    },
+    bannedWord: {
+        word: { type: 'string', required: true, min: 2, max: 50 },
+    },
+    adminReason: {
+        reason: { type: 'string', max: 500 },
+    },
+    checkout: {
+        plan: { type: 'string', required: true, enum: Object.keys(SUBSCRIPTION_PLANS) },
+    },
+    membership: {
+        paymentIntentId: { type: 'string', required: true, max: 255 },
+    },
+    createAnnouncement: {
+        title: { type: 'string', required: true, min: 3, max: 150 },
+        description: { type: 'string', required: true, min: 1, max: 5000 },
+        severity: { type: 'string', enum: ANNOUNCEMENT_SEVERITIES },
+        pinned: { type: 'boolean' },
+        publishAt: { type: 'date' },
+        expiresAt: { type: 'date' },
+    },
+    editAnnouncement: {
+        title: { type: 'string', min: 3, max: 150 },
+        description: { type: 'string', min: 1, max: 5000 },
+        severity: { type: 'string', enum: ANNOUNCEMENT_SEVERITIES },
+        pinned: { type: 'boolean' },
+        publishAt: { type: 'date', nullable: true },
+        expiresAt: { type: 'date', nullable: true },
+    },
+    createTag: {
+        value: { type: 'string', required: true, min: 1, max: 40 },
+        label: { type: 'string', min: 1, max: 40 },
+        description: { type: 'string', max: 500 },
+    },
+    editTag: {
+        value: { type: 'string', min: 1, max: 40 },
+        label: { type: 'string', min: 1, max: 40 },
+        description: { type: 'string', max: 500 },
+    },
+    mergeTag: {
+        into: { type: 'string', required: true, min: 1, max: 40 },
+    },
+    newsletter: {
+        email: { type: 'email', required: true },
+        name: { type: 'string', max: 100 },
+        topics: { type: 'array', max: NEWSLETTER_TOPICS.length, items: { type: 'string', enum: NEWSLETTER_TOPICS } },
+    },
+    newsletterPreferences: {
+        token: { type: 'string', required: true, max: 1000 },
+        topics: { type: 'array', required: true, max: NEWSLETTER_TOPICS.length, items: { type: 'string', enum: NEWSLETTER_TOPICS } },
+    },
+    newsletterDigest: {
+        subject: { type: 'string', min: 3, max: 200 },
+        intro: { type: 'string', max: 5000 },
+        topic: { type: 'string', enum: NEWSLETTER_TOPICS },
+        days: { type: 'integer', min: 1, max: 31 },
+        limit: { type: 'integer', min: 1, max: MAX_DIGEST_POSTS },
+        send: { type: 'boolean' },
+    },
+    notificationPrefs: Object.fromEntries(NOTIFICATION_PREF_TYPES.map(type => [type, { type: 'boolean' }])),
+    privacy: {
+        hideActivity: { type: 'boolean' },
+        hideFromLeaderboard: { type: 'boolean' },
+    },
+    markAllRead: {
+        type: { type: 'string', enum: NOTIFICATION_TYPES },
+    },
+};
+
+// ✅ Real-time pub/sub
+// A backend exposes publish(channel, event, data) and subscribe(channel, handler) -> unsubscribe,
+// where handler receives { event, data }. Channels in use:
+//   post:<postId>   comment.created | comment.updated | comment.deleted | vote | post.updated
+//   announcements   announcement.created | announcement.updated | announcement.deleted
+//   user:<email>    notification
+// The in-memory backend is enough for a single instance and needs no broker.
+const createMemoryPubSub = () => {
+    const emitter = new EventEmitter();
+    emitter.setMaxListeners(0);
+    return {
+        publish: (channel, event, data) => {
+            emitter.emit(channel, { event, data });
+        },
+        subscribe: (channel, handler) => {
+            emitter.on(channel, handler);
+            return () => emitter.off(channel, handler);
+        },
+    };
+};
+
+// Multi-instance backend: events are inserted into a collection and every instance picks them
+// up through a change stream (needs a replica set, as on Atlas) before fanning out locally.
+const createMongoPubSub = (collection) => {
+    const local = createMemoryPubSub();
+    const watch = (resumeAfter) => {
+        const stream = collection.watch([{ $match: { operationType: 'insert' } }], resumeAfter ? { resumeAfter } : {});
+        let lastToken = resumeAfter;
+        stream.on('change', (change) => {
+            lastToken = change._id;
+            const { channel, event, data } = change.fullDocument;
+            local.publish(channel, event, data);
+        });
+        stream.on('error', (err) => {
+            console.error('Realtime change stream failed:', err.message);
+            stream.close().catch(() => {});
+            setTimeout(() => watch(lastToken), 1000).unref();
+        });
+    };
+    watch();
+    return {
+        publish: (channel, event, data) => {
+            collection
+                .insertOne({ channel, event, data, createdAt: new Date() })
+                .catch(err => console.error('Realtime publish failed:', err.message, { channel, event }));
+        },
+        subscribe: local.subscribe,
+    };
+};
+
+// ✅ Rate limiting
+// Token buckets: each key may spend up to `burst` requests at once, refilled at `limit` per
+// `windowMs`. Keys are the signed-in user's email or else the client IP, per policy.
+const RATE_LIMIT_POLICIES = {
+    auth: { limit: 20, windowMs: 15 * 60 * 1000, burst: 10 },
+    usernameCheck: { limit: 30, windowMs: 60 * 1000, burst: 30 },
+    post: { limit: 5, windowMs: 60 * 60 * 1000, burst: 3 },
+    comment: { limit: 10, windowMs: 60 * 1000, burst: 15 },
+    vote: { limit: 60, windowMs: 60 * 1000, burst: 30 },
+    report: { limit: 5, windowMs: 10 * 60 * 1000, burst: 5 },
+    payment: { limit: 5, windowMs: 10 * 60 * 1000, burst: 5 },
+    newsletter: { limit: 3, windowMs: 60 * 60 * 1000, burst: 3 },
+};
+
+// A store implements take(key, policy) -> { allowed, remaining, resetMs, retryAfterMs } and
+// refund(key, policy), which gives back a token taken for a request that turned out invalid.
+// Both may be async, so a shared backend can replace this one without touching the middleware.
+const createMemoryRateLimitStore = () => {
+    const buckets = new Map();
+    // Drop buckets that have refilled completely; they are indistinguishable from new ones
+    setInterval(() => {
+        const now = Date.now();
+        for (const [key, bucket] of buckets) {
+            if (bucket.fullAt <= now) buckets.delete(key);
+        }
+    }, 60 * 1000).unref();
+
+    // The bucket for `key`, refilled up to now
+    const refill = (key, { limit, windowMs, burst }) => {
+        const now = Date.now();
+        const bucket = buckets.get(key) || { tokens: burst, updatedAt: now };
+        bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) * (limit / windowMs));
+        bucket.updatedAt = now;
+        return bucket;
+    };
+
+    return {
+        take: (key, policy) => {
+            const { limit, windowMs, burst } = policy;
+            const now = Date.now();
+            const perMs = limit / windowMs;
+            const bucket = refill(key, policy);
+            const allowed = bucket.tokens >= 1;
+            if (allowed) bucket.tokens -= 1;
+            const resetMs = Math.ceil((burst - bucket.tokens) / perMs);
+            bucket.fullAt = now + resetMs;
+            buckets.set(key, bucket);
+            return {
+                allowed,
+                remaining: Math.floor(bucket.tokens),
+                resetMs,
+                retryAfterMs: allowed ? 0 : Math.ceil((1 - bucket.tokens) / perMs),
+            };
+        },
+        refund: (key, policy) => {
+            if (!buckets.has(key)) return;
+            const bucket = refill(key, policy);
+            bucket.tokens = Math.min(policy.burst, bucket.tokens + 1);
+            bucket.fullAt = bucket.updatedAt + Math.ceil((policy.burst - bucket.tokens) / (policy.limit / policy.windowMs));
+        },
+    };
+};
+
+const rateLimitStore = createMemoryRateLimitStore();
+
+// ✅ Mail transport
+// A transport exposes send({ to, subject, text, headers }) -> Promise. MAIL_TRANSPORT picks one:
+//   console   logs recipient and subject only (bodies hold confirmation and unsubscribe links);
+//             the default outside production
+//   file      writes each message as JSON into MAIL_OUTBOX_DIR (default ./mail-outbox), for reading
+//             the links locally
+//   http      POSTs each message as JSON to MAIL_HTTP_URL (with MAIL_HTTP_TOKEN as bearer),
+//             for a mail provider's API or a relay
+// In production a transport must be chosen explicitly; until then every send fails with a 503.
+const MAIL_FROM = process.env.MAIL_FROM || 'ForumHive <no-reply@forumhive.local>';
+
+const createConsoleMailTransport = () => ({
+    send: async (message) => {
+        console.log(`📧 ${message.to}: ${message.subject}`);
+    },
+});
+
+const createFileMailTransport = (dir) => ({
+    send: async (message) => {
+        await fs.promises.mkdir(dir, { recursive: true });
+        const file = `${Date.now()}-${crypto.randomUUID()}.json`;
+        await fs.promises.writeFile(`${dir}/${file}`, JSON.stringify({ from: MAIL_FROM, ...message, date: new Date() }, null, 2));
+    },
+});
+
+const createHttpMailTransport = (url, token) => ({
+    send: async (message) => {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+            body: JSON.stringify({ from: MAIL_FROM, ...message }),
+        });
+        if (!response.ok) {
+            throw new Error(`Mail API responded ${response.status}`);
+        }
+    },
+});
+
+const createUnconfiguredMailTransport = (problem) => {
+    console.error(`❌ Mail is disabled: ${problem}`);
+    return {
+        send: async () => {
+            throw new ServiceUnavailableError('Mail delivery is not configured', 'mail_not_configured');
+        },
+    };
+};
+
+const createMailTransport = () => {
+    const transport = process.env.MAIL_TRANSPORT
+        || (process.env.NODE_ENV === 'production' ? null : 'console');
+    switch (transport) {
+        case 'console':
+            return createConsoleMailTransport();
+        case 'file':
+            return createFileMailTransport(process.env.MAIL_OUTBOX_DIR || 'mail-outbox');
+        case 'http':
+            if (!process.env.MAIL_HTTP_URL) return createUnconfiguredMailTransport('MAIL_TRANSPORT=http needs MAIL_HTTP_URL');
+            return createHttpMailTransport(process.env.MAIL_HTTP_URL, process.env.MAIL_HTTP_TOKEN);
+        case null:
+            return createUnconfiguredMailTransport('set MAIL_TRANSPORT (http or file) in production');
+        default:
+            return createUnconfiguredMailTransport(`unknown MAIL_TRANSPORT "${transport}"`);
+    }
+};
+
+const mailer = createMailTransport();
 
 // ✅ Middleware
+// Client IPs come from X-Forwarded-For only when running behind that many proxies
+// (TRUST_PROXY_HOPS). On Vercel every request arrives through its edge proxy, so the
+// default there is one hop; otherwise all clients would share the proxy's rate limit buckets.
+const TRUST_PROXY_HOPS = process.env.TRUST_PROXY_HOPS !== undefined
+    ? parseInt(process.env.TRUST_PROXY_HOPS) || false
+    : (process.env.VERCEL ? 1 : false);
+app.set('trust proxy', TRUST_PROXY_HOPS);
+
 // Enable CORS for specific origins and methods
 app.use(cors({
     origin: ['http://localhost:5173', 'https://forumhive.web.app'],
     credentials: true,
+    exposedHeaders: ['X-Request-Id', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy'],
     // methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
 }));
-app.use(express.json());
+
+// Tag every request with an id, echoed in X-Request-Id and in error responses
+app.use((req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && /^[\w-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    next();
+});
+app.use(express.json({
+    // Stripe signs the exact bytes it sends, so keep them for the webhook
+    verify: (req, res, buf) => {
+        if (req.originalUrl === '/stripe/webhook') req.rawBody = buf;
+    }
+}));
 app.use(cookieParser());
 
 // ✅ MongoDB Connection
@@ -30,10 +856,20 @@ const client = new MongoClient(uri, {
         deprecationErrors: true,
     },
 });
+// $text queries and text indexes are outside Stable API v1, so post search alone goes
+// through a second client without strict mode
+const searchClient = new MongoClient(uri, {
+    serverApi: {
+        version: ServerApiVersion.v1,
+        strict: false,
+        deprecationErrors: true,
+    },
+});
 
 // ✅ Declare userCollection globally
 let userCollection;
 let postCollection;
+let postSearchCollection;
 let commentsCollection; 
 let paymentCollection; 
 let reportsCollection;
@@ -43,13 +879,32 @@ let popularTagsCollection;
 let faqsCollection; 
 let newsletterCollection; 
 let testimonialsCollection; 
+let votesCollection; 
+let stripeEventsCollection; 
+let refreshTokensCollection; 
+let auditLogCollection; 
+let postRevisionsCollection; 
+let pendingPostEditsCollection;
+let notificationsCollection; 
+let reputationCollection; 
+let bannedWordsCollection; 
+let bookmarksCollection; 
+let followsCollection; 
+let announcementReadsCollection; 
+let tagActivityCollection;
+let trendingTagsCollection;
+let newsletterIssuesCollection;
+let newsletterDeliveriesCollection;
+let jobLocksCollection;
+let realtime;
 
-async function run() {
+// The tests pass an in-memory `db`/`searchDb` and listen: false to start the HTTP server themselves
+async function run({ db = client.db("forumHiveDB"), searchDb = searchClient.db("forumHiveDB"), listen = true } = {}) {
     try {
         // await client.connect();
-        const db = client.db("forumHiveDB");
         userCollection = db.collection("users");
         postCollection = db.collection("posts");
+        postSearchCollection = searchDb.collection("posts");
         commentsCollection = db.collection('comments');
         paymentCollection = db.collection('payments');
         reportsCollection= db.collection('reports')
@@ -59,116 +914,762 @@ async function run() {
         faqsCollection = db.collection("faqs");
         newsletterCollection = db.collection("newsletter");
         testimonialsCollection = db.collection("testimonials");
+        votesCollection = db.collection("votes");
+        stripeEventsCollection = db.collection("stripeEvents");
+        refreshTokensCollection = db.collection("refreshTokens");
+        auditLogCollection = db.collection("auditLog");
+        postRevisionsCollection = db.collection("postRevisions");
+        pendingPostEditsCollection = db.collection("pendingPostEdits");
+        notificationsCollection = db.collection("notifications");
+        reputationCollection = db.collection("reputation");
+        bannedWordsCollection = db.collection("bannedWords");
+        bookmarksCollection = db.collection("bookmarks");
+        followsCollection = db.collection("follows");
+        announcementReadsCollection = db.collection("announcementReads");
+        tagActivityCollection = db.collection("tagActivity");
+        trendingTagsCollection = db.collection("trendingTags");
+        newsletterIssuesCollection = db.collection("newsletterIssues");
+        newsletterDeliveriesCollection = db.collection("newsletterDeliveries");
+        jobLocksCollection = db.collection("jobLocks");
+
+        // REALTIME_PUBSUB=mongo shares events between instances; the default stays in-process
+        if (process.env.REALTIME_PUBSUB === 'mongo') {
+            const realtimeEvents = db.collection("realtimeEvents");
+            realtimeEvents
+                .createIndex({ createdAt: 1 }, { expireAfterSeconds: 60 * 60 })
+                .catch(err => console.error('Realtime event index creation failed:', err.message));
+            realtime = createMongoPubSub(realtimeEvents);
+        } else {
+            realtime = createMemoryPubSub();
+        }
+
+        // One vote per user per post
+        votesCollection
+            .createIndex({ postId: 1, userEmail: 1 }, { unique: true })
+            .catch(err => console.error('Vote index creation failed:', err.message));
+
+        // One payment row per Stripe PaymentIntent (older rows have none)
+        paymentCollection
+            .createIndex({ paymentIntentId: 1 }, { unique: true, sparse: true })
+            .catch(err => console.error('Payment index creation failed:', err.message));
+        paymentCollection
+            .createIndex({ invoiceId: 1 }, { unique: true, sparse: true })
+            .catch(err => console.error('Payment index creation failed:', err.message));
+
+        // Expired refresh tokens are removed by MongoDB
+        refreshTokensCollection
+            .createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+            .catch(err => console.error('Refresh token index creation failed:', err.message));
+
+        // At most one active report case per target
+        reportsCollection
+            .createIndex(
+                { targetType: 1, targetId: 1 },
+                { unique: true, partialFilterExpression: { isOpen: true } }
+            )
+            .catch(err => console.error('Report index creation failed:', err.message));
+
+        postRevisionsCollection
+            .createIndex({ postId: 1, revision: -1 }, { unique: true })
+            .catch(err => console.error('Post revision index creation failed:', err.message));
+
+        auditLogCollection
+            .createIndex({ createdAt: -1 })
+            .catch(err => console.error('Audit index creation failed:', err.message));
+
+        // One reputation counter per user, period and tag; leaderboards read the second index
+        reputationCollection
+            .createIndex({ email: 1, period: 1, tag: 1 }, { unique: true })
+            .catch(err => console.error('Reputation index creation failed:', err.message));
+        reputationCollection
+            .createIndex({ period: 1, tag: 1, points: -1 })
+            .catch(err => console.error('Reputation index creation failed:', err.message));
+
+        // Duplicate-content lookups during screening
+        postCollection
+            .createIndex({ contentHash: 1, createdAt: -1 })
+            .catch(err => console.error('Post content hash index creation failed:', err.message));
+        commentsCollection
+            .createIndex({ contentHash: 1, createdAt: -1 })
+            .catch(err => console.error('Comment content hash index creation failed:', err.message));
+        bannedWordsCollection
+            .createIndex({ word: 1 }, { unique: true })
+            .catch(err => console.error('Banned word index creation failed:', err.message));
+
+        bookmarksCollection
+            .createIndex({ userEmail: 1, postId: 1 }, { unique: true })
+            .catch(err => console.error('Bookmark index creation failed:', err.message));
+        bookmarksCollection
+            .createIndex({ userEmail: 1, createdAt: -1 })
+            .catch(err => console.error('Bookmark index creation failed:', err.message));
+
+        // follows: { followerEmail, targetType: 'user' | 'tag', target: email or tag value }
+        followsCollection
+            .createIndex({ followerEmail: 1, targetType: 1, target: 1 }, { unique: true })
+            .catch(err => console.error('Follow index creation failed:', err.message));
+        followsCollection
+            .createIndex({ targetType: 1, target: 1 })
+            .catch(err => console.error('Follow index creation failed:', err.message));
+
+        // Tags are addressed by slug; tags created before slugs existed get one at startup
+        tagsCollection
+            .createIndex({ slug: 1 }, { unique: true, sparse: true })
+            .catch(err => console.error('Tag index creation failed:', err.message));
+        postCollection
+            .createIndex({ tag: 1 })
+            .catch(err => console.error('Post tag index creation failed:', err.message));
+
+        // Hourly tag activity counters, kept as long as the longest trending window needs them
+        tagActivityCollection
+            .createIndex({ tagId: 1, kind: 1, hour: 1 }, { unique: true })
+            .catch(err => console.error('Tag activity index creation failed:', err.message));
+        tagActivityCollection
+            .createIndex({ hour: 1 }, { expireAfterSeconds: Math.max(...Object.values(TRENDING_WINDOWS).map(window => window.hours)) * 3600 })
+            .catch(err => console.error('Tag activity index creation failed:', err.message));
+        postCollection
+            .createIndex({ hotScore: -1, _id: -1 })
+            .catch(err => console.error('Post hot score index creation failed:', err.message));
+
+        // One subscription per address
+        newsletterCollection
+            .createIndex({ email: 1 }, { unique: true })
+            .catch(err => console.error('Newsletter index creation failed:', err.message));
+        newsletterCollection
+            .createIndex({ status: 1, createdAt: -1 })
+            .catch(err => console.error('Newsletter index creation failed:', err.message));
+        // One delivery per issue and recipient, so resuming an issue never mails anyone twice
+        newsletterDeliveriesCollection
+            .createIndex({ issueId: 1, email: 1 }, { unique: true })
+            .catch(err => console.error('Newsletter delivery index creation failed:', err.message));
+
+        // One read marker per user and announcement
+        announcementReadsCollection
+            .createIndex({ userEmail: 1, announcementId: 1 }, { unique: true })
+            .catch(err => console.error('Announcement read index creation failed:', err.message));
+
+        // At most one unread notification per recipient/type/group; read ones expire
+        notificationsCollection
+            .createIndex(
+                { recipient: 1, type: 1, groupKey: 1 },
+                { unique: true, partialFilterExpression: { isRead: false } }
+            )
+            .catch(err => console.error('Notification index creation failed:', err.message));
+        notificationsCollection
+            .createIndex({ recipient: 1, updatedAt: -1 })
+            .catch(err => console.error('Notification index creation failed:', err.message));
+        notificationsCollection
+            .createIndex({ readAt: 1 }, { expireAfterSeconds: NOTIFICATION_RETENTION_DAYS * 24 * 60 * 60 })
+            .catch(err => console.error('Notification index creation failed:', err.message));
+
+        // Full-text search over posts, weighted towards titles and tags
+        postSearchCollection
+            .createIndex(
+                { title: 'text', description: 'text', tag: 'text' },
+                { name: 'post_text_search', weights: { title: 5, tag: 3, description: 1 } }
+            )
+            .catch(err => console.error('Post text index creation failed:', err.message));
+
+        // Older documents stored createdAt as a client-supplied string. Range queries only match
+        // values of the same BSON type, so the cursor seek ($lt/$gt on a date) would skip them;
+        // convert them once to real dates. Unparseable values are left for manual cleanup.
+        for (const [label, collection] of [['Post', postCollection], ['Comment', commentsCollection], ['User', userCollection]]) {
+            collection
+                .updateMany(
+                    { createdAt: { $type: 'string' } },
+                    [{ $set: { createdAt: { $convert: { input: '$createdAt', to: 'date', onError: '$createdAt', onNull: '$createdAt' } } } }]
+                )
+                .then(({ modifiedCount }) => {
+                    if (modifiedCount) console.log(`${label} createdAt migration converted ${modifiedCount} documents`);
+                })
+                .catch(err => console.error(`${label} createdAt migration failed:`, err.message));
+        }
 
         console.log("✅ MongoDB connected");
 
         // Coustome middleware 
-        const verifyJWT = (req, res, next) => {
+        // Only access tokens from issueSession count as a session; anything else signed with
+        // JWT_SECRET (or carrying an audience) is rejected
+        const isSessionToken = (decoded) => !!decoded.sub && decoded.typ === 'session' && decoded.aud === undefined;
+
+        // Authenticate the caller without looking at their account
+        const verifySession = (req, res, next) => {
             const token = req.cookies.jwtToken
-            if (!token) return res.status(401).send({ message: 'Unauthorized access' });
+            if (!token) return next(new UnauthorizedError('Unauthorized access', 'token_missing'));
 
             jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
-                if (err) return res.status(403).send({ message: 'Forbidden' });
-                req.decoded = decoded;
+                if (err?.name === 'TokenExpiredError') return next(new UnauthorizedError('Access token expired', 'token_expired'));
+                if (err || !isSessionToken(decoded)) return next(new ForbiddenError('Forbidden', 'token_invalid'));
+                req.decoded = { email: decoded.sub };
                 next();
             });
         };
 
+        // Authenticate the caller; blocked accounts may still read but every write is refused (see verifyNotBlocked)
+        const verifyJWT = (req, res, next) => verifySession(req, res, (err) => {
+            if (err || req.method === 'GET' || req.method === 'HEAD') return next(err);
+            verifyNotBlocked(req, res, next);
+        });
+
         const verifyAdmin = async (req, res, next) => {
             try {
                 const email = req.decoded?.email;
                 if (!email) {
-                    return res.status(401).json({ message: 'Unauthorized access' });
+                    throw new UnauthorizedError('Unauthorized access');
                 }
 
                 const user = await userCollection.findOne({ email });
 
                 if (!user || user.role !== 'admin') {
-                    return res.status(403).json({ message: 'Admin access only' });
+                    throw new ForbiddenError('Admin access only', 'admin_only');
                 }
 
                 next();
             } catch (err) {
-                console.error('Admin check failed:', err.message);
-                res.status(500).json({ message: 'Internal server error' });
+                next(err);
             }
         }
 
-        // 👉 Token Generation
-        app.post('/auth/set-cookie', (req, res) => {
-            const user = req.body;
-            const token = jwt.sign(user, process.env.JWT_SECRET, { expiresIn: '7d' });
+        const isAdminEmail = async (email) => !!(await userCollection.findOne({ email, role: 'admin' }, { projection: { _id: 1 } }));
 
-            res
-                .cookie('jwtToken', token, {
-                    httpOnly: true,
-                    secure: process.env.NODE_ENV === 'production', // true on live
-                    sameSite: 'none',
-                    maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-                })
-                .send({ success: true });
-        });
+        // Middleware: spend one token from the caller's bucket for `policyName`. Limited admins are
+        // let through; their role is only looked up once a limit is hit, so normal traffic costs no query.
+        const rateLimit = (policyName) => {
+            const policy = RATE_LIMIT_POLICIES[policyName];
+            return async (req, res, next) => {
+                try {
+                    const email = req.decoded?.email || getOptionalUser(req)?.email;
+                    const key = `${policyName}:${email ? `user:${email}` : `ip:${req.ip}`}`;
+                    const { allowed, remaining, resetMs, retryAfterMs } = await rateLimitStore.take(key, policy);
+                    res.set({
+                        'RateLimit-Limit': String(policy.burst),
+                        'RateLimit-Remaining': String(remaining),
+                        'RateLimit-Reset': String(Math.ceil(resetMs / 1000)),
+                        'RateLimit-Policy': `${policy.limit};w=${Math.round(policy.windowMs / 1000)};burst=${policy.burst}`,
+                    });
+                    if (!allowed && !(email && await isAdminEmail(email))) {
+                        const retryAfter = Math.ceil(retryAfterMs / 1000);
+                        res.set('Retry-After', String(retryAfter));
+                        throw new TooManyRequestsError('Too many requests, please slow down', 'rate_limited', { retryAfter });
+                    }
+                    // A submission rejected as invalid (400) changed nothing, so it doesn't use up the
+                    // burst; other refusals (e.g. a bad identity token) still count
+                    if (allowed) {
+                        res.on('finish', () => {
+                            if (res.statusCode !== 400) return;
+                            Promise.resolve(rateLimitStore.refund(key, policy))
+                                .catch(err => console.error('Rate limit refund failed:', err.message, { key }));
+                        });
+                    }
+                    next();
+                } catch (err) {
+                    next(err);
+                }
+            };
+        };
 
-        app.post('/auth/clear-cookies', (req, res) => {
-            res
-                .clearCookie('jwtToken', {
-                    httpOnly: true,
-                    secure: process.env.NODE_ENV === 'production',
-                    sameSite: 'none',
-                })
-                .send({ success: true });
-        });
+        // Allow the account named by :email (or ?email=) through, and admins for any account
+        const verifySelfOrAdmin = async (req, res, next) => {
+            try {
+                const email = req.params.email ?? req.query.email;
+                if (email !== req.decoded.email && !(await isAdminEmail(req.decoded.email))) {
+                    throw new ForbiddenError('Forbidden: not your account');
+                }
+                next();
+            } catch (err) {
+                next(err);
+            }
+        }
 
-        // 👉 Check if username exists
-        app.get('/users/check-username/:username', async (req, res) => {
-            const username = req.params.username;
-            const user = await userCollection.findOne({ username });
-            res.send({ exists: !!user });
-        });
+        // 👉 Reputation
+        // Every change is added to users.reputation and to the counters in reputationCollection
+        // for each period it falls in (see reputationPeriods), overall (tag: null) and for the
+        // post's tag when there is one. `at` books a reversal into the period of what it undoes.
+        const addReputation = async (email, points, { tag = null, at = new Date() } = {}) => {
+            if (!email || !points) return;
+            try {
+                const tags = tag ? [null, tag] : [null];
+                const operations = Object.values(reputationPeriods(at)).flatMap(period => tags.map(bucketTag => ({
+                    updateOne: { filter: { email, period, tag: bucketTag }, update: { $inc: { points } }, upsert: true }
+                })));
+                await reputationCollection.bulkWrite(operations, { ordered: false });
+                await userCollection.updateOne({ email }, { $inc: { reputation: points } });
+            } catch (err) {
+                console.error('Reputation update failed:', err.message, { email, points });
+            }
+        };
 
-        // Get single user By email address
-        app.get("/userdata/:email", async (req, res) => {
+        // 👉 Moderation state on user documents:
+        // isBlocked + blockedUntil (null = indefinite) + blockReason, and warningCount/warnings.
+        // Every WARNINGS_BEFORE_SUSPENSION-th warning suspends the user for AUTO_SUSPENSION_DAYS.
+        const suspendUser = async (email, { until = null, reason = null, by = null } = {}) => {
+            const result = await userCollection.updateOne(
+                { email },
+                { $set: { isBlocked: true, blockedUntil: until, blockReason: reason, blockedBy: by, blockedAt: new Date() } }
+            );
+            if (result.matchedCount) await addReputation(email, REPUTATION_POINTS.suspension);
+            return result;
+        };
+
+        const liftSuspension = (email, filter = {}) =>
+            userCollection.updateOne(
+                { email, ...filter },
+                { $set: { isBlocked: false }, $unset: { blockedUntil: '', blockReason: '', blockedBy: '', blockedAt: '' } }
+            );
+
+        const warnUser = async (email, { reason = null, by = null } = {}) => {
+            const user = await userCollection.findOneAndUpdate(
+                { email },
+                {
+                    $set: { warning: true },
+                    $inc: { warningCount: 1 },
+                    $push: { warnings: { reason, by, createdAt: new Date() } }
+                },
+                { returnDocument: 'after', projection: { warningCount: 1 } }
+            );
+            if (user) await addReputation(email, REPUTATION_POINTS.warning);
+            if (user && user.warningCount % WARNINGS_BEFORE_SUSPENSION === 0) {
+                await suspendUser(email, {
+                    until: new Date(Date.now() + AUTO_SUSPENSION_DAYS * 24 * 60 * 60 * 1000),
+                    reason: `Automatic suspension after ${user.warningCount} warnings`,
+                    by: 'system',
+                });
+            }
+            return user;
+        };
+
+        // Reject writes from blocked users; expired suspensions are lifted on the way through.
+        // verifyJWT runs this for every method but GET and HEAD.
+        const verifyNotBlocked = async (req, res, next) => {
             try {
-                const { email } = req.params;
-                const result = await userCollection.findOne({ email });
-                if(!result) {
-                    return res.send({ message: `No User Data Found on this email ${email}`, email})
+                const email = req.decoded?.email;
+                const user = await userCollection.findOne(
+                    { email },
+                    { projection: { isBlocked: 1, blockedUntil: 1, blockReason: 1 } }
+                );
+                if (user?.isBlocked) {
+                    if (user.blockedUntil && user.blockedUntil <= new Date()) {
+                        await liftSuspension(email, { blockedUntil: { $lte: new Date() } });
+                    } else {
+                        throw new ForbiddenError(
+                            user.blockedUntil
+                                ? `Your account is suspended until ${user.blockedUntil.toISOString()}`
+                                : 'Your account has been blocked',
+                            user.blockedUntil ? 'account_suspended' : 'account_blocked',
+                            { reason: user.blockReason || null, until: user.blockedUntil || null }
+                        );
+                    }
                 }
-                res.send(result); 
-            } catch (error) {
-                res.status(500).send({message: "Server Error"})
+                next();
+            } catch (err) {
+                next(err);
             }
-        } )
+        }
 
-        // Get single Post By PostId 
-        app.get('/post/:id', async (req, res) => {
+        // 👉 Audit log: append-only record of admin mutations. Nothing updates or deletes these documents.
+        const recordAudit = async ({ actor, action, targetType, targetId, before = null, after = null, reason = null }) => {
             try {
-                const id = req.params.id;
-                const post = await postCollection.findOne({ _id: new ObjectId(id) });
+                await auditLogCollection.insertOne({
+                    actor,
+                    action,
+                    target: { type: targetType, id: String(targetId) },
+                    before,
+                    after,
+                    reason: reason || null,
+                    createdAt: new Date(),
+                });
+            } catch (err) {
+                console.error('Audit log write failed:', err.message, { actor, action, targetType, targetId });
+            }
+        };
 
-                if (!post) {
-                    return res.status(404).send({ message: 'Post not found' });
+        // Moderation-relevant user fields for before/after snapshots
+        const auditUserSnapshot = (email) => userCollection.findOne(
+            { email },
+            {
+                projection: {
+                    email: 1, username: 1, role: 1, memberShip: 1,
+                    isBlocked: 1, blockedUntil: 1, blockReason: 1, warning: 1, warningCount: 1,
                 }
-                res.send(post)
-            } catch (error) {
-                res.status(500).send({ message: 'Internal Server Error', error: error.message });
             }
-        })
-        
-        // Get all Posts
-        app.get('/posts', async (req, res) => {
-            const { sort, current, limit:limitStr } = req.query;
-            const skip = parseInt(current) * 5; 
-            const limit = parseInt(limitStr) 
-            
-            // if user is send sort data then it will sort by there given data . 
-            if (sort === 'true') {
-                const posts = await postCollection.aggregate([
-                    {
-                        $addFields: {
-                            voteDifference: { $subtract: ["$upVote", "$downVote"] }
-                        }
-                    },
+        );
+
+        // 👉 Notifications
+        // notify() writes the event straight away, so nothing is lost when an instance is frozen
+        // or recycled after the response. Events for the same recipient, type and groupKey fold
+        // into a single unread document whose count and actor sample grow, so a busy post gives
+        // its author one "N new comments" row instead of one document per comment. Reading it
+        // starts a new group. Failures are logged, never thrown: a notification must not fail
+        // the request that caused it.
+        const notify = async ({ recipient, type, groupKey, actor = null, message, link = null, data = null }) => {
+            if (!recipient || recipient === actor) return;
+            try {
+                const user = await userCollection.findOne({ email: recipient }, { projection: { notificationPrefs: 1 } });
+                if (!user || user.notificationPrefs?.[type] === false) return;
+
+                const actors = actor ? [actor] : [];
+                const now = new Date();
+                const upsert = () => notificationsCollection.findOneAndUpdate(
+                    { recipient, type, groupKey, isRead: false },
+                    // Pipeline update so the actor sample stays de-duplicated and most-recent-last
+                    [{
+                        $set: {
+                            count: { $add: [{ $ifNull: ['$count', 0] }, 1] },
+                            actors: {
+                                $slice: [{
+                                    $concatArrays: [
+                                        { $filter: { input: { $ifNull: ['$actors', []] }, cond: { $not: { $in: ['$$this', { $literal: actors }] } } } },
+                                        { $literal: actors },
+                                    ]
+                                }, -NOTIFICATION_ACTOR_SAMPLE]
+                            },
+                            message: { $literal: message },
+                            link: { $literal: link },
+                            data: { $literal: data },
+                            createdAt: { $ifNull: ['$createdAt', now] },
+                            updatedAt: now,
+                        }
+                    }],
+                    { upsert: true, returnDocument: 'after' }
+                );
+                let notification;
+                try {
+                    notification = await upsert();
+                } catch (err) {
+                    // A concurrent event created the unread group first; fold into it
+                    if (err.code !== 11000) throw err;
+                    notification = await upsert();
+                }
+                realtime.publish(`user:${recipient}`, 'notification', {
+                    type, message, link, data, count: notification.count, actors: notification.actors,
+                });
+            } catch (err) {
+                console.error('Notification write failed:', err.message, { recipient, type });
+            }
+        };
+
+        // Notify users @mentioned in a comment; `previousText` skips names already mentioned before an edit
+        const notifyMentions = async (comment, actorName, previousText = '') => {
+            const mentionsIn = (text) => new Set(
+                [...String(text).matchAll(/(?:^|[^\w@])@([a-zA-Z0-9_.]{3,30})/g)].map(match => match[1].replace(/\.+$/, ''))
+            );
+            const before = mentionsIn(previousText);
+            const usernames = [...mentionsIn(comment.comment)].filter(name => !before.has(name)).slice(0, MAX_MENTIONS_PER_COMMENT);
+            if (usernames.length === 0) return;
+            try {
+                const users = await userCollection
+                    .find({ username: { $in: usernames } }, { projection: { email: 1 } })
+                    .toArray();
+                for (const user of users) {
+                    await notify({
+                        recipient: user.email,
+                        type: 'mention',
+                        groupKey: `comment:${comment._id}`,
+                        actor: comment.authorEmail,
+                        message: `${actorName || 'Someone'} mentioned you in a comment`,
+                        link: `/post/${comment.postId}`,
+                        data: { postId: comment.postId, commentId: comment._id },
+                    });
+                }
+            } catch (err) {
+                console.error('Mention lookup failed:', err.message);
+            }
+        };
+
+        // Tell everyone who reported a case how it ended
+        const notifyReporters = async (reportId, status) => {
+            const report = await reportsCollection.findOne({ _id: reportId }, { projection: { 'reporters.email': 1, targetType: 1 } });
+            for (const { email } of report?.reporters || []) {
+                await notify({
+                    recipient: email,
+                    type: 'report',
+                    groupKey: `report:${reportId}`,
+                    message: status === 'dismissed'
+                        ? `Your report on a ${report.targetType} was reviewed and dismissed`
+                        : `Your report on a ${report.targetType} was reviewed and action was taken`,
+                    data: { reportId, status },
+                });
+            }
+        };
+
+        // Moderation notices are never grouped and cannot be muted
+        const notifyModeration = (recipient, message, data = null) => notify({
+            recipient,
+            type: 'moderation',
+            groupKey: crypto.randomUUID(),
+            message,
+            link: '/moderation/status',
+            data,
+        });
+
+        // Announcements are not fanned out to every user. Each user's feed picks up the ones
+        // that went live since it last looked (or since the account was created) when it is read.
+        const syncAnnouncementNotifications = async (email) => {
+            const user = await userCollection.findOne(
+                { email },
+                { projection: { createdAt: 1, announcementsSyncedAt: 1, notificationPrefs: 1 } }
+            );
+            if (!user || user.notificationPrefs?.announcement === false) return;
+            const since = user.announcementsSyncedAt || (user.createdAt ? new Date(user.createdAt) : new Date(0));
+            // Scheduled announcements count from publishAt; older ones only have createdAt
+            const announcements = await announcementsCollection.aggregate([
+                { $match: activeAnnouncementFilter() },
+                { $project: { title: 1, authorEmail: 1, liveAt: { $ifNull: ['$publishAt', '$createdAt'] } } },
+                { $match: { liveAt: { $gt: since } } },
+                { $sort: { liveAt: -1 } },
+                { $limit: 20 },
+            ]).toArray();
+            if (announcements.length === 0) return;
+            // Announcements already read on the announcements page don't come back as unread notifications
+            const reads = await announcementReadsCollection
+                .find({ userEmail: email, announcementId: { $in: announcements.map(announcement => announcement._id) } })
+                .toArray();
+            const readIds = new Set(reads.map(read => read.announcementId.toString()));
+            const unread = announcements.filter(announcement => !readIds.has(announcement._id.toString()));
+            if (unread.length > 0) await notificationsCollection.bulkWrite(unread.map(announcement => ({
+                updateOne: {
+                    filter: { recipient: email, type: 'announcement', groupKey: `announcement:${announcement._id}` },
+                    update: {
+                        $setOnInsert: {
+                            actors: announcement.authorEmail ? [announcement.authorEmail] : [],
+                            count: 1,
+                            message: `New announcement: ${announcement.title}`,
+                            link: '/announcements',
+                            data: { announcementId: announcement._id },
+                            isRead: false,
+                            createdAt: announcement.liveAt,
+                            updatedAt: announcement.liveAt,
+                        }
+                    },
+                    upsert: true,
+                }
+            })), { ordered: false });
+            await userCollection.updateOne({ email }, { $set: { announcementsSyncedAt: announcements[0].liveAt } });
+        };
+
+        // Every type users can mute, with its effective setting (unset means on)
+        const toNotificationPrefs = (prefs = {}) =>
+            Object.fromEntries(NOTIFICATION_PREF_TYPES.map(type => [type, prefs?.[type] !== false]));
+
+        // Unread totals, overall and per type
+        const countUnreadNotifications = async (email) => {
+            const groups = await notificationsCollection.aggregate([
+                { $match: { recipient: email, isRead: false } },
+                { $group: { _id: '$type', count: { $sum: 1 } } },
+            ]).toArray();
+            const byType = Object.fromEntries(groups.map(group => [group._id, group.count]));
+            return { unreadCount: groups.reduce((sum, group) => sum + group.count, 0), unreadByType: byType };
+        };
+
+        // Decode the jwtToken cookie if present, without rejecting the request
+        const getOptionalUser = (req) => {
+            const token = req.cookies?.jwtToken;
+            if (!token) return null;
+            try {
+                const decoded = jwt.verify(token, process.env.JWT_SECRET);
+                return isSessionToken(decoded) ? { email: decoded.sub, expiresAt: decoded.exp ? decoded.exp * 1000 : null } : null;
+            } catch (err) {
+                return null;
+            }
+        };
+
+        // Add the caller's vote ('up' | 'down' | null) to each post as myVote
+        const attachMyVotes = async (posts, email) => {
+            if (!email || posts.length === 0) return posts;
+            const votes = await votesCollection
+                .find({ userEmail: email, postId: { $in: posts.map(post => post._id) } })
+                .toArray();
+            const voteByPost = new Map(votes.map(vote => [vote.postId.toString(), vote.type]));
+            return posts.map(post => ({ ...post, myVote: voteByPost.get(post._id.toString()) || null }));
+        };
+
+        // 👉 Sessions
+        // jwtToken is a short-lived access token carrying only { sub: email, typ: 'session' }.
+        // refreshToken is an opaque random value stored hashed in refreshTokensCollection;
+        // each use rotates it, and reusing a rotated token revokes its whole family.
+        const authCookieOptions = {
+            httpOnly: true,
+            secure: process.env.NODE_ENV === 'production', // true on live
+            sameSite: 'none',
+        };
+        const refreshCookieOptions = { ...authCookieOptions, path: '/auth' };
+        const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+        const issueSession = async (res, email, family = crypto.randomUUID()) => {
+            const accessToken = jwt.sign({ sub: email, typ: 'session' }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL_SECONDS });
+            const refreshToken = crypto.randomBytes(48).toString('base64url');
+            const now = new Date();
+            await refreshTokensCollection.insertOne({
+                _id: hashToken(refreshToken),
+                email,
+                family,
+                createdAt: now,
+                expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+            });
+            res
+                .cookie('jwtToken', accessToken, { ...authCookieOptions, maxAge: ACCESS_TOKEN_TTL_SECONDS * 1000 })
+                .cookie('refreshToken', refreshToken, { ...refreshCookieOptions, maxAge: REFRESH_TOKEN_TTL_MS });
+        };
+
+        const clearSessionCookies = (res) => res
+            .clearCookie('jwtToken', authCookieOptions)
+            .clearCookie('refreshToken', refreshCookieOptions);
+
+        // 👉 Token Generation
+        // Exchange a Firebase ID token for a session
+        app.post('/auth/set-cookie', rateLimit('auth'), validateBody(schemas.setCookie), async (req, res, next) => {
+            const { idToken } = req.body;
+
+            let identity;
+            try {
+                identity = verifyFirebaseIdToken(idToken);
+            } catch (error) {
+                throw new UnauthorizedError('Invalid identity token', 'invalid_identity_token');
+            }
+
+            try {
+                await issueSession(res, identity.email);
+                res.send({ success: true });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        // Rotate the refresh token and issue a new access token
+        app.post('/auth/refresh', rateLimit('auth'), async (req, res, next) => {
+            const token = req.cookies.refreshToken;
+            if (!token) throw new UnauthorizedError('Unauthorized access', 'token_missing');
+
+            try {
+                const now = new Date();
+                const tokenId = hashToken(token);
+                const stored = await refreshTokensCollection.findOneAndUpdate(
+                    { _id: tokenId, revokedAt: null, expiresAt: { $gt: now } },
+                    { $set: { revokedAt: now } }
+                );
+
+                if (!stored) {
+                    const reused = await refreshTokensCollection.findOne({ _id: tokenId });
+                    if (reused?.revokedAt) {
+                        await refreshTokensCollection.updateMany(
+                            { family: reused.family, revokedAt: null },
+                            { $set: { revokedAt: now } }
+                        );
+                    }
+                    clearSessionCookies(res);
+                    throw new UnauthorizedError('Session expired', 'session_expired');
+                }
+
+                await issueSession(res, stored.email, stored.family);
+                res.send({ success: true });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        // Sign out: revoke the refresh token family server-side and clear both cookies
+        app.post('/auth/clear-cookies', async (req, res) => {
+            const token = req.cookies.refreshToken;
+            try {
+                if (token) {
+                    const stored = await refreshTokensCollection.findOne({ _id: hashToken(token) });
+                    if (stored) {
+                        await refreshTokensCollection.updateMany(
+                            { family: stored.family, revokedAt: null },
+                            { $set: { revokedAt: new Date() } }
+                        );
+                    }
+                }
+            } catch (error) {
+                console.error('Sign out Error:', error);
+            }
+            clearSessionCookies(res).send({ success: true });
+        });
+
+        // 👉 Check if username exists
+        app.get('/users/check-username/:username', rateLimit('usernameCheck'), async (req, res) => {
+            const username = req.params.username;
+            const user = await userCollection.findOne({ username });
+            res.send({ exists: !!user });
+        });
+
+        // Get single user By email address
+        app.get("/userdata/:email", verifyJWT, verifySelfOrAdmin, async (req, res, next) => {
+            try {
+                const { email } = req.params;
+                const result = await userCollection.findOne({ email });
+                if(!result) {
+                    throw new NotFoundError(`No User Data Found on this email ${email}`, 'user_not_found');
+                }
+                res.send(result); 
+            } catch (error) {
+                next(error);
+            }
+        } )
+
+        // Get single Post By PostId 
+        app.get('/post/:id', async (req, res, next) => {
+            try {
+                const id = parseObjectId(req.params.id, 'post id');
+                const post = await postCollection.findOne({ _id: id });
+                const viewerEmail = getOptionalUser(req)?.email;
+
+                // Unpublished posts are visible only to their author and admins
+                const hidden = ['pending', 'rejected'].includes(post?.moderationStatus);
+                if (!post || (hidden && post.authorEmail !== viewerEmail && !(viewerEmail && await isAdminEmail(viewerEmail)))) {
+                    throw new NotFoundError('Post not found');
+                }
+                const [postWithVote] = await attachMyVotes([post], viewerEmail);
+                res.send(postWithVote)
+            } catch (error) {
+                next(error);
+            }
+        })
+        
+        // Cursor sorts for post listings (see paginate)
+        const POST_SORTS = {
+            newest: [['createdAt', -1], ['_id', -1]],
+            votes: [['voteDifference', -1], ['_id', -1]],
+            hot: [['hotScore', -1], ['_id', -1]],
+            relevance: [['score', -1], ['_id', -1]],
+        };
+        const voteDifferenceStage = {
+            $addFields: { voteDifference: { $subtract: [{ $ifNull: ['$upVote', 0] }, { $ifNull: ['$downVote', 0] }] } }
+        };
+
+        // Post listing shared by /posts and /feed. sort=true orders by vote difference, sort=hot
+        // by hot score (see HOT_RANKING), otherwise newest first. With `cursor` the result is
+        // { items, next, total }; otherwise `current` is the page number and `limit` the page size.
+        const listPosts = async (filter, { sort, current, limit: limitStr, cursor }, viewerEmail) => {
+            if (wantsCursor({ cursor })) {
+                let sortKey = 'newest';
+                if (sort === 'true') sortKey = 'votes';
+                else if (sort === 'hot') sortKey = 'hot';
+                const page = await paginate(postCollection, {
+                    filter,
+                    stages: sortKey === 'votes' ? [voteDifferenceStage] : [],
+                    sort: POST_SORTS[sortKey],
+                    cursor,
+                    limit: pageLimit(limitStr),
+                });
+                return {
+                    items: await attachMyVotes(page.items, viewerEmail),
+                    next: page.next,
+                    total: await postCollection.countDocuments(filter),
+                };
+            }
+
+            const limit = parseInt(limitStr) 
+            const skip = (parseInt(current) || 0) * limit; 
+
+            // if user is send sort data then it will sort by there given data . 
+            if (sort === 'true') {
+                const posts = await postCollection.aggregate([
+                    { $match: filter },
+                    {
+                        $addFields: {
+                            voteDifference: { $subtract: ["$upVote", "$downVote"] }
+                        }
+                    },
                     {
                         $sort: { voteDifference: -1 }
                     }, 
@@ -176,413 +1677,2432 @@ async function run() {
                 .skip(skip)
                 .limit(limit)
                 .toArray(); 
-                return res.send(posts);
+                return attachMyVotes(posts, viewerEmail);
             }       
+            if (sort === 'hot') {
+                const posts = await postCollection.find(filter).sort({ hotScore: -1, _id: -1 }).skip(skip).limit(limit).toArray();
+                return attachMyVotes(posts, viewerEmail);
+            }
             // Default case: sort by createdAt in descending order
-            const posts = await postCollection.find().sort({ createdAt: -1 }).skip(skip).limit(limit).toArray();
-            res.send(posts);
+            const posts = await postCollection.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).toArray();
+            return attachMyVotes(posts, viewerEmail);
+        };
+
+        // Get all Posts
+        app.get('/posts', async (req, res) => {
+            res.send(await listPosts(PUBLISHED_FILTER, req.query, getOptionalUser(req)?.email));
+        });
+
+        // Posts from followed authors and tags, with the same sort and paging as /posts
+        app.get('/feed', verifyJWT, async (req, res, next) => {
+            try {
+                const follows = await followsCollection
+                    .find({ followerEmail: req.decoded.email }, { projection: { targetType: 1, target: 1 } })
+                    .toArray();
+                const authors = follows.filter(follow => follow.targetType === 'user').map(follow => follow.target);
+                const tags = follows
+                    .filter(follow => follow.targetType === 'tag')
+                    .map(follow => new RegExp(`^${escapeRegex(follow.target)}$`, 'i'));
+                if (authors.length === 0 && tags.length === 0) {
+                    return res.send(wantsCursor(req.query) ? { items: [], next: null, total: 0 } : []);
+                }
+                const filter = {
+                    ...PUBLISHED_FILTER,
+                    $or: [{ authorEmail: { $in: authors } }, { tag: { $in: tags } }],
+                };
+                res.send(await listPosts(filter, req.query, req.decoded.email));
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        app.get('/latestPosts' , async (req, res, next) => {
+            try {
+                const posts = await postCollection.find(PUBLISHED_FILTER).sort({ createdAt: -1 }).limit(6).toArray();
+                res.send(posts);
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        // Search query syntax: free text, "exact phrases", tag:<name>, author:<name or email>.
+        // Date range comes from the from/to query params. Returns { filter, text, tags }.
+        const buildPostSearch = ({ search = '', from, to }) => {
+            const raw = String(search).trim().slice(0, MAX_SEARCH_LENGTH);
+            const terms = [];
+            const tags = [];
+            const authors = [];
+            const tokenPattern = /(?:(tag|author):)?(?:"([^"]+)"|(\S+))/gi;
+            let match;
+            while ((match = tokenPattern.exec(raw)) !== null) {
+                const field = match[1]?.toLowerCase();
+                const quoted = match[2] !== undefined;
+                const value = (quoted ? match[2] : match[3].replace(/"/g, '')).trim();
+                if (!value) continue;
+                if (field === 'tag') tags.push(value);
+                else if (field === 'author') authors.push(value);
+                else terms.push(quoted ? `"${value}"` : value);
+            }
+
+            const filter = { ...PUBLISHED_FILTER };
+            const text = terms.join(' ');
+            if (text) {
+                filter.$text = { $search: text };
+            }
+            if (tags.length) {
+                filter.tag = { $in: tags.map(value => new RegExp(`^${escapeRegex(value)}$`, 'i')) };
+            }
+            if (authors.length) {
+                filter.$or = authors.flatMap(value => {
+                    const exact = new RegExp(`^${escapeRegex(value)}$`, 'i');
+                    return [{ authorName: exact }, { authorEmail: exact }];
+                });
+            }
+            if (from || to) {
+                const range = {};
+                for (const [key, value] of [['$gte', from], ['$lte', to]]) {
+                    if (!value) continue;
+                    const date = new Date(value);
+                    if (isNaN(date.getTime())) {
+                        throw new BadRequestError(`Invalid date: ${value}`, 'invalid_date');
+                    }
+                    range[key] = date;
+                }
+                filter.createdAt = range;
+            }
+            return { filter, text, tags };
+        };
+
+        // 👉 Tags
+        // Posts store the tag's value; the tag document adds a unique slug and postCount, the number
+        // of published posts carrying it. postCount moves with post creation, moderation, edits and
+        // deletion, and is recounted whenever tags are renamed, merged or deleted.
+        const findTag = (valueOrSlug) => tagsCollection.findOne({ slug: slugify(valueOrSlug) });
+
+        // Posts written before tags were checked may differ from the tag's value in case
+        const postsWithTag = (value) => ({ tag: new RegExp(`^${escapeRegex(value)}$`, 'i') });
+
+        const adjustTagCount = async (value, delta) => {
+            if (!value) return;
+            await tagsCollection.updateOne({ slug: slugify(value) }, { $inc: { postCount: delta } });
+        };
+
+        const recountTag = async (tag) => {
+            const postCount = await postCollection.countDocuments({ ...postsWithTag(tag.value), ...PUBLISHED_FILTER });
+            await tagsCollection.updateOne({ _id: tag._id }, { $set: { postCount } });
+            return postCount;
+        };
+
+        const backfillTags = async () => {
+            const tags = await tagsCollection
+                .find({ $or: [{ slug: { $exists: false } }, { postCount: { $exists: false } }] })
+                .toArray();
+            for (const tag of tags) {
+                if (!tag.slug) {
+                    await tagsCollection.updateOne({ _id: tag._id }, { $set: { slug: slugify(tag.value) } })
+                        .catch(err => console.error(`Tag "${tag.value}" has no unique slug:`, err.message));
+                }
+                await recountTag(tag);
+            }
+        };
+        backfillTags().catch(err => console.error('Tag backfill failed:', err.message));
+
+        // Fold the per-tag reputation counters of `fromValue` into `toValue`. Points are added to
+        // any bucket the user already has for the target, then the source buckets are dropped.
+        const moveReputationBuckets = async (fromValue, toValue) => {
+            const cursor = reputationCollection.find(
+                { $and: [postsWithTag(fromValue), { tag: { $ne: toValue } }] },
+                { projection: { email: 1, period: 1, points: 1 } }
+            );
+            let batch = [];
+            const flush = async () => {
+                await reputationCollection.bulkWrite(batch.map(bucket => ({
+                    updateOne: {
+                        filter: { email: bucket.email, period: bucket.period, tag: toValue },
+                        update: { $inc: { points: bucket.points || 0 } },
+                        upsert: true,
+                    }
+                })), { ordered: false });
+                await reputationCollection.deleteMany({ _id: { $in: batch.map(bucket => bucket._id) } });
+                batch = [];
+            };
+            for await (const bucket of cursor) {
+                batch.push(bucket);
+                if (batch.length === 500) await flush();
+            }
+            if (batch.length) await flush();
+        };
+
+        // Move every post, follower, reputation and search count from one tag to another and drop the source tag
+        const mergeTagInto = async (source, target) => {
+            await postCollection.updateMany(postsWithTag(source.value), { $set: { tag: target.value } });
+            await moveReputationBuckets(source.value, target.value);
+
+            const followers = await followsCollection
+                .find({ targetType: 'tag', target: source.value }, { projection: { followerEmail: 1, createdAt: 1 } })
+                .toArray();
+            if (followers.length) {
+                await followsCollection.bulkWrite(followers.map(follow => ({
+                    updateOne: {
+                        filter: { followerEmail: follow.followerEmail, targetType: 'tag', target: target.value },
+                        update: { $setOnInsert: { createdAt: follow.createdAt || new Date() } },
+                        upsert: true,
+                    }
+                })), { ordered: false });
+                await followsCollection.deleteMany({ targetType: 'tag', target: source.value });
+            }
+
+            const popular = await popularTagsCollection.findOneAndDelete({ value: source.value });
+            if (popular) {
+                await popularTagsCollection.updateOne(
+                    { value: target.value },
+                    { $inc: { count: popular.count || 0 }, $set: { updatedAt: new Date() }, $setOnInsert: { createdAt: popular.createdAt || new Date() } },
+                    { upsert: true }
+                );
+            }
+
+            await tagsCollection.deleteOne({ _id: source._id });
+            return recountTag(target);
+        };
+
+        // kind is 'search' or 'post'; counted per tag and hour for trending tags
+        const recordTagActivity = async (tag, kind) => {
+            const hour = new Date();
+            hour.setUTCMinutes(0, 0, 0);
+            await tagActivityCollection.updateOne(
+                { tagId: tag._id, kind, hour },
+                { $inc: { count: 1 } },
+                { upsert: true }
+            );
+        };
+
+        // Count searches only for tags that exist in tagsCollection
+        const recordPopularTags = async (candidates) => {
+            for (const candidate of candidates) {
+                const tag = await findTag(candidate);
+                if (!tag) continue;
+                await recordTagActivity(tag, 'search');
+                await popularTagsCollection.updateOne(
+                    { value: tag.value },
+                    { $inc: { count: 1 }, $set: { updatedAt: new Date() }, $setOnInsert: { createdAt: new Date() } },
+                    { upsert: true }
+                );
+            }
+        };
+
+        // 👉 Rankings
+        // Hot scores (see HOT_RANKING) are stored on posts and trending tags in trendingTagsCollection,
+        // one document per window, so listings only read precomputed values.
+        const refreshHotScores = async () => {
+            const now = Date.now();
+            const cutoff = new Date(now - HOT_RANKING.windowDays * 24 * 60 * 60 * 1000);
+            const posts = await postCollection
+                .find({ createdAt: { $gte: cutoff }, ...PUBLISHED_FILTER }, { projection: { upVote: 1, downVote: 1, createdAt: 1 } })
+                .toArray();
+            // Comments on posts in the window are never older than the window
+            const comments = await commentsCollection.aggregate([
+                { $match: { createdAt: { $gte: cutoff }, isDeleted: { $ne: true }, ...PUBLISHED_FILTER } },
+                { $group: { _id: '$postId', count: { $sum: 1 } } },
+            ]).toArray();
+            const commentCounts = new Map(comments.map(group => [String(group._id), group.count]));
+
+            if (posts.length) {
+                await postCollection.bulkWrite(posts.map(post => {
+                    const points = (post.upVote || 0) - (post.downVote || 0)
+                        + HOT_RANKING.commentWeight * (commentCounts.get(String(post._id)) || 0);
+                    const ageHours = Math.max(now - post.createdAt.getTime(), 0) / (60 * 60 * 1000);
+                    return {
+                        updateOne: {
+                            filter: { _id: post._id },
+                            update: { $set: { hotScore: points / Math.pow(ageHours + 2, HOT_RANKING.gravity) } },
+                        }
+                    };
+                }), { ordered: false });
+            }
+            await postCollection.updateMany(
+                { createdAt: { $not: { $gte: cutoff } }, hotScore: { $ne: 0 } },
+                { $set: { hotScore: 0 } }
+            );
+        };
+
+        const refreshTrendingTags = async () => {
+            const now = new Date();
+            for (const [window, { hours, halfLifeHours }] of Object.entries(TRENDING_WINDOWS)) {
+                const countOf = (kind) => ({ $sum: { $cond: [{ $eq: ['$kind', kind] }, '$count', 0] } });
+                const tags = await tagActivityCollection.aggregate([
+                    { $match: { hour: { $gte: new Date(now.getTime() - hours * 60 * 60 * 1000) } } },
+                    {
+                        $group: {
+                            _id: '$tagId',
+                            searches: countOf('search'),
+                            posts: countOf('post'),
+                            score: {
+                                $sum: {
+                                    $multiply: [
+                                        '$count',
+                                        { $cond: [{ $eq: ['$kind', 'post'] }, TRENDING_WEIGHTS.post, TRENDING_WEIGHTS.search] },
+                                        { $pow: [0.5, { $divide: [{ $subtract: [now, '$hour'] }, halfLifeHours * 60 * 60 * 1000] }] },
+                                    ]
+                                }
+                            },
+                        }
+                    },
+                    { $sort: { score: -1 } },
+                    { $limit: MAX_TRENDING_TAGS },
+                    // Drops activity of tags deleted or merged away since
+                    { $lookup: { from: 'tags', localField: '_id', foreignField: '_id', as: 'tag' } },
+                    { $unwind: '$tag' },
+                    {
+                        $project: {
+                            _id: 0, value: '$tag.value', label: '$tag.label', slug: '$tag.slug',
+                            score: 1, searches: 1, posts: 1,
+                        }
+                    },
+                ]).toArray();
+                await trendingTagsCollection.replaceOne(
+                    { _id: window },
+                    { tags, computedAt: now },
+                    { upsert: true }
+                );
+            }
+        };
+
+        // 👉 Scheduled jobs
+        // Vercel cron calls these with `Authorization: Bearer <CRON_SECRET>`. Each job holds a lease in
+        // jobLocksCollection ({ _id: job name, leaseUntil, holder }) while it runs, so a slow run and
+        // the next invocation, or two instances, never overlap. A crashed run frees the job once its
+        // lease ends.
+        const verifyCron = (req, res, next) => {
+            const secret = process.env.CRON_SECRET;
+            if (!secret) return next(new ServiceUnavailableError('Scheduled jobs are not configured', 'cron_not_configured'));
+            const expected = Buffer.from(`Bearer ${secret}`);
+            const given = Buffer.from(req.get('authorization') || '');
+            if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+                return next(new UnauthorizedError('Unauthorized access', 'cron_unauthorized'));
+            }
+            next();
+        };
+
+        // Returns the holder id, or null while another run holds an unexpired lease
+        const acquireJobLease = async (job, leaseMs) => {
+            const now = new Date();
+            const holder = crypto.randomUUID();
+            try {
+                await jobLocksCollection.updateOne(
+                    { _id: job, leaseUntil: { $lte: now } },
+                    { $set: { leaseUntil: new Date(now.getTime() + leaseMs), holder, startedAt: now } },
+                    { upsert: true }
+                );
+                return holder;
+            } catch (err) {
+                // The upsert collides with the existing lock document while its lease is live
+                if (err.code === 11000) return null;
+                throw err;
+            }
+        };
+
+        const releaseJobLease = (job, holder, result) => jobLocksCollection.updateOne(
+            { _id: job, holder },
+            { $set: { leaseUntil: new Date(), finishedAt: new Date(), lastResult: result } }
+        );
+
+        app.get('/cron/rankings', verifyCron, async (req, res, next) => {
+            try {
+                const holder = await acquireJobLease('rankings', RANKING_LEASE_MS);
+                if (!holder) {
+                    return res.send({ ran: false, reason: 'already_running' });
+                }
+                const startedAt = Date.now();
+                try {
+                    await refreshHotScores();
+                    await refreshTrendingTags();
+                } catch (err) {
+                    await releaseJobLease('rankings', holder, { ok: false, error: err.message });
+                    throw err;
+                }
+                const durationMs = Date.now() - startedAt;
+                await releaseJobLease('rankings', holder, { ok: true, durationMs });
+                res.send({ ran: true, durationMs });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        app.get('/posts/count', async (req, res, next) => {
+            const { search, from, to } = req.query; 
+            try {
+                const { filter } = buildPostSearch({ search, from, to });
+                const count = await postSearchCollection.countDocuments(filter);
+                res.send({ count });
+            } catch (error) {
+                next(error);
+            }
+        })
+
+        // GET /posts/search?tag=<query>&sort=true|new|relevance
+        // Text queries are ranked by relevance unless sort asks for votes (true) or newest (new)
+        // With `cursor` the result is { items, next, total } (see paginate)
+        app.get('/posts/search', async (req, res, next) => {
+            const { tag, q, from, to, limit: limitStr, current, sort, cursor } = req.query;
+            const limit = parseInt(limitStr) 
+            const skip = (parseInt(current) || 0) * limit;
+            const { filter, text, tags } = buildPostSearch({ search: q ?? tag, from, to });
+            // Count a search once, on its first page, and only for its tag: filters
+            if (!cursor && !(parseInt(current) > 0)) {
+                try {
+                    await recordPopularTags(tags);
+                } catch (error) {
+                    console.error('Popular tag update Error:', error);
+                }
+            }
+            try {
+                if (wantsCursor(req.query)) {
+                    let sortKey = 'newest';
+                    if (sort === 'true') sortKey = 'votes';
+                    else if (text && sort !== 'new') sortKey = 'relevance';
+                    const stages = [];
+                    if (sortKey === 'relevance') stages.push({ $addFields: { score: { $meta: 'textScore' } } });
+                    if (sortKey === 'votes') stages.push(voteDifferenceStage);
+                    const page = await paginate(postSearchCollection, {
+                        filter, stages, sort: POST_SORTS[sortKey], cursor, limit: pageLimit(limitStr),
+                    });
+                    return res.json({
+                        items: await attachMyVotes(page.items, getOptionalUser(req)?.email),
+                        next: page.next,
+                        total: await postSearchCollection.countDocuments(filter),
+                    });
+                }
+
+                let sortStage = { createdAt: -1 };
+                if (sort === 'true') sortStage = { voteDifference: -1 };
+                else if (text && sort !== 'new') sortStage = { score: -1, createdAt: -1 };
+
+                const pipeline = [{ $match: filter }];
+                if (text) {
+                    pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+                }
+                if (sort === 'true') {
+                    pipeline.push({ $addFields: { voteDifference: { $subtract: ["$upVote", "$downVote"] } } });
+                }
+                pipeline.push({ $sort: sortStage });
+
+                const posts = await postSearchCollection.aggregate(pipeline)
+                    .skip(skip)
+                    .limit(limit)
+                    .toArray();
+                res.json(await attachMyVotes(posts, getOptionalUser(req)?.email));
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        // 👉 Content screening
+        // New posts and comments go through screenContent before insert, and edits before they
+        // are saved. Throttled new accounts are rejected outright; anything else that trips a
+        // check is stored with moderationStatus 'pending', hidden by PUBLISHED_FILTER, and gets
+        // an automatic report case so it shows up in the review queue. Flagged edits to published
+        // posts are held in pendingPostEditsCollection instead, so the post itself stays up.
+        let bannedWordsCache = { pattern: null, loadedAt: 0 };
+        const getBannedWordPattern = async () => {
+            if (Date.now() - bannedWordsCache.loadedAt < BANNED_WORDS_CACHE_MS) return bannedWordsCache.pattern;
+            const words = await bannedWordsCollection.find({}, { projection: { word: 1 } }).toArray();
+            const pattern = words.length
+                ? new RegExp(`(^|[^\\p{L}\\p{N}])(${words.map(({ word }) => escapeRegex(word)).join('|')})(?=$|[^\\p{L}\\p{N}])`, 'iu')
+                : null;
+            bannedWordsCache = { pattern, loadedAt: Date.now() };
+            return pattern;
+        };
+
+        const contentHashOf = (text) => crypto
+            .createHash('sha256')
+            .update(text.toLowerCase().replace(/\s+/g, ' ').trim())
+            .digest('hex');
+
+        // kind: 'post' | 'comment'. Pass excludeId when screening an edit: the daily throttle is
+        // skipped and the document is not counted as its own duplicate.
+        // Returns { contentHash, flags }; an empty flags array means publish.
+        const screenContent = async ({ kind, author, text, excludeId = null }) => {
+            const collection = kind === 'post' ? postCollection : commentsCollection;
+            const flags = [];
+            const now = Date.now();
+
+            // Accounts without createdAt predate it and count as established
+            const isNewAccount = !!author.createdAt && now - new Date(author.createdAt).getTime() < CONTENT_FILTER.newAccountMs;
+            if (isNewAccount && !excludeId) {
+                const today = await collection.countDocuments({
+                    authorEmail: author.email,
+                    createdAt: { $gte: new Date(now - 24 * 60 * 60 * 1000) },
+                });
+                if (today >= CONTENT_FILTER.newAccountDailyLimit[kind]) {
+                    throw new TooManyRequestsError(
+                        `New accounts can create ${CONTENT_FILTER.newAccountDailyLimit[kind]} ${kind}s per day`,
+                        'new_account_throttled'
+                    );
+                }
+            }
+
+            const bannedWords = await getBannedWordPattern();
+            if (bannedWords?.test(text)) flags.push('banned_word');
+
+            const links = (text.match(/https?:\/\/|www\./gi) || []).length;
+            if (links > CONTENT_FILTER.maxLinks[kind]) flags.push('too_many_links');
+            if (links > 0 && isNewAccount) flags.push('new_account_link');
+
+            const contentHash = contentHashOf(text);
+            const duplicates = await collection
+                .find(
+                    {
+                        contentHash,
+                        createdAt: { $gte: new Date(now - CONTENT_FILTER.duplicateWindowMs) },
+                        ...(excludeId && { _id: { $ne: excludeId } }),
+                    },
+                    { projection: { authorEmail: 1 } }
+                )
+                .limit(50)
+                .toArray();
+            if (duplicates.some(doc => doc.authorEmail === author.email)) flags.push('duplicate');
+            if (new Set([...duplicates.map(doc => doc.authorEmail), author.email]).size >= CONTENT_FILTER.duplicateAuthors) {
+                flags.push('mass_duplicate');
+            }
+
+            return { contentHash, flags };
+        };
+
+        // Open (or join) the target's active report case on behalf of the filter
+        const reportFlaggedContent = async (targetType, doc, flags) => {
+            const now = new Date();
+            const target = targetType === 'post'
+                ? { postId: doc._id, targetAuthorEmail: doc.authorEmail }
+                : { commentId: doc._id, postId: doc.postId, targetAuthorEmail: doc.authorEmail };
+            await reportsCollection.updateOne(
+                { targetType, targetId: doc._id, isOpen: true },
+                {
+                    $push: { reporters: { email: 'system', category: 'spam', reason: flags.join(', '), createdAt: now } },
+                    $inc: { reporterCount: 1, 'categories.spam': 1 },
+                    $max: { severity: REPORT_CATEGORIES.spam },
+                    $set: { updatedAt: now, autoFlags: flags },
+                    $setOnInsert: { ...target, status: 'open', assignee: null, source: 'filter', createdAt: now },
+                },
+                { upsert: true }
+            );
+        };
+
+        // Comments 
+        // Strip content from soft-deleted comments and hide edit history from listings
+        const toPublicComment = (comment) => {
+            const { editHistory, ...rest } = comment;
+            if (!comment.isDeleted) return rest;
+            return {
+                _id: comment._id,
+                postId: comment.postId,
+                parentId: comment.parentId || null,
+                rootId: comment.rootId || null,
+                depth: comment.depth || 0,
+                createdAt: comment.createdAt,
+                isDeleted: true,
+                deletedAt: comment.deletedAt,
+            };
+        };
+
+        // Tombstone a comment so replies and reports referencing it stay intact
+        const softDeleteComment = async (commentId, deletedBy) => {
+            const deleted = await commentsCollection.findOneAndUpdate(
+                { _id: commentId, isDeleted: { $ne: true } },
+                {
+                    $set: { isDeleted: true, deletedAt: new Date(), deletedBy },
+                    $unset: { comment: '' }
+                },
+                { returnDocument: 'after' }
+            );
+            if (deleted) {
+                realtime.publish(`post:${deleted.postId}`, 'comment.deleted', toPublicComment(deleted));
+            }
+            return deleted;
+        };
+
+        // GET /comment/:postId            -> flat list, newest first
+        // GET /comment/:postId?tree=true  -> top-level comments paginated by page/limit, replies nested
+        // Either form takes `cursor` instead, answering { items, next, total } (for trees, per top-level comment)
+        const COMMENT_SORT = [['createdAt', -1], ['_id', -1]];
+        app.get('/comment/:postId', async (req, res, next) => {
+            const postId = parseObjectId(req.params.postId, 'post id'); 
+            const cursorMode = wantsCursor(req.query);
+            try {
+                const query = { postId, ...PUBLISHED_FILTER }; 
+
+                if (req.query.tree !== 'true') {
+                    if (cursorMode) {
+                        const page = await paginate(commentsCollection, {
+                            filter: query, sort: COMMENT_SORT, cursor: req.query.cursor, limit: pageLimit(req.query.limit),
+                        });
+                        return res.send({
+                            items: page.items.map(toPublicComment),
+                            next: page.next,
+                            total: await commentsCollection.countDocuments(query),
+                        });
+                    }
+                    const comments = await commentsCollection.find(query)
+                        .sort({ createdAt : -1})
+                        .toArray(); 
+                    return res.send(comments.map(toPublicComment))
+                }
+
+                const page = parseInt(req.query.page) || 0;
+                const limit = parseInt(req.query.limit) || 10;
+                const rootQuery = { ...query, parentId: null };
+                const total = await commentsCollection.countDocuments(rootQuery);
+                let roots;
+                let nextCursor = null;
+                if (cursorMode) {
+                    ({ items: roots, next: nextCursor } = await paginate(commentsCollection, {
+                        filter: rootQuery, sort: COMMENT_SORT, cursor: req.query.cursor, limit: pageLimit(req.query.limit),
+                    }));
+                } else {
+                    roots = await commentsCollection.find(rootQuery)
+                        .sort({ createdAt: -1 })
+                        .skip(page * limit)
+                        .limit(limit)
+                        .toArray();
+                }
+                const replies = await commentsCollection
+                    .find({ rootId: { $in: roots.map(root => root._id) }, ...PUBLISHED_FILTER })
+                    .sort({ createdAt: 1 })
+                    .toArray();
+
+                // Replies are sorted oldest first, so a parent is always indexed before its children
+                const nodes = new Map();
+                const comments = roots.map(root => {
+                    const node = { ...toPublicComment(root), replies: [] };
+                    nodes.set(root._id.toString(), node);
+                    return node;
+                });
+                for (const reply of replies) {
+                    const parent = nodes.get(reply.parentId.toString());
+                    if (!parent) continue;
+                    const node = { ...toPublicComment(reply), replies: [] };
+                    nodes.set(reply._id.toString(), node);
+                    parent.replies.push(node);
+                }
+
+                if (cursorMode) {
+                    return res.send({ items: comments, next: nextCursor, total });
+                }
+                res.send({ comments, total, page, limit })
+            } catch (error) {
+                next(error);
+            }
+        })
+
+        // Push a newly visible comment to the post's stream and notify the post author,
+        // the parent comment's author and anyone @mentioned
+        const announceComment = async (comment) => {
+            realtime.publish(`post:${comment.postId}`, 'comment.created', toPublicComment(comment));
+
+            const actorName = comment.authorName || 'Someone';
+            const post = await postCollection.findOne({ _id: comment.postId }, { projection: { authorEmail: 1, title: 1 } });
+            const parent = comment.parentId
+                ? await commentsCollection.findOne({ _id: comment.parentId }, { projection: { authorEmail: 1 } })
+                : null;
+            const notification = {
+                actor: comment.authorEmail,
+                link: `/post/${comment.postId}`,
+                data: { postId: comment.postId, commentId: comment._id },
+            };
+            if (parent) {
+                await notify({
+                    ...notification,
+                    recipient: parent.authorEmail,
+                    type: 'reply',
+                    groupKey: `comment:${parent._id}`,
+                    message: `${actorName} replied to your comment`,
+                });
+            }
+            // A reply to the post author's own comment is already covered above
+            if (post && post.authorEmail !== parent?.authorEmail) {
+                await notify({
+                    ...notification,
+                    recipient: post.authorEmail,
+                    type: 'comment',
+                    groupKey: `post:${comment.postId}`,
+                    message: `${actorName} commented on "${post.title}"`,
+                });
+            }
+            await notifyMentions(comment, actorName);
+        };
+
+        // parentId is optional; replies are capped at MAX_COMMENT_DEPTH levels
+        app.post('/post/comment', verifyJWT, rateLimit('comment'), validateBody(schemas.createComment), async (req, res, next) => {
+            const { postId:postIdStr, parentId:parentIdStr, comment } = req.body; 
+            try {
+                const postId = new ObjectId(postIdStr); 
+                let parentId = null;
+                let rootId = null;
+                let depth = 0;
+
+                if (parentIdStr) {
+                    const parent = await commentsCollection.findOne({ _id: new ObjectId(parentIdStr) });
+                    if (!parent || !parent.postId.equals(postId)) {
+                        throw new NotFoundError('Parent comment not found');
+                    }
+                    if (parent.isDeleted) {
+                        throw new GoneError('Cannot reply to a deleted comment');
+                    }
+                    depth = (parent.depth || 0) + 1;
+                    if (depth > MAX_COMMENT_DEPTH) {
+                        throw new BadRequestError(`Replies can only be nested ${MAX_COMMENT_DEPTH} levels deep`);
+                    }
+                    parentId = parent._id;
+                    rootId = parent.rootId || parent._id;
+                }
+
+                const text = sanitizeText(comment);
+                if (!text) {
+                    throw new ValidationError([{ field: 'comment', message: 'comment is empty once markup is removed' }]);
+                }
+                const author = await userCollection.findOne(
+                    { email: req.decoded.email },
+                    { projection: { email: 1, name: 1, image: 1, createdAt: 1 } }
+                );
+                const { contentHash, flags } = await screenContent({ kind: 'comment', author: author || { email: req.decoded.email }, text });
+                const createdAt = new Date
+                const commentData = {
+                    postId,
+                    comment: text, 
+                    authorEmail: req.decoded.email,
+                    authorName: author?.name || null,
+                    authorImage: author?.image || null,
+                    parentId,
+                    rootId,
+                    depth,
+                    contentHash,
+                    createdAt
+                }
+                if (flags.length) {
+                    commentData.moderationStatus = 'pending';
+                    commentData.moderationFlags = flags;
+                }
+                const result = await commentsCollection.insertOne(commentData); 
+                if (flags.length) {
+                    await reportFlaggedContent('comment', commentData, flags);
+                } else {
+                    await announceComment(commentData);
+                }
+
+                res.status(201).send({ ...result, moderationStatus: commentData.moderationStatus || 'published' }); 
+            } catch (error) {
+                next(error);
+            }
+        })
+
+        // Edit own comment, keeping previous versions in editHistory
+        app.patch('/comment/:id', verifyJWT, validateBody(schemas.editComment), async (req, res, next) => {
+            const {id} = req.params;
+            const text = sanitizeText(req.body.comment);
+            if (!ObjectId.isValid(id)) {
+                throw new BadRequestError('Invalid comment id', 'invalid_id');
+            }
+            if (!text) {
+                throw new ValidationError([{ field: 'comment', message: 'comment is empty once markup is removed' }]);
+            }
+            try {
+                const query = { _id: new ObjectId(id) };
+                const existing = await commentsCollection.findOne(query);
+                if (!existing) {
+                    throw new NotFoundError('Comment not found');
+                }
+                if (existing.isDeleted) {
+                    throw new GoneError('Comment has been deleted');
+                }
+                if (existing.authorEmail !== req.decoded.email) {
+                    throw new ForbiddenError('Forbidden: not the comment author');
+                }
+
+                const author = await userCollection.findOne(
+                    { email: req.decoded.email },
+                    { projection: { email: 1, name: 1, createdAt: 1 } }
+                );
+                const { contentHash, flags } = await screenContent({
+                    kind: 'comment',
+                    author: author || { email: req.decoded.email },
+                    text,
+                    excludeId: existing._id,
+                });
+                const editedAt = new Date();
+                const changes = { comment: text, contentHash, editedAt };
+                if (flags.length) {
+                    Object.assign(changes, { moderationStatus: 'pending', moderationFlags: flags });
+                    // Approval of a held edit republishes instead of announcing a new comment
+                    if (!['pending', 'rejected'].includes(existing.moderationStatus)) changes.heldOnEdit = true;
+                }
+                const updated = await commentsCollection.findOneAndUpdate(
+                    query,
+                    {
+                        $set: changes,
+                        $push: { editHistory: { comment: existing.comment, editedAt } }
+                    },
+                    { returnDocument: 'after' }
+                );
+                if (flags.length) {
+                    await reportFlaggedContent('comment', updated, flags);
+                }
+                // Comments still under review stay quiet until they are approved
+                if (!updated.moderationStatus || updated.moderationStatus === 'approved') {
+                    await notifyMentions(updated, author?.name, existing.comment);
+                    realtime.publish(`post:${updated.postId}`, 'comment.updated', toPublicComment(updated));
+                }
+                res.send(toPublicComment(updated));
+            } catch (error) {
+                next(error);
+            }
+        })
+
+        // Delete own comment (soft delete)
+        app.delete('/comment/:id', verifyJWT, async (req, res, next) => {
+            const {id} = req.params;
+            if (!ObjectId.isValid(id)) {
+                throw new BadRequestError('Invalid comment id', 'invalid_id');
+            }
+            try {
+                const query = { _id: new ObjectId(id) };
+                const existing = await commentsCollection.findOne(query);
+                if (!existing || existing.isDeleted) {
+                    throw new NotFoundError('Comment not found');
+                }
+                if (existing.authorEmail !== req.decoded.email) {
+                    throw new ForbiddenError('Forbidden: not the comment author');
+                }
+                await softDeleteComment(query._id, req.decoded.email);
+                res.send({ success: true, message: 'Comment deleted successfully' });
+            } catch (error) {
+                next(error);
+            }
+        })
+
+        // The post author marks one comment as the accepted answer (replacing any earlier one)
+        app.patch('/comment/:id/accept', verifyJWT, async (req, res, next) => {
+            const commentId = parseObjectId(req.params.id, 'comment id');
+            try {
+                const comment = await commentsCollection.findOne({ _id: commentId });
+                if (!comment || comment.isDeleted) {
+                    throw new NotFoundError('Comment not found');
+                }
+                const now = new Date();
+                const post = await postCollection.findOneAndUpdate(
+                    { _id: comment.postId, authorEmail: req.decoded.email, acceptedCommentId: { $ne: commentId } },
+                    { $set: { acceptedCommentId: commentId, acceptedAt: now } },
+                    { returnDocument: 'before', projection: { authorEmail: 1, tag: 1, acceptedCommentId: 1, acceptedAt: 1 } }
+                );
+                if (!post) {
+                    const owned = await postCollection.findOne({ _id: comment.postId, authorEmail: req.decoded.email }, { projection: { _id: 1 } });
+                    if (!owned) {
+                        throw new ForbiddenError('Only the post author can accept a comment');
+                    }
+                    return res.send({ success: true, acceptedCommentId: commentId });
+                }
+
+                if (post.acceptedCommentId) {
+                    const previous = await commentsCollection.findOneAndUpdate(
+                        { _id: post.acceptedCommentId },
+                        { $unset: { isAccepted: '' } },
+                        { projection: { authorEmail: 1 } }
+                    );
+                    if (previous && previous.authorEmail !== post.authorEmail) {
+                        await addReputation(previous.authorEmail, -REPUTATION_POINTS.commentAccepted, { tag: post.tag, at: post.acceptedAt });
+                    }
+                }
+                await commentsCollection.updateOne({ _id: commentId }, { $set: { isAccepted: true } });
+                if (comment.authorEmail !== post.authorEmail) {
+                    await addReputation(comment.authorEmail, REPUTATION_POINTS.commentAccepted, { tag: post.tag });
+                }
+                res.send({ success: true, acceptedCommentId: commentId });
+            } catch (error) {
+                next(error);
+            }
+        })
+
+        app.delete('/comment/:id/accept', verifyJWT, async (req, res, next) => {
+            const commentId = parseObjectId(req.params.id, 'comment id');
+            try {
+                const comment = await commentsCollection.findOne({ _id: commentId }, { projection: { postId: 1, authorEmail: 1 } });
+                if (!comment) {
+                    throw new NotFoundError('Comment not found');
+                }
+                const post = await postCollection.findOneAndUpdate(
+                    { _id: comment.postId, authorEmail: req.decoded.email, acceptedCommentId: commentId },
+                    { $unset: { acceptedCommentId: '', acceptedAt: '' } },
+                    { projection: { authorEmail: 1, tag: 1, acceptedAt: 1 } }
+                );
+                if (!post) {
+                    throw new NotFoundError('This comment is not the accepted answer on your post');
+                }
+                await commentsCollection.updateOne({ _id: commentId }, { $unset: { isAccepted: '' } });
+                if (comment.authorEmail !== post.authorEmail) {
+                    await addReputation(comment.authorEmail, -REPUTATION_POINTS.commentAccepted, { tag: post.tag, at: post.acceptedAt });
+                }
+                res.send({ success: true, acceptedCommentId: null });
+            } catch (error) {
+                next(error);
+            }
+        })
+
+        // Vote on a Post 
+        // type: 'up' | 'down' casts or switches the caller's vote, 'none' retracts it
+        app.patch('/post/vote/:postId', verifyJWT, rateLimit('vote'), validateBody(schemas.vote), async (req, res, next) => {
+            const {postId} = req.params; 
+            const {type} = req.body; 
+            const userEmail = req.decoded.email;
+
+            if (!ObjectId.isValid(postId)) {
+                throw new BadRequestError('Invalid post id', 'invalid_id');
+            }
+
+            try {
+                const query = {_id : new ObjectId(postId)}
+                const post = await postCollection.findOne({ ...query, ...PUBLISHED_FILTER }, { projection: { authorEmail: 1, title: 1, tag: 1 } });
+                if (!post) {
+                    throw new NotFoundError('Post not found');
+                }
+
+                // Swap the stored vote atomically and read back the previous one,
+                // so the counters are adjusted by the real difference
+                const voteFilter = { postId: query._id, userEmail };
+                let previous;
+                if (type === 'none') {
+                    previous = await votesCollection.findOneAndDelete(voteFilter);
+                } else {
+                    const now = new Date();
+                    previous = await votesCollection.findOneAndUpdate(
+                        voteFilter,
+                        { $set: { type, updatedAt: now }, $setOnInsert: { createdAt: now } },
+                        { upsert: true, returnDocument: 'before' }
+                    );
+                }
+
+                const previousType = previous?.type || null;
+                const newType = type === 'none' ? null : type;
+                const inc = {};
+                if (previousType !== newType) {
+                    if (previousType) inc[previousType === 'up' ? 'upVote' : 'downVote'] = -1;
+                    if (newType) inc[newType === 'up' ? 'upVote' : 'downVote'] = 1;
+                }
+
+                const updated = Object.keys(inc).length
+                    ? await postCollection.findOneAndUpdate(query, { $inc: inc }, {
+                        returnDocument: 'after',
+                        projection: { upVote: 1, downVote: 1 }
+                    })
+                    : await postCollection.findOne(query, { projection: { upVote: 1, downVote: 1 } });
+                if (Object.keys(inc).length && post.authorEmail !== userEmail) {
+                    const votePoints = { up: REPUTATION_POINTS.upvoteReceived, down: REPUTATION_POINTS.downvoteReceived };
+                    if (previousType) {
+                        await addReputation(post.authorEmail, -votePoints[previousType], { tag: post.tag, at: previous.updatedAt || previous.createdAt });
+                    }
+                    if (newType) {
+                        await addReputation(post.authorEmail, votePoints[newType], { tag: post.tag });
+                    }
+                }
+                if (Object.keys(inc).length) {
+                    realtime.publish(`post:${postId}`, 'vote', { postId, upVote: updated?.upVote || 0, downVote: updated?.downVote || 0 });
+                }
+
+                // Only fresh upvotes notify; switching or retracting stays silent
+                if (newType === 'up' && !previousType) {
+                    await notify({
+                        recipient: post.authorEmail,
+                        type: 'vote',
+                        groupKey: `post:${postId}`,
+                        actor: userEmail,
+                        message: `Your post "${post.title}" received an upvote`,
+                        link: `/post/${postId}`,
+                        data: { postId: query._id },
+                    });
+                }
+
+                res.send({
+                    postId,
+                    upVote: updated?.upVote || 0,
+                    downVote: updated?.downVote || 0,
+                    myVote: newType
+                })
+            } catch (error) {
+                next(error);
+            }
+        }); 
+
+        // Get the Membership Status 
+        app.get('/membershipStatus/:email', verifyJWT, verifySelfOrAdmin, async (req, res, next) => {
+            const {email} = req.params; 
+            try {
+                const user = await expireLapsedMembership(await userCollection.findOne({email}));
+                if (!user) {
+                    throw new NotFoundError('User not found', 'user_not_found');
+                }
+                const { memberShip, postLimit, currentPeriodEnd, subscription } = user;
+                res.send({
+                    memberShip,
+                    postLimit,
+                    currentPeriodEnd: currentPeriodEnd || null,
+                    plan: subscription?.plan || null,
+                    cancelAtPeriodEnd: !!subscription?.cancelAtPeriodEnd
+                })
+            } catch (error) {
+                next(error);
+            }
+        })
+        
+        // GET /leaderboard?window=all|month|week&tag=&limit=
+        // Ranks by the reputation counters for the current month or ISO week (or all time),
+        // optionally within one tag. Only public profile fields are returned.
+        app.get("/leaderboard", async (req, res, next) => {
+            const window = req.query.window || 'all';
+            if (!LEADERBOARD_WINDOWS.includes(window)) {
+                throw new BadRequestError(`window must be one of ${LEADERBOARD_WINDOWS.join(', ')}`, 'invalid_window');
+            }
+            const limit = Math.min(parseInt(req.query.limit) || 10, MAX_LEADERBOARD_SIZE);
+            const tag = req.query.tag ? String(req.query.tag) : null;
+            try {
+                // Over-fetch so users who opted out of the leaderboard don't leave it short
+                const scores = await reputationCollection
+                    .find({ period: reputationPeriods()[window], tag, points: { $gt: 0 } })
+                    .sort({ points: -1 })
+                    .limit(limit * 2)
+                    .toArray();
+                const users = await userCollection
+                    .find(
+                        { email: { $in: scores.map(score => score.email) }, 'privacy.hideFromLeaderboard': { $ne: true } },
+                        { projection: { ...PUBLIC_USER_PROJECTION, email: 1 } }
+                    )
+                    .toArray();
+                const userByEmail = new Map(users.map(({ email, ...profile }) => [email, profile]));
+                const leaders = scores
+                    .filter(score => userByEmail.has(score.email))
+                    .slice(0, limit)
+                    .map((score, index) => ({ rank: index + 1, ...userByEmail.get(score.email), points: score.points }));
+                res.send(leaders);
+            } catch (error) {
+                next(error);
+            }
+        })
+        // 👉 Save new user
+        // Save the signed-in user; role, membership, badges and postLimit are set by the server
+        app.post('/users', verifyJWT, validateBody(schemas.createUser), async (req, res, next) => {
+            const userData = req.body;
+            if (userData.email !== req.decoded.email) {
+                throw new ForbiddenError('Forbidden: email mismatch');
+            }
+            const emailExists = await userCollection.findOne({ email: userData?.email });
+
+            // Check if username already exists
+            const usernameExists = userData.username && await userCollection.findOne({ username: userData.username });
+            if (!emailExists && usernameExists) {
+                throw new ConflictError('Username already exists', 'username_taken');
+            }
+
+            if (emailExists) {
+                try {
+                    const updatedUserDoc = {
+                        $set: {
+                            lastSignIn: new Date().toISOString(),
+                            lastSignInIp: req.ip,
+                        }
+                    };
+                    await userCollection.updateOne({ email: userData.email }, updatedUserDoc);
+                } catch (error) {
+                    console.error('Error checking email existence:', error);
+
+                }
+                return res.status(200).send({ message: 'Email already exists' });
+            } else {
+                try {
+                    const newUserData = {
+                        ...userData,
+                        role: 'user',
+                        memberShip: 'non-member',
+                        badges: ['Bronze'],
+                        postLimit: NON_MEMBER_POST_LIMIT,
+                        createdAt: new Date(),
+                        lastSignInIp: req.ip,
+                    }
+                    const result = await userCollection.insertOne(newUserData);
+                    res.status(201).send({ message: 'User saved successfully', insertedId: result.insertedId });
+                } catch (err) {
+                    next(err);
+                }
+            }
+        });
+
+        // Update own profile fields
+        app.patch('/user/update/:email', verifyJWT, validateBody(schemas.updateUser), async (req, res, next) => {
+            const {email} = req.params; 
+            const data = req.body; 
+            if (email !== req.decoded.email) {
+                throw new ForbiddenError('Forbidden: email mismatch');
+            }
+            if (Object.keys(data).length === 0) {
+                throw new BadRequestError('Nothing to update');
+            }
+            try {
+                const updateDoc = {
+                    $set: data
+                }; 
+                const result = await userCollection.updateOne({email}, updateDoc); 
+                res.send(result); 
+            } catch (error) {
+                next(error);
+            }
+        })
+        
+        // Post realted route 
+
+        // GET /posts/user/:email/count
+        app.get('/posts/user/:email/count', verifyJWT, async (req, res) => {
+            const decodedEmail = req.decoded.email;
+            const email = req.params.email;
+
+            if (decodedEmail !== email) {
+                throw new ForbiddenError('Forbidden: email mismatch');
+            }
+
+            const count = await postCollection.countDocuments({ authorEmail: email });
+            res.send({ count });
+        });
+
+        // GET /posts/user/:email
+        app.get('/posts/user/:email', verifyJWT, async (req, res) => {
+            const decodedEmail = req.decoded.email;
+            const email = req.params.email;
+            let limit = req.query.limit; 
+            limit = parseInt(limit)
+            
+            if (decodedEmail !== email) {
+                throw new ForbiddenError('Forbidden: email mismatch');
+            }; 
+
+            // With `cursor`: { items, next, total }, newest first
+            if (wantsCursor(req.query)) {
+                const filter = { authorEmail: email };
+                const page = await paginate(postCollection, {
+                    filter, sort: POST_SORTS.newest, cursor: req.query.cursor, limit: pageLimit(req.query.limit),
+                });
+                return res.send({ ...page, total: await postCollection.countDocuments(filter) });
+            }
+
+            if(limit) {
+                const posts = await postCollection.find({ authorEmail: email }).limit(limit).sort({ createdAt : -1}).toArray();
+                return res.send(posts)
+            }
+
+            const posts = await postCollection.find({ authorEmail: email }).toArray();
+            res.send(posts);
+        }); 
+
+        app.get('/user/:email', verifyJWT, verifySelfOrAdmin, async (req, res) => {
+            const {email} = req.params; 
+            const user = await userCollection.findOne({email}); 
+            res.send(user)
+        })
+
+        // Public profile by username. Only PUBLIC_USER_PROJECTION fields are exposed, and
+        // activity (counts and recent posts) is left out when the user hides it.
+        app.get('/profile/:username', async (req, res, next) => {
+            const { username } = req.params;
+            try {
+                const user = await userCollection.findOne(
+                    { username },
+                    { projection: { ...PUBLIC_USER_PROJECTION, email: 1, privacy: 1 } }
+                );
+                if (!user) {
+                    throw new NotFoundError('Profile not found', 'user_not_found');
+                }
+                const { email, privacy, reputation, followerCount, followingCount, ...profile } = user;
+                const result = {
+                    ...profile,
+                    reputation: reputation || 0,
+                    followerCount: followerCount || 0,
+                    followingCount: followingCount || 0,
+                };
+                if (privacy?.hideActivity) {
+                    return res.send({ ...result, activityHidden: true });
+                }
+                const [postCount, commentCount, recentPosts] = await Promise.all([
+                    postCollection.countDocuments({ authorEmail: email, ...PUBLISHED_FILTER }),
+                    commentsCollection.countDocuments({ authorEmail: email, isDeleted: { $ne: true }, ...PUBLISHED_FILTER }),
+                    postCollection
+                        .find({ authorEmail: email, ...PUBLISHED_FILTER }, { projection: { title: 1, tag: 1, upVote: 1, downVote: 1, createdAt: 1 } })
+                        .sort({ createdAt: -1 })
+                        .limit(PROFILE_RECENT_POSTS)
+                        .toArray(),
+                ]);
+                res.send({ ...result, activityHidden: false, postCount, commentCount, recentPosts });
+            } catch (error) {
+                next(error);
+            }
+        })
+
+        // Privacy preferences: hideActivity, hideFromLeaderboard
+        app.patch('/user/privacy', verifyJWT, validateBody(schemas.privacy), async (req, res, next) => {
+            if (Object.keys(req.body).length === 0) {
+                throw new BadRequestError('Nothing to update');
+            }
+            try {
+                const set = Object.fromEntries(Object.entries(req.body).map(([key, value]) => [`privacy.${key}`, value]));
+                const user = await userCollection.findOneAndUpdate(
+                    { email: req.decoded.email },
+                    { $set: set },
+                    { returnDocument: 'after', projection: { privacy: 1 } }
+                );
+                if (!user) {
+                    throw new NotFoundError('User not found');
+                }
+                res.send({
+                    hideActivity: !!user.privacy?.hideActivity,
+                    hideFromLeaderboard: !!user.privacy?.hideFromLeaderboard,
+                });
+            } catch (error) {
+                next(error);
+            }
+        })
+
+        // 👉 Bookmarks
+        app.post('/bookmarks/:postId', verifyJWT, async (req, res, next) => {
+            const postId = parseObjectId(req.params.postId, 'post id');
+            try {
+                const post = await postCollection.findOne({ _id: postId, ...PUBLISHED_FILTER }, { projection: { _id: 1 } });
+                if (!post) {
+                    throw new NotFoundError('Post not found');
+                }
+                await bookmarksCollection.updateOne(
+                    { userEmail: req.decoded.email, postId },
+                    { $setOnInsert: { createdAt: new Date() } },
+                    { upsert: true }
+                );
+                res.status(201).send({ success: true, postId, bookmarked: true });
+            } catch (error) {
+                next(error);
+            }
+        })
+
+        app.delete('/bookmarks/:postId', verifyJWT, async (req, res, next) => {
+            const postId = parseObjectId(req.params.postId, 'post id');
+            try {
+                await bookmarksCollection.deleteOne({ userEmail: req.decoded.email, postId });
+                res.send({ success: true, postId, bookmarked: false });
+            } catch (error) {
+                next(error);
+            }
+        })
+
+        // GET /bookmarks?page=&limit= -> the caller's bookmarked posts, most recently saved first
+        app.get('/bookmarks', verifyJWT, async (req, res, next) => {
+            const page = parseInt(req.query.page) || 0;
+            const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+            try {
+                const filter = { userEmail: req.decoded.email };
+                const [bookmarks, total] = await Promise.all([
+                    bookmarksCollection.find(filter).sort({ createdAt: -1 }).skip(page * limit).limit(limit).toArray(),
+                    bookmarksCollection.countDocuments(filter),
+                ]);
+                const posts = await postCollection
+                    .find({ _id: { $in: bookmarks.map(bookmark => bookmark.postId) }, ...PUBLISHED_FILTER })
+                    .toArray();
+                const postById = new Map(posts.map(post => [post._id.toString(), post]));
+                // Bookmarks of deleted or hidden posts are skipped
+                const saved = bookmarks
+                    .filter(bookmark => postById.has(bookmark.postId.toString()))
+                    .map(bookmark => ({ ...postById.get(bookmark.postId.toString()), bookmarkedAt: bookmark.createdAt }));
+                res.send({ posts: await attachMyVotes(saved, req.decoded.email), total, page, limit });
+            } catch (error) {
+                next(error);
+            }
+        })
+
+        // 👉 Follows
+        // Users are followed by username and stored by email. followerCount/followingCount on the
+        // user documents count user follows only, and move only when a follow is really added or removed.
+        app.post('/follow/users/:username', verifyJWT, async (req, res, next) => {
+            const followerEmail = req.decoded.email;
+            try {
+                const target = await userCollection.findOne({ username: req.params.username }, { projection: { email: 1 } });
+                if (!target) {
+                    throw new NotFoundError('User not found', 'user_not_found');
+                }
+                if (target.email === followerEmail) {
+                    throw new BadRequestError('You cannot follow yourself', 'self_follow');
+                }
+                const result = await followsCollection.updateOne(
+                    { followerEmail, targetType: 'user', target: target.email },
+                    { $setOnInsert: { createdAt: new Date() } },
+                    { upsert: true }
+                );
+                if (result.upsertedCount) {
+                    await userCollection.updateOne({ email: target.email }, { $inc: { followerCount: 1 } });
+                    await userCollection.updateOne({ email: followerEmail }, { $inc: { followingCount: 1 } });
+                    const follower = await userCollection.findOne({ email: followerEmail }, { projection: { name: 1, username: 1 } });
+                    await notify({
+                        recipient: target.email,
+                        type: 'follow',
+                        groupKey: 'followers',
+                        actor: followerEmail,
+                        message: `${follower?.name || 'Someone'} started following you`,
+                        link: follower?.username ? `/profile/${follower.username}` : null,
+                    });
+                }
+                res.status(201).send({ success: true, following: true });
+            } catch (error) {
+                next(error);
+            }
+        })
+
+        app.delete('/follow/users/:username', verifyJWT, async (req, res, next) => {
+            const followerEmail = req.decoded.email;
+            try {
+                const target = await userCollection.findOne({ username: req.params.username }, { projection: { email: 1 } });
+                if (!target) {
+                    throw new NotFoundError('User not found', 'user_not_found');
+                }
+                const result = await followsCollection.deleteOne({ followerEmail, targetType: 'user', target: target.email });
+                if (result.deletedCount) {
+                    await userCollection.updateOne({ email: target.email }, { $inc: { followerCount: -1 } });
+                    await userCollection.updateOne({ email: followerEmail }, { $inc: { followingCount: -1 } });
+                }
+                res.send({ success: true, following: false });
+            } catch (error) {
+                next(error);
+            }
+        })
+
+        // Tags must exist in tagsCollection (by value or slug); the stored value keeps the tag's own casing
+        app.post('/follow/tags/:tag', verifyJWT, async (req, res, next) => {
+            try {
+                const tag = await findTag(req.params.tag);
+                if (!tag) {
+                    throw new NotFoundError('Tag not found');
+                }
+                await followsCollection.updateOne(
+                    { followerEmail: req.decoded.email, targetType: 'tag', target: tag.value },
+                    { $setOnInsert: { createdAt: new Date() } },
+                    { upsert: true }
+                );
+                res.status(201).send({ success: true, tag: tag.value, following: true });
+            } catch (error) {
+                next(error);
+            }
+        })
+
+        app.delete('/follow/tags/:tag', verifyJWT, async (req, res, next) => {
+            try {
+                const tag = await findTag(req.params.tag);
+                if (!tag) {
+                    throw new NotFoundError('Tag not found');
+                }
+                await followsCollection.deleteOne({ followerEmail: req.decoded.email, targetType: 'tag', target: tag.value });
+                res.send({ success: true, tag: tag.value, following: false });
+            } catch (error) {
+                next(error);
+            }
+        })
+
+        // Everyone and every tag the caller follows
+        app.get('/following', verifyJWT, async (req, res, next) => {
+            try {
+                const follows = await followsCollection
+                    .find({ followerEmail: req.decoded.email })
+                    .sort({ createdAt: -1 })
+                    .toArray();
+                const users = await userCollection
+                    .find(
+                        { email: { $in: follows.filter(follow => follow.targetType === 'user').map(follow => follow.target) } },
+                        { projection: PUBLIC_USER_PROJECTION }
+                    )
+                    .toArray();
+                const tags = follows.filter(follow => follow.targetType === 'tag').map(follow => follow.target);
+                res.send({ users, tags });
+            } catch (error) {
+                next(error);
+            }
+        })
+
+        // POST /posts
+        app.post('/posts', verifyJWT, rateLimit('post'), validateBody(schemas.createPost), async (req, res) => {
+            const decodedEmail = req.decoded.email;
+
+            // Check post limit
+            const postCount = await postCollection.countDocuments({ authorEmail: decodedEmail });
+
+            const member = await expireLapsedMembership(await userCollection.findOne({ email: decodedEmail }));
+            if (!member) {
+                throw new ForbiddenError('Forbidden: user not found');
+            }
+            if (member.memberShip === 'member') {
+                if (postCount > NON_MEMBER_POST_LIMIT + MEMBERSHIP_POST_BONUS) {
+                    throw new ForbiddenError('Post limit exceeded', 'post_limit_exceeded');
+                }
+            } else if (member.memberShip === 'non-member') {
+                if (postCount > NON_MEMBER_POST_LIMIT) {
+                    throw new ForbiddenError('Post limit exceeded', 'post_limit_exceeded');
+                }
+            }
+
+            const fields = Object.fromEntries(Object.entries(req.body).map(([field, value]) => [field, sanitizeText(value)]));
+            const emptyFields = Object.keys(fields).filter(field => !fields[field]);
+            if (emptyFields.length) {
+                throw new ValidationError(emptyFields.map(field => ({ field, message: `${field} is empty once markup is removed` })));
+            }
+            const tag = await findTag(fields.tag);
+            if (!tag) {
+                throw new ValidationError([{ field: 'tag', message: 'tag does not exist' }]);
+            }
+            fields.tag = tag.value;
+            const { contentHash, flags } = await screenContent({
+                kind: 'post',
+                author: member,
+                text: `${fields.title}\n${fields.description}`,
+            });
+
+            const postData = {
+                ...fields,
+                authorEmail: decodedEmail,
+                authorName: member.name || null,
+                authorImage: member.image || null,
+                upVote: 0,
+                downVote: 0,
+                hotScore: 0,
+                contentHash,
+                createdAt: new Date(),
+            };
+            if (flags.length) {
+                postData.moderationStatus = 'pending';
+                postData.moderationFlags = flags;
+            }
+            const result = await postCollection.insertOne(postData);
+            if (flags.length) {
+                await reportFlaggedContent('post', postData, flags);
+            } else {
+                await adjustTagCount(tag.value, 1);
+                await recordTagActivity(tag, 'post');
+            }
+            const updatedDoc = {
+                $inc: { postLimit: -1 }
+            }
+            await userCollection.updateOne({ email: decodedEmail }, updatedDoc);
+            res.send({ ...result, moderationStatus: postData.moderationStatus || 'published' });
         });
 
-        app.get('/latestPosts' , async (req, res) => {
+        // Reports related api 
+        // A report case aggregates every report against one target (post, comment or user)
+        // while it is open or in review. isOpen is set only on active cases and backs a
+        // unique index, so each target has at most one active case.
+        // Resolve the reported target, returning the fields stored on the case
+        const loadReportTarget = async (targetType, targetId) => {
+            if (targetType === 'post') {
+                const post = await postCollection.findOne({ _id: targetId }, { projection: { authorEmail: 1 } });
+                return post && { postId: post._id, targetAuthorEmail: post.authorEmail };
+            }
+            if (targetType === 'comment') {
+                const comment = await commentsCollection.findOne({ _id: targetId, isDeleted: { $ne: true } });
+                return comment && { commentId: comment._id, postId: comment.postId, targetAuthorEmail: comment.authorEmail };
+            }
+            if (targetType === 'user') {
+                const user = await userCollection.findOne({ _id: targetId }, { projection: { email: 1 } });
+                return user && { targetAuthorEmail: user.email };
+            }
+            return null;
+        };
+
+        // Filters shared by GET /reports and /reports/count.
+        // Cases without a status predate the workflow and are treated as open.
+        const buildReportFilter = ({ status, targetType, assignee, minSeverity }) => {
+            const statuses = status ? String(status).split(',') : ACTIVE_REPORT_STATUSES;
+            const filter = statuses.includes('open')
+                ? { $or: [{ status: { $in: statuses } }, { status: { $exists: false } }] }
+                : { status: { $in: statuses } };
+            if (targetType) filter.targetType = targetType;
+            if (assignee) filter.assignee = assignee === 'none' ? null : assignee;
+            if (minSeverity) filter.severity = { $gte: parseInt(minSeverity) || 0 };
+            return filter;
+        };
+
+        const REPORT_SORTS = {
+            severity: { severity: -1, reporterCount: -1, createdAt: -1 },
+            reporters: { reporterCount: -1, severity: -1, createdAt: -1 },
+            newest: { createdAt: -1 },
+        };
+
+        // Active case for a comment, used by the client to mark reported comments.
+        // Admins see any case; everyone else only one they reported, without the moderation fields.
+        app.get('/report/:id', verifyJWT, async (req, res, next) => {
+            const {id} = req.params;
+            if (!ObjectId.isValid(id)) {
+                throw new BadRequestError('Invalid comment id', 'invalid_id');
+            }
+            try {
+                const isAdmin = await isAdminEmail(req.decoded.email);
+                const query = { commentId: new ObjectId(id), status: { $nin: ['resolved', 'dismissed'] } };
+                if (!isAdmin) query['reporters.email'] = req.decoded.email;
+                const result = await reportsCollection.findOne(query, { projection: isAdmin ? { reporters: 0 } : REPORTER_CASE_PROJECTION });
+                res.send(result);
+            } catch (error) {
+                next(error);
+            }
+        }); 
+
+        // GET /reports?status=open,in_review&targetType=&assignee=&minSeverity=&sort=severity|reporters|newest
+        app.get('/reports', verifyJWT, verifyAdmin, async (req, res, next) => {
+            const page = parseInt(req.query.page) || 0;
+            const limit = parseInt(req.query.limit) || 10;
+            const skip = page * limit;
             try {
-                const posts = await postCollection.find().sort({ createdAt: -1 }).limit(6).toArray();
-                res.send(posts);
+                const filter = buildReportFilter(req.query);
+                const sort = REPORT_SORTS[req.query.sort] || REPORT_SORTS.newest;
+                const result = await reportsCollection.find(filter).sort(sort).skip(skip).limit(limit).toArray();
+                res.send(result);
             } catch (error) {
-                res.status(500).send({ message: 'Failed to fetch latest posts' });
+                next(error);
             }
         });
-
-        app.get('/posts/count', async (req, res) => {
-            const {search: tag} = req.query; 
-            const tagSpecial = tag?.trim(); 
+        // GET /reports/count (same filters as /reports)
+        app.get('/reports/count', verifyJWT, verifyAdmin, async (req, res, next) => {
             try {
-                if(tagSpecial) {
-                    const count = await postCollection.countDocuments({
-                        tag: { $regex: new RegExp(`${tagSpecial}`, 'i') }
-                    });
-                    return res.send({count})
-                }
-                const count = await postCollection.countDocuments();
+                const count = await reportsCollection.countDocuments(buildReportFilter(req.query));
                 res.send({ count });
             } catch (error) {
-                res.status(500).send({ error: 'Failed to get post count' });
+                next(error);
+            }
+        });
+
+        // Body: { targetType: 'post' | 'comment' | 'user', targetId, category, reason }.
+        // A bare { commentId } is still accepted as a comment report.
+        app.post('/reports', verifyJWT, rateLimit('report'), validateBody(schemas.createReport), async (req, res, next) => {
+            const { commentId, feedback, category = 'other' } = req.body;
+            const targetType = req.body.targetType || (commentId ? 'comment' : undefined);
+            const targetIdStr = req.body.targetId || commentId;
+            const reason = req.body.reason ?? feedback ?? null;
+            const reporterEmail = req.decoded.email;
+
+            if (!targetType || !targetIdStr) {
+                throw new ValidationError([{ field: 'targetId', message: 'targetType and targetId (or commentId) are required' }]);
             }
-        })
 
-        app.get('/posts/search', async (req, res) => {
-            const { tag, limit: limitStr, current, sort } = req.query;
-            const tagSpecial = tag?.trim();
-            const skip = parseInt(current) * 5;
-            const limit = parseInt(limitStr) 
             try {
-                if(tag !== ""){
-                    const popularTags = await popularTagsCollection.findOne({ value: tag });
-                    if (popularTags) {
-                        await popularTagsCollection.updateOne(
-                            { value: tag },
-                            { $inc: { count: 1 }, $set: { updatedAt: new Date() } },
-                            { upsert: false }
-                        )
-                    } else {
-                        await popularTagsCollection.updateOne(
-                            { value: tag },
-                            { $set: { value: tag, count: 1, createdAt: new Date(), updatedAt: new Date() } },
-                            { upsert: true })
+                const targetId = new ObjectId(targetIdStr);
+                const target = await loadReportTarget(targetType, targetId);
+                if (!target) {
+                    throw new NotFoundError(`Reported ${targetType} not found`);
+                }
+                if (target.targetAuthorEmail === reporterEmail) {
+                    throw new BadRequestError('You cannot report yourself', 'self_report');
+                }
+
+                const now = new Date();
+                const addReport = () => reportsCollection.findOneAndUpdate(
+                    { targetType, targetId, isOpen: true, 'reporters.email': { $ne: reporterEmail } },
+                    {
+                        $push: { reporters: { email: reporterEmail, category, reason, createdAt: now } },
+                        $inc: { reporterCount: 1, [`categories.${category}`]: 1 },
+                        $max: { severity: REPORT_CATEGORIES[category] },
+                        $set: { updatedAt: now },
+                        $setOnInsert: { ...target, status: 'open', assignee: null, createdAt: now },
+                    },
+                    { upsert: true, returnDocument: 'after', projection: REPORTER_CASE_PROJECTION }
+                );
+                let reportCase;
+                try {
+                    reportCase = await addReport();
+                } catch (error) {
+                    if (error.code !== 11000) throw error;
+                    // The upsert collides with the active case either because this reporter is already
+                    // on it, or because another first report created it at the same moment
+                    const alreadyReported = await reportsCollection.findOne(
+                        { targetType, targetId, isOpen: true, 'reporters.email': reporterEmail },
+                        { projection: { _id: 1 } }
+                    );
+                    if (alreadyReported) {
+                        throw new ConflictError('You have already reported this', 'already_reported');
                     }
+                    reportCase = await addReport();
                 }
+                res.status(201).send(reportCase); 
             } catch (error) {
-                
+                next(error);
+            }
+        }); 
+
+        // Move a case through open -> in_review -> resolved | dismissed (or reopen it)
+        app.patch('/reports/:id/status', verifyJWT, verifyAdmin, validateBody(schemas.reportStatus), async (req, res, next) => {
+            const { id } = req.params;
+            const { status, note } = req.body;
+            if (!ObjectId.isValid(id)) {
+                throw new BadRequestError('Invalid report id', 'invalid_id');
             }
             try {
-                // if user is send sort data then it will sort by there given data . 
-                if (sort === 'true') {
-                    const posts = await postCollection.aggregate([
-                        {
-                            $match: {
-                                tag: { $regex: new RegExp(`${tagSpecial}`, 'i') }
-                            }
-                        },
-                        {
-                            $addFields: {
-                                voteDifference: { $subtract: ["$upVote", "$downVote"] }
-                            }
-                        },
-                        {
-                            $sort: { voteDifference: -1 }
-                        },
-                    ])
-                        .skip(skip)
-                        .limit(limit)
-                        .toArray();
-                    return res.send(posts);
-                }   
-                else {
-                    const posts = await postCollection
-                        .find({ tag: { $regex: new RegExp(`${tagSpecial}`, 'i') } })
-                        .sort({ createdAt: -1 })
-                        .skip(skip)
-                        .limit(limit)
-                        .toArray();
+                const query = { _id: new ObjectId(id) };
+                const active = ACTIVE_REPORT_STATUSES.includes(status);
+                const update = active
+                    ? { $set: { status, isOpen: true, updatedAt: new Date() }, $unset: { resolvedAt: '', resolvedBy: '' } }
+                    : { $set: { status, updatedAt: new Date(), resolvedAt: new Date(), resolvedBy: req.decoded.email }, $unset: { isOpen: '' } };
+                let before;
+                try {
+                    before = await reportsCollection.findOneAndUpdate(query, update, { projection: { status: 1, assignee: 1 } });
+                } catch (error) {
+                    if (error.code === 11000) {
+                        throw new ConflictError('Another active case exists for this target');
+                    }
+                    throw error;
+                }
+                if (!before) {
+                    throw new NotFoundError('Report not found');
+                }
+                await recordAudit({
+                    actor: req.decoded.email,
+                    action: 'report.status',
+                    targetType: 'report',
+                    targetId: id,
+                    before,
+                    after: { ...before, status },
+                    reason: note,
+                });
+                if (!active && ACTIVE_REPORT_STATUSES.includes(before.status || 'open')) {
+                    await notifyReporters(query._id, status);
+                }
+                res.send({ success: true, status });
+            } catch (error) {
+                next(error);
+            }
+        });
 
-                    res.json(posts);
-                }  
-                // Deafult case 
-                
+        // Assign a case to an admin (null to unassign); open cases move to in_review
+        app.patch('/reports/:id/assign', verifyJWT, verifyAdmin, validateBody(schemas.reportAssign), async (req, res, next) => {
+            const { id } = req.params;
+            const assignee = req.body.assignee || null;
+            if (!ObjectId.isValid(id)) {
+                throw new BadRequestError('Invalid report id', 'invalid_id');
+            }
+            try {
+                if (assignee) {
+                    const admin = await userCollection.findOne({ email: assignee, role: 'admin' });
+                    if (!admin) {
+                        throw new BadRequestError('Assignee must be an admin');
+                    }
+                }
+                const query = { _id: new ObjectId(id) };
+                const before = await reportsCollection.findOne(query, { projection: { status: 1, assignee: 1 } });
+                if (!before) {
+                    throw new NotFoundError('Report not found');
+                }
+                const set = { assignee, updatedAt: new Date() };
+                if (assignee && (before.status || 'open') === 'open') {
+                    set.status = 'in_review';
+                }
+                await reportsCollection.updateOne(query, { $set: set });
+                await recordAudit({
+                    actor: req.decoded.email,
+                    action: 'report.assign',
+                    targetType: 'report',
+                    targetId: id,
+                    before,
+                    after: { ...before, ...set },
+                });
+                res.send({ success: true, assignee, status: set.status || before.status || 'open' });
             } catch (error) {
-                console.error('Search Error:', error);
-                res.status(500).json({ message: 'Failed to fetch search results' });
+                next(error);
             }
         });
 
-        // Comments 
-        app.get('/comment/:postId', async (req, res) => {
-            const {postId} = req.params; 
-            const query = {postId : new ObjectId(postId)}; 
-            const cursor = await commentsCollection.find(query);
-            const comments = await cursor
-                .sort({ createdAt : -1})
-            .toArray(); 
+        // Resolve a case with an action ('ignore' dismisses it). userEmail and commentId
+        // default to the reported author and comment stored on the case.
+        app.patch('/reports/action', verifyJWT, verifyAdmin, validateBody(schemas.reportAction), async (req, res, next) => {
+            const { action, reportId, reason, until } = req.body;
+            const untilDate = until || null;
 
-            res.send(comments)
-        })
-        app.post('/post/comment', async (req, res) => {
-            const { postId:postIdStr , ...restData} = req.body; 
-            const postId = new ObjectId(postIdStr); 
-            const createdAt = new Date
-            const commentData = {
-                postId,
-                ...restData, 
-                createdAt
-            }
-            const result = await commentsCollection.insertOne(commentData); 
-            res.status(201).send(result); 
-        })
+            try {
+                const reportFilter = { _id: new ObjectId(reportId) };
+                const report = await reportsCollection.findOne(reportFilter, { projection: { reporters: 0 } });
+                if (!report) {
+                    throw new NotFoundError('Report not found');
+                }
+                const userEmail = req.body.userEmail || report.targetAuthorEmail;
+                const commentId = req.body.commentId || report.commentId?.toString();
+                if (action === 'delete-comment' && !ObjectId.isValid(commentId)) {
+                    throw new BadRequestError('Invalid comment id', 'invalid_id');
+                }
 
-        // LIke Post 
-        app.patch('/post/vote/:postId', async (req, res) => {
-            const {postId} = req.params; 
-            const {type} = req.body; 
-            const query = {_id : new ObjectId(postId)}
-            if(type === 'up') {
-                const data = {
-                    $inc : {upVote: 1}
+                const status = action === 'ignore' ? 'dismissed' : 'resolved';
+                const resolved = {
+                    $set: { status, resolution: action, resolvedBy: req.decoded.email, resolvedAt: new Date(), updatedAt: new Date() },
+                    $unset: { isOpen: '' }
+                };
+                const audit = { actor: req.decoded.email, action: `report.${action}`, reason };
+
+                if (action === 'ignore') {
+                    await reportsCollection.updateOne(reportFilter, resolved);
+                } else if (action === 'warn') {
+                    const before = await auditUserSnapshot(userEmail);
+                    await warnUser(userEmail, { reason, by: req.decoded.email });
+                    await reportsCollection.updateOne(reportFilter, resolved);
+                    await notifyModeration(userEmail, reason ? `You received a warning: ${reason}` : 'You received a warning from the moderators', { reportId: report._id });
+                    await recordAudit({ ...audit, targetType: 'user', targetId: userEmail, before, after: await auditUserSnapshot(userEmail) });
+                } else if (action === 'delete-comment') {
+                    // Keep both the tombstoned comment and the resolved report as evidence
+                    const commentFilter = { _id: new ObjectId(commentId) };
+                    const before = await commentsCollection.findOne(commentFilter);
+                    const deleted = await softDeleteComment(commentFilter._id, req.decoded.email);
+                    if (deleted) await addReputation(deleted.authorEmail, REPUTATION_POINTS.commentRemoved);
+                    await reportsCollection.updateOne(reportFilter, resolved);
+                    await notifyModeration(before?.authorEmail, reason ? `Your comment was removed: ${reason}` : 'Your comment was removed by the moderators', { reportId: report._id, commentId: commentFilter._id });
+                    await recordAudit({ ...audit, targetType: 'comment', targetId: commentId, before, after: await commentsCollection.findOne(commentFilter) });
+                } else if (action === 'block') {
+                    const before = await auditUserSnapshot(userEmail);
+                    await suspendUser(userEmail, { until: untilDate, reason, by: req.decoded.email });
+                    await reportsCollection.updateOne(reportFilter, resolved);
+                    await notifyModeration(userEmail, untilDate ? `Your account is suspended until ${untilDate.toISOString()}` : 'Your account has been blocked', { reportId: report._id, reason: reason || null });
+                    await recordAudit({ ...audit, targetType: 'user', targetId: userEmail, before, after: await auditUserSnapshot(userEmail) });
                 }
-                 const result = await postCollection.updateOne(query, data)
-                 return res.send(result)
+                await recordAudit({
+                    ...audit,
+                    targetType: 'report',
+                    targetId: reportId,
+                    before: { status: report.status || 'open', assignee: report.assignee || null },
+                    after: { status, resolution: action },
+                });
+                await notifyReporters(report._id, status);
+
+                res.send({ modifiedCount: 1 });
+            } catch (error) {
+                next(error);
             }
-            if(type === 'down') {
-                const data = {
-                    $inc: { downVote: 1 }
+        });
+
+        // 👉 Review queue for content held back by screenContent
+        // Close the automatic report case once a moderator has decided on the content
+        const closeFilterCase = async (targetType, targetId, decision, moderator) => {
+            const now = new Date();
+            const status = decision === 'approve' ? 'dismissed' : 'resolved';
+            const reportCase = await reportsCollection.findOneAndUpdate(
+                { targetType, targetId, isOpen: true },
+                {
+                    $set: { status, resolution: decision, resolvedBy: moderator, resolvedAt: now, updatedAt: now },
+                    $unset: { isOpen: '' }
+                },
+                { projection: { _id: 1 } }
+            );
+            if (reportCase) await notifyReporters(reportCase._id, status);
+        };
+
+        // Apply or discard an edit held by PATCH /posts/:id; returns the response body
+        const decideHeldPostEdit = async (heldEdit, moderator, decision, reason) => {
+            const post = await postCollection.findOne({ _id: heldEdit._id });
+            if (decision === 'approve') {
+                const updated = await applyPostEdit(post, heldEdit.changes, heldEdit.editedBy);
+                if (!updated) {
+                    throw new ConflictError('Post was edited by someone else, reload and try again', 'edit_conflict');
                 }
-                const result = await postCollection.updateOne(query, data)
-                return res.send(result)
             }
-        }); 
+            await pendingPostEditsCollection.deleteOne({ _id: heldEdit._id });
+            await closeFilterCase('post', post._id, decision, moderator);
+            if (decision === 'reject') {
+                await notifyModeration(
+                    post.authorEmail,
+                    reason ? `Your edit to a post was not published: ${reason}` : 'Your edit to a post was not published after review',
+                    { targetType: 'post', targetId: post._id }
+                );
+            }
+            await recordAudit({
+                actor: moderator,
+                action: `post.edit.${decision}`,
+                targetType: 'post',
+                targetId: post._id,
+                before: { pendingEdit: heldEdit.changes, moderationFlags: heldEdit.moderationFlags },
+                after: { applied: decision === 'approve' },
+                reason,
+            });
+            return { success: true, moderationStatus: post.moderationStatus || 'published', edit: decision === 'approve' ? 'applied' : 'discarded' };
+        };
 
-        // Get the Membership Status 
-        app.get('/membershipStatus/:email', async (req, res) => {
-            const {email} = req.params; 
+        // GET /admin/moderation/queue?type=post|comment&page=&limit=
+        app.get('/admin/moderation/queue', verifyJWT, verifyAdmin, async (req, res, next) => {
+            const type = req.query.type === 'comment' ? 'comment' : 'post';
+            const page = parseInt(req.query.page) || 0;
+            const limit = parseInt(req.query.limit) || 10;
             try {
-                const query = {email}; 
-                const options = { 
-                    projection: { memberShip: 1, postLimit: 1, _id: 0 }
+                const collection = type === 'post' ? postCollection : commentsCollection;
+                let filter = { moderationStatus: 'pending' };
+                // Published posts with a held edit are queued too, with the edit attached as pendingEdit
+                const pendingEdits = type === 'post' ? await pendingPostEditsCollection.find().toArray() : [];
+                if (pendingEdits.length) {
+                    filter = { $or: [filter, { _id: { $in: pendingEdits.map(edit => edit._id) } }] };
                 }
-                const data = await userCollection.findOne(query , options); 
-                res.send(data)
+                const [items, total] = await Promise.all([
+                    collection.find(filter).sort({ createdAt: 1 }).skip(page * limit).limit(limit).toArray(),
+                    collection.countDocuments(filter),
+                ]);
+                const editsByPost = new Map(pendingEdits.map(({ _id, ...edit }) => [_id.toString(), edit]));
+                res.send({
+                    type,
+                    items: items.map(item => editsByPost.has(item._id.toString()) ? { ...item, pendingEdit: editsByPost.get(item._id.toString()) } : item),
+                    total,
+                    page,
+                    limit,
+                });
             } catch (error) {
-                return res.status(500).send(error.message)
+                next(error);
             }
-        })
-        
-        app.get("/leaderboard", async (req, res) => {
-            const users = await userCollection.find().limit(10).sort({ createdAt: -1}).toArray();
-            res.send(users)
-        })
-        // 👉 Save new user
-        app.post('/users', async (req, res) => {
-            const userData = req.body;
-            const emailExists = await userCollection.findOne({ email: userData?.email });
+        });
 
-            // Check if username already exists
-            const usernameExists = await userCollection.findOne({ username: userData?.username });
-            if (!emailExists && usernameExists) {
-                return res.status(200).send({ error: 'Username already exists' });
+        // Approve publishes the held post or comment; reject keeps it hidden as evidence.
+        // For a held edit to a published post, approve applies the edit and reject discards it;
+        // the post stays published either way. The automatic report case is closed in all cases.
+        app.patch('/admin/moderation/:targetType/:id', verifyJWT, verifyAdmin, validateBody(schemas.moderationDecision), async (req, res, next) => {
+            const { targetType } = req.params;
+            const { decision, reason } = req.body;
+            if (!['post', 'comment'].includes(targetType)) {
+                throw new NotFoundError('Unknown moderation target', 'route_not_found');
             }
-
-            if (emailExists) {
-                try {
-                    const updatedUserDoc = {
+            const targetId = parseObjectId(req.params.id, `${targetType} id`);
+            try {
+                const collection = targetType === 'post' ? postCollection : commentsCollection;
+                const now = new Date();
+                const heldEdit = targetType === 'post' && await pendingPostEditsCollection.findOne({ _id: targetId });
+                if (heldEdit) {
+                    return res.send(await decideHeldPostEdit(heldEdit, req.decoded.email, decision, reason));
+                }
+                const updated = await collection.findOneAndUpdate(
+                    { _id: targetId, moderationStatus: 'pending' },
+                    {
                         $set: {
-                            lastSignIn: new Date().toISOString(),
-                            lastSignInIp: req.ip,
+                            moderationStatus: decision === 'approve' ? 'approved' : 'rejected',
+                            moderatedBy: req.decoded.email,
+                            moderatedAt: now,
                         }
-                    };
-                    await userCollection.updateOne({ email: userData.email }, updatedUserDoc);
-                } catch (error) {
-                    console.error('Error checking email existence:', error);
+                    },
+                    { returnDocument: 'after' }
+                );
+                if (!updated) {
+                    throw new ConflictError(`No pending ${targetType} with this id`, 'not_pending');
+                }
+
+                await closeFilterCase(targetType, targetId, decision, req.decoded.email);
 
+                if (decision === 'approve' && targetType === 'comment') {
+                    if (updated.heldOnEdit) {
+                        realtime.publish(`post:${updated.postId}`, 'comment.updated', toPublicComment(updated));
+                    } else {
+                        await announceComment(updated);
+                    }
                 }
-                return res.status(200).send({ message: 'Email already exists' });
-            } else {
+                if (decision === 'approve' && targetType === 'post') {
+                    await adjustTagCount(updated.tag, 1);
+                    const tag = await findTag(updated.tag);
+                    if (tag) await recordTagActivity(tag, 'post');
+                }
+                if (decision === 'reject') {
+                    await notifyModeration(
+                        updated.authorEmail,
+                        reason ? `Your ${targetType} was not published: ${reason}` : `Your ${targetType} was not published after review`,
+                        { targetType, targetId }
+                    );
+                }
+                await recordAudit({
+                    actor: req.decoded.email,
+                    action: `${targetType}.${decision}`,
+                    targetType,
+                    targetId,
+                    before: { moderationStatus: 'pending', moderationFlags: updated.moderationFlags || [] },
+                    after: { moderationStatus: updated.moderationStatus },
+                    reason,
+                });
+                res.send({ success: true, moderationStatus: updated.moderationStatus });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        // Banned words used by screenContent (matched case-insensitively as whole words)
+        app.get('/admin/banned-words', verifyJWT, verifyAdmin, async (req, res, next) => {
+            try {
+                const words = await bannedWordsCollection.find().sort({ word: 1 }).toArray();
+                res.send(words);
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        app.post('/admin/banned-words', verifyJWT, verifyAdmin, validateBody(schemas.bannedWord), async (req, res, next) => {
+            try {
+                const entry = { word: req.body.word.toLowerCase(), createdBy: req.decoded.email, createdAt: new Date() };
                 try {
-                    const newUserData = {
-                        ...userData,
-                        lastSignInIp: req.ip,
+                    await bannedWordsCollection.insertOne(entry);
+                } catch (error) {
+                    if (error.code === 11000) {
+                        throw new ConflictError('Word is already banned', 'duplicate');
                     }
-                    const result = await userCollection.insertOne(newUserData);
-                    res.status(201).send({ message: 'User saved successfully', insertedId: result.insertedId });
-                } catch (err) {
-                    res.status(500).send({ error: 'Failed to save user', detail: err.message });
+                    throw error;
+                }
+                bannedWordsCache.loadedAt = 0;
+                await recordAudit({
+                    actor: req.decoded.email,
+                    action: 'bannedWord.add',
+                    targetType: 'bannedWord',
+                    targetId: entry.word,
+                    after: entry,
+                });
+                res.status(201).send(entry);
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        app.delete('/admin/banned-words/:word', verifyJWT, verifyAdmin, async (req, res, next) => {
+            try {
+                const removed = await bannedWordsCollection.findOneAndDelete({ word: req.params.word.toLowerCase() });
+                if (!removed) {
+                    throw new NotFoundError('Word is not banned');
+                }
+                bannedWordsCache.loadedAt = 0;
+                await recordAudit({
+                    actor: req.decoded.email,
+                    action: 'bannedWord.remove',
+                    targetType: 'bannedWord',
+                    targetId: removed.word,
+                    before: removed,
+                });
+                res.send({ success: true });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+
+        // DELETE /posts/:id
+        app.delete('/posts/:id', verifyJWT, async (req, res) => {
+            const postId = req.params.id;
+            const decodedEmail = req.decoded.email;
+
+            const query = { _id: new ObjectId(postId) };
+            const post = await postCollection.findOne(query);
+            if (!post) {
+                throw new NotFoundError('Post not found');
+            }
+
+            if (post.authorEmail !== decodedEmail) {
+                throw new ForbiddenError('Forbidden: email mismatch');
+            }
+
+            const result = await postCollection.deleteOne({ _id: new ObjectId(postId) });
+            if (!['pending', 'rejected'].includes(post.moderationStatus)) {
+                await adjustTagCount(post.tag, -1);
+            }
+            await votesCollection.deleteMany({ postId: new ObjectId(postId) });
+            await postRevisionsCollection.deleteMany({ postId: new ObjectId(postId) });
+            await pendingPostEditsCollection.deleteOne({ _id: new ObjectId(postId) });
+            await userCollection.updateOne({ email: decodedEmail }, { $inc: { postLimit: 1 } });
+            res.send({ success: true, message: 'Post deleted successfully', ...result });
+        });
+
+        // 👉 Post editing
+        // post.revision counts edits. Each edit first stores the outgoing title/description/tag
+        // in postRevisionsCollection under the post's current revision number.
+
+        // Apply changes if nobody else edited the post since it was read; returns the updated post or null on conflict
+        const applyPostEdit = async (post, changes, editor) => {
+            const now = new Date();
+            const updated = await postCollection.findOneAndUpdate(
+                { _id: post._id, revision: post.revision ?? null },
+                { $set: { ...changes, updatedAt: now, editedAt: now, revision: (post.revision || 0) + 1 } },
+                { returnDocument: 'after' }
+            );
+            if (!updated) return null;
+            const wasPublished = !['pending', 'rejected'].includes(post.moderationStatus);
+            const isPublished = !['pending', 'rejected'].includes(updated.moderationStatus);
+            if (updated.tag !== post.tag || wasPublished !== isPublished) {
+                if (wasPublished) await adjustTagCount(post.tag, -1);
+                if (isPublished) await adjustTagCount(updated.tag, 1);
+            }
+            await postRevisionsCollection.insertOne({
+                postId: post._id,
+                revision: post.revision || 0,
+                ...Object.fromEntries(EDITABLE_POST_FIELDS.map(field => [field, post[field] ?? null])),
+                replacedBy: editor,
+                replacedAt: now,
+            });
+            // Edits held for review stay off the stream until they are approved
+            if (isPublished) realtime.publish(`post:${post._id}`, 'post.updated', updated);
+            return updated;
+        };
+
+        // PATCH /posts/:id: author or admin may change title, description and tag
+        app.patch('/posts/:id', verifyJWT, validateBody(schemas.editPost), async (req, res, next) => {
+            const { id } = req.params;
+            const editor = req.decoded.email;
+            if (!ObjectId.isValid(id)) {
+                throw new BadRequestError('Invalid post id', 'invalid_id');
+            }
+
+            const { reason, ...fields } = req.body;
+            const changes = Object.fromEntries(Object.entries(fields).map(([field, value]) => [field, sanitizeText(value)]));
+            if (Object.keys(changes).length === 0) {
+                throw new BadRequestError(`Nothing to update; editable fields are ${EDITABLE_POST_FIELDS.join(', ')}`);
+            }
+            const emptyFields = Object.keys(changes).filter(field => !changes[field]);
+            if (emptyFields.length) {
+                throw new ValidationError(emptyFields.map(field => ({ field, message: `${field} is empty once markup is removed` })));
+            }
+
+            try {
+                if (changes.tag) {
+                    const tag = await findTag(changes.tag);
+                    if (!tag) {
+                        throw new ValidationError([{ field: 'tag', message: 'tag does not exist' }]);
+                    }
+                    changes.tag = tag.value;
+                }
+                const post = await postCollection.findOne({ _id: new ObjectId(id) });
+                if (!post) {
+                    throw new NotFoundError('Post not found');
+                }
+                const isAuthor = post.authorEmail === editor;
+                if (!isAuthor && !(await isAdminEmail(editor))) {
+                    throw new ForbiddenError('Forbidden: not the post author');
+                }
+                if (Object.keys(changes).every(field => changes[field] === post[field])) {
+                    return res.send(post);
+                }
+
+                // Admin edits are trusted; author edits to the text are screened like a new post
+                let flags = [];
+                if (isAuthor && (changes.title !== undefined || changes.description !== undefined)) {
+                    const author = await userCollection.findOne({ email: editor }, { projection: { email: 1, createdAt: 1 } });
+                    const screened = await screenContent({
+                        kind: 'post',
+                        author: author || { email: editor },
+                        text: `${changes.title ?? post.title}\n${changes.description ?? post.description}`,
+                        excludeId: post._id,
+                    });
+                    flags = screened.flags;
+                    changes.contentHash = screened.contentHash;
+                }
+                // A flagged edit to a published post is held on its own: the post stays up with its
+                // current text until a moderator applies or discards the edit (one held edit per post)
+                if (flags.length && !['pending', 'rejected'].includes(post.moderationStatus)) {
+                    const pendingEdit = { changes, moderationFlags: flags, editedBy: editor, createdAt: new Date() };
+                    await pendingPostEditsCollection.replaceOne({ _id: post._id }, pendingEdit, { upsert: true });
+                    await reportFlaggedContent('post', post, flags);
+                    return res.send({ ...post, pendingEdit: { ...pendingEdit, moderationStatus: 'pending' } });
+                }
+                const updates = flags.length ? { ...changes, moderationStatus: 'pending', moderationFlags: flags } : changes;
+
+                const updated = await applyPostEdit(post, updates, editor);
+                if (!updated) {
+                    throw new ConflictError('Post was edited by someone else, reload and try again', 'edit_conflict');
+                }
+                if (flags.length) {
+                    await reportFlaggedContent('post', updated, flags);
+                }
+                if (!isAuthor) {
+                    await recordAudit({
+                        actor: editor,
+                        action: 'post.edit',
+                        targetType: 'post',
+                        targetId: id,
+                        before: Object.fromEntries(Object.keys(changes).map(field => [field, post[field]])),
+                        after: changes,
+                        reason,
+                    });
+                }
+                res.send(updated);
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        // Previous versions of a post, newest first (author and admins)
+        app.get('/post/:id/revisions', verifyJWT, async (req, res, next) => {
+            const { id } = req.params;
+            if (!ObjectId.isValid(id)) {
+                throw new BadRequestError('Invalid post id', 'invalid_id');
+            }
+            try {
+                const post = await postCollection.findOne({ _id: new ObjectId(id) }, { projection: { authorEmail: 1, revision: 1 } });
+                if (!post) {
+                    throw new NotFoundError('Post not found');
+                }
+                if (post.authorEmail !== req.decoded.email && !(await isAdminEmail(req.decoded.email))) {
+                    throw new ForbiddenError('Forbidden: not the post author');
+                }
+                const revisions = await postRevisionsCollection
+                    .find({ postId: post._id })
+                    .sort({ revision: -1 })
+                    .toArray();
+                res.send({ currentRevision: post.revision || 0, revisions });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        // Admin: restore a post to a stored revision (recorded as a new edit)
+        app.post('/post/:id/revisions/:revision/restore', verifyJWT, verifyAdmin, validateBody(schemas.adminReason), async (req, res, next) => {
+            const { id } = req.params;
+            const revision = parseInt(req.params.revision);
+            if (!ObjectId.isValid(id) || isNaN(revision)) {
+                throw new BadRequestError('Invalid post id or revision', 'invalid_id');
+            }
+            try {
+                const post = await postCollection.findOne({ _id: new ObjectId(id) });
+                if (!post) {
+                    throw new NotFoundError('Post not found');
+                }
+                const stored = await postRevisionsCollection.findOne({ postId: post._id, revision });
+                if (!stored) {
+                    throw new NotFoundError('Revision not found');
+                }
+                const changes = Object.fromEntries(EDITABLE_POST_FIELDS.map(field => [field, stored[field]]));
+                const updated = await applyPostEdit(post, changes, req.decoded.email);
+                if (!updated) {
+                    throw new ConflictError('Post was edited by someone else, reload and try again', 'edit_conflict');
                 }
+                await recordAudit({
+                    actor: req.decoded.email,
+                    action: 'post.restoreRevision',
+                    targetType: 'post',
+                    targetId: id,
+                    before: Object.fromEntries(EDITABLE_POST_FIELDS.map(field => [field, post[field]])),
+                    after: { ...changes, restoredRevision: revision },
+                    reason: req.body.reason,
+                });
+                res.send(updated);
+            } catch (error) {
+                next(error);
             }
         });
 
-        app.patch('/user/update/:email', async (req, res) => {
-            const {email} = req.params; 
-            const data = req.body; 
-            console.log("call true")
+        // Accept Payment 
+        // The amount is fixed server-side; the PaymentIntent carries the buyer's email for the webhook
+        app.post('/create-payment-intent', verifyJWT, rateLimit('payment'), async (req, res, next) => {
             try {
-                const updateDoc = {
-                    $set: data
-                }; 
-                const result = await userCollection.updateOne({email}, updateDoc); 
-                res.send(result); 
+                const paymentIntent = await stripe.paymentIntents.create({
+                    amount: MEMBERSHIP_PRICE.amount,
+                    currency: MEMBERSHIP_PRICE.currency,
+                    metadata: { email: req.decoded.email, plan: 'membership' },
+                });
+                return res.send({ client_secret: paymentIntent.client_secret, amount: MEMBERSHIP_PRICE.amount / 100 })
             } catch (error) {
-                res.status(500).send({message: "Server Error"})
+                next(error);
             }
         })
-        
-        // Post realted route 
-
-        // GET /posts/user/:email/count
-        app.get('/posts/user/:email/count', verifyJWT, async (req, res) => {
-            const decodedEmail = req.decoded.email;
-            const email = req.params.email;
 
-            if (decodedEmail !== email) {
-                return res.status(403).send({ message: 'Forbidden: email mismatch' });
+        // Membership changes are guarded on the current state, so repeated
+        // grants or revokes never stack postLimit adjustments
+        const membershipGrant = {
+            $set: { memberShip: 'member' },
+            $inc: { postLimit: MEMBERSHIP_POST_BONUS },
+            $addToSet: { badges: 'Gold' }
+        };
+        const membershipRevoke = {
+            $set: { memberShip: 'non-member' },
+            $inc: { postLimit: -MEMBERSHIP_POST_BONUS },
+            $pull: { badges: 'Gold' }
+        };
+        const grantMembership = async (email) => {
+            const result = await userCollection.updateOne({ email, memberShip: { $ne: 'member' } }, membershipGrant);
+            // The Gold badge bonus is paid once per account, however often membership lapses
+            if (result.modifiedCount) {
+                const firstGrant = await userCollection.updateOne(
+                    { email, membershipBonusAt: { $exists: false } },
+                    { $set: { membershipBonusAt: new Date() } }
+                );
+                if (firstGrant.modifiedCount) await addReputation(email, REPUTATION_POINTS.membershipBadge);
             }
+            return result;
+        };
+        const revokeMembership = (email, extraFilter = {}) =>
+            userCollection.updateOne({ email, memberShip: 'member', ...extraFilter }, membershipRevoke);
 
-            const count = await postCollection.countDocuments({ authorEmail: email });
-            res.send({ count });
-        });
+        // Whether membership is still paid for: a live subscription period, or a one-time
+        // payment that has not been refunded or disputed
+        const hasMembershipEntitlement = async (email) => {
+            const user = await userCollection.findOne({ email }, { projection: { subscription: 1, currentPeriodEnd: 1 } });
+            if (['active', 'trialing'].includes(user?.subscription?.status) && user.currentPeriodEnd > new Date()) {
+                return true;
+            }
+            // Rows written by the old client-reported /membership flow carry neither a payment intent
+            // nor an invoice id, and no status; they stand for completed purchases
+            const payment = await paymentCollection.findOne(
+                {
+                    email,
+                    $or: [
+                        { paymentIntentId: { $exists: true }, status: 'succeeded' },
+                        { paymentIntentId: null, invoiceId: null, status: null },
+                    ],
+                },
+                { projection: { _id: 1 } }
+            );
+            return !!payment;
+        };
 
-        // GET /posts/user/:email
-        app.get('/posts/user/:email', verifyJWT, async (req, res) => {
-            const decodedEmail = req.decoded.email;
-            const email = req.params.email;
-            let limit = req.query.limit; 
-            limit = parseInt(limit)
-            
-            if (decodedEmail !== email) {
-                return res.status(403).send({ message: 'Forbidden: email mismatch' });
-            }; 
+        // Downgrade a subscriber whose paid period has ended and return the fresh user document
+        const expireLapsedMembership = async (user) => {
+            const now = new Date();
+            if (user?.memberShip !== 'member' || !user.currentPeriodEnd || user.currentPeriodEnd > now) {
+                return user;
+            }
+            if (await hasMembershipEntitlement(user.email)) {
+                // Bought outright as well; the lapsed period no longer matters
+                await userCollection.updateOne({ _id: user._id, currentPeriodEnd: { $lte: now } }, { $unset: { currentPeriodEnd: '' } });
+                return userCollection.findOne({ _id: user._id });
+            }
+            await revokeMembership(user.email, { currentPeriodEnd: { $lte: now } });
+            return userCollection.findOne({ _id: user._id });
+        };
 
-            if(limit) {
-                const posts = await postCollection.find({ authorEmail: email }).limit(limit).sort({ createdAt : -1}).toArray();
-                return res.send(posts)
+        // Mirror a Stripe subscription onto the user. Stripe may deliver events out of order,
+        // so older snapshots (by event.created) are ignored.
+        const syncSubscription = async (subscription, eventCreated) => {
+            const email = subscription.metadata?.email;
+            if (!email) return;
+            const item = subscription.items?.data?.[0];
+            const plan = Object.keys(SUBSCRIPTION_PLANS)
+                .find(key => SUBSCRIPTION_PLANS[key] && SUBSCRIPTION_PLANS[key] === item?.price?.id);
+            if (!plan) {
+                console.error(`Ignoring subscription ${subscription.id}: unknown price ${item?.price?.id}`);
+                return;
             }
+            const periodEnd = item.current_period_end ?? subscription.current_period_end;
+            const currentPeriodEnd = periodEnd ? new Date(periodEnd * 1000) : null;
 
-            const posts = await postCollection.find({ authorEmail: email }).toArray();
-            res.send(posts);
-        }); 
+            const result = await userCollection.updateOne(
+                {
+                    email,
+                    $or: [
+                        { 'subscription.eventCreated': { $exists: false } },
+                        { 'subscription.eventCreated': { $lte: eventCreated } }
+                    ]
+                },
+                {
+                    $set: {
+                        stripeCustomerId: subscription.customer,
+                        currentPeriodEnd,
+                        subscription: {
+                            id: subscription.id,
+                            plan,
+                            status: subscription.status,
+                            cancelAtPeriodEnd: !!subscription.cancel_at_period_end,
+                            eventCreated,
+                        }
+                    }
+                }
+            );
+            if (!result.matchedCount) return;
 
-        app.get('/user/:email', async (req, res) => {
-            const {email} = req.params; 
-            const user = await userCollection.findOne({email}); 
-            res.send(user)
-        })
-        // POST /posts
-        app.post('/posts', verifyJWT, async (req, res) => {
-            const postData = req.body;
-            const decodedEmail = req.decoded.email;
+            const active = ['active', 'trialing'].includes(subscription.status)
+                && currentPeriodEnd && currentPeriodEnd > new Date();
+            if (active) await grantMembership(email);
+            else if (!(await hasMembershipEntitlement(email))) await revokeMembership(email);
+        };
 
-            if (decodedEmail !== postData.authorEmail) {
-                return res.status(403).send({ message: 'Forbidden: email mismatch' });
+        // Apply a verified Stripe event. Payment rows are keyed by paymentIntentId or invoiceId,
+        // so replays of the same payment never grant or revoke twice.
+        const handleStripeEvent = async (event) => {
+            const object = event.data.object;
+
+            if (event.type === 'payment_intent.succeeded') {
+                const email = object.metadata?.email;
+                if (object.metadata?.plan !== 'membership' || !email) return;
+                if (object.amount_received !== MEMBERSHIP_PRICE.amount || object.currency !== MEMBERSHIP_PRICE.currency) {
+                    console.error(`Ignoring payment ${object.id}: unexpected amount ${object.amount_received} ${object.currency}`);
+                    return;
+                }
+                const result = await paymentCollection.updateOne(
+                    { paymentIntentId: object.id },
+                    {
+                        $setOnInsert: {
+                            paymentIntentId: object.id,
+                            email,
+                            amount: object.amount_received / 100,
+                            currency: object.currency,
+                            status: 'succeeded',
+                            eventId: event.id,
+                            createdAt: new Date(object.created * 1000),
+                        }
+                    },
+                    { upsert: true }
+                );
+                if (result.upsertedCount) {
+                    // A period end left by a lapsed subscription would otherwise expire this membership
+                    // on the next check. The subscription snapshot stays so stale events keep being ignored.
+                    await userCollection.updateOne(
+                        { email, currentPeriodEnd: { $lte: new Date() } },
+                        { $unset: { currentPeriodEnd: '' } }
+                    );
+                    await grantMembership(email);
+                }
+                return;
             }
 
-            // Check post limit
-            const postCount = await postCollection.countDocuments({ authorEmail: decodedEmail });
+            if (event.type.startsWith('customer.subscription.')) {
+                await syncSubscription(object, event.created);
+                return;
+            }
 
-            const member = await userCollection.findOne({ email: decodedEmail });
-            if (!member) {
-                return res.status(403).send({ message: 'Forbidden: user not found' });
+            // Every paid subscription invoice becomes a billing history row
+            if (event.type === 'invoice.paid') {
+                const metadata = object.parent?.subscription_details?.metadata
+                    || object.subscription_details?.metadata
+                    || {};
+                const email = metadata.email || object.customer_email;
+                if (!email) return;
+                const line = object.lines?.data?.[0];
+                await paymentCollection.updateOne(
+                    { invoiceId: object.id },
+                    {
+                        $setOnInsert: {
+                            invoiceId: object.id,
+                            email,
+                            plan: metadata.plan,
+                            amount: object.amount_paid / 100,
+                            currency: object.currency,
+                            status: 'paid',
+                            periodStart: line?.period?.start ? new Date(line.period.start * 1000) : null,
+                            periodEnd: line?.period?.end ? new Date(line.period.end * 1000) : null,
+                            eventId: event.id,
+                            createdAt: new Date(object.created * 1000),
+                        }
+                    },
+                    { upsert: true }
+                );
+                return;
             }
-            if (member.memberShip === 'member') {
-                if (postCount > 10) {
-                    return res.status(403).send({ message: 'Post limit exceeded' });
-                }
-            } else if (member.memberShip === 'non-member') {
-                if (postCount > 5) {
-                    return res.status(403).send({ message: 'Post limit exceeded' });
-                }
+
+            let paymentIntentId;
+            let status;
+            if (event.type === 'charge.refunded' && object.refunded) {
+                paymentIntentId = object.payment_intent;
+                status = 'refunded';
+            } else if (event.type === 'charge.dispute.created') {
+                paymentIntentId = object.payment_intent;
+                status = 'disputed';
             }
+            if (!paymentIntentId) return;
 
-            const result = await postCollection.insertOne(postData);
-            const updatedDoc = {
-                $inc: { postLimit: -1 }
+            const payment = await paymentCollection.findOneAndUpdate(
+                { paymentIntentId, status: 'succeeded' },
+                { $set: { status, updatedAt: new Date() } }
+            );
+            // Other payments or a running subscription keep the membership
+            if (payment && !(await hasMembershipEntitlement(payment.email))) {
+                await revokeMembership(payment.email);
             }
-            await userCollection.updateOne({ email: decodedEmail }, updatedDoc);
-            res.send(result);
-        });
+        };
 
-        // Reports related api 
-        app.get('/report/:id', async (req, res) => {
-            const {id} = req.params;
-            const query = { commentId: new ObjectId(id)}; 
-            const result = await reportsCollection.findOne(query)
-            res.send(result)
-        }); 
+        // Start a Stripe Checkout session for a recurring plan ('monthly' | 'yearly')
+        app.post('/subscription/checkout', verifyJWT, rateLimit('payment'), validateBody(schemas.checkout), async (req, res, next) => {
+            const { plan } = req.body;
+            const email = req.decoded.email;
+            if (!SUBSCRIPTION_PLANS[plan]) {
+                throw new ServiceUnavailableError(`The ${plan} plan is not available`);
+            }
+            try {
+                const user = await userCollection.findOne({ email });
+                if (!user) {
+                    throw new NotFoundError('User not found');
+                }
+                if (['active', 'trialing'].includes(user.subscription?.status) && user.currentPeriodEnd > new Date()) {
+                    throw new ConflictError('You already have an active subscription');
+                }
 
+                let customerId = user.stripeCustomerId;
+                if (!customerId) {
+                    const customer = await stripe.customers.create({ email, metadata: { email } });
+                    customerId = customer.id;
+                    await userCollection.updateOne({ email }, { $set: { stripeCustomerId: customerId } });
+                }
 
-        app.get('/reports', verifyJWT, verifyAdmin, async (req, res) => {
-            const page = parseInt(req.query.page) || 0;
-            const limit = parseInt(req.query.limit) || 10;
-            const skip = page * limit;
-            const filter = {
-                $nor: [
-                    { isBlocked: true },
-                    { warning: true },
-                    { status: 'resolved' }
-                ]
-            };
-            const cursor = await reportsCollection.find(filter);
-            const result = await cursor.sort({ createdAt: -1 }).skip(skip).limit(limit).toArray();
-            res.send(result);
+                const session = await stripe.checkout.sessions.create({
+                    mode: 'subscription',
+                    customer: customerId,
+                    client_reference_id: email,
+                    line_items: [{ price: SUBSCRIPTION_PLANS[plan], quantity: 1 }],
+                    subscription_data: { metadata: { email, plan } },
+                    success_url: `${CLIENT_URL}/membership?checkout=success`,
+                    cancel_url: `${CLIENT_URL}/membership?checkout=cancelled`,
+                });
+                res.send({ id: session.id, url: session.url });
+            } catch (error) {
+                next(error);
+            }
         });
-        // GET /reports/count
-        app.get('/reports/count', async (req, res) => {
+
+        // Cancel the caller's subscription at the end of the paid period. Blocked accounts may too,
+        // so a suspension never keeps anyone paying.
+        app.post('/subscription/cancel', verifySession, async (req, res, next) => {
+            const email = req.decoded.email;
             try {
-                const filter = {
-                    $nor: [
-                        { isBlocked: true },
-                        { warning: true },
-                        { status: 'resolved' }
-                    ]
-                };
-                const count = await db.collection('reports').countDocuments(filter);
-                res.send({ count });
+                const user = await userCollection.findOne({ email });
+                const subscriptionId = user?.subscription?.id;
+                if (!subscriptionId || user.subscription.status === 'canceled') {
+                    throw new NotFoundError('No active subscription');
+                }
+                const subscription = await stripe.subscriptions.update(subscriptionId, { cancel_at_period_end: true });
+                await userCollection.updateOne(
+                    { email },
+                    { $set: { 'subscription.cancelAtPeriodEnd': !!subscription.cancel_at_period_end } }
+                );
+                res.send({ success: true, cancelAtPeriodEnd: true, currentPeriodEnd: user.currentPeriodEnd });
             } catch (error) {
-                res.status(500).send({ error: error.message });
+                next(error);
             }
         });
-        app.post('/reports', async (req, res) => {
-            const { commentId, ...restReportsData } = req.body;
-            const reportsData = {
-                ...restReportsData, 
-                commentId: new ObjectId(commentId)
-            } 
-            const query = { commentId : reportsData.commentId}; 
-            const existingCommentReport = await reportsCollection.findOne(query); 
-            if(existingCommentReport) {
-                return res.send({message : "Report allready have on this comment"}); 
-            }
-            if(!reportsData) {
-                return res.send({message : "Reports Data not found"})
-            }
-            const result = await reportsCollection.insertOne(reportsData); 
-            res.send(result); 
-        }); 
-        app.patch('/reports/action', verifyJWT, verifyAdmin,  async (req, res) => {
-            const { action, reportId, userEmail, commentId } = req.body;
-
-            const reportFilter = { _id: new ObjectId(reportId) };
 
-            if (action === 'ignore') {
-                await reportsCollection.updateOne(reportFilter, { $set: { status: 'resolved' } });
-            } else if (action === 'warn') {
-                await userCollection.updateOne({ email: userEmail }, { $set: { warning: true } });
-                await reportsCollection.updateOne(reportFilter, { $set: { status: 'resolved' } });
-            } else if (action === 'delete-comment') {
-                const query = { _id: new ObjectId(commentId) }
-                const result = await commentsCollection.deleteOne(query);
-                const reportDeleteQuery = {_id : new ObjectId(reportId)}; 
-                const reportDeleteResult = await reportsCollection.deleteOne(reportDeleteQuery); 
-            } else if (action === 'block') {
-                await userCollection.updateOne({ email: userEmail }, { $set: { isBlocked: true } });
-                await reportsCollection.updateOne(reportFilter, { $set: { status: 'resolved' } });
+        // Billing history for the caller, newest first
+        app.get('/billing/history', verifyJWT, async (req, res, next) => {
+            const page = parseInt(req.query.page) || 0;
+            const limit = parseInt(req.query.limit) || 10;
+            try {
+                const query = { email: req.decoded.email };
+                const total = await paymentCollection.countDocuments(query);
+                const payments = await paymentCollection.find(query)
+                    .sort({ createdAt: -1 })
+                    .skip(page * limit)
+                    .limit(limit)
+                    .toArray();
+                res.send({ payments, total, page, limit });
+            } catch (error) {
+                next(error);
             }
-
-            res.send({ modifiedCount: 1 });
         });
 
-        
-        // DELETE /posts/:id
-        app.delete('/posts/:id', verifyJWT, async (req, res) => {
-            const postId = req.params.id;
-            const decodedEmail = req.decoded.email;
-
-            const query = { _id: new ObjectId(postId) };
-            const post = await postCollection.findOne(query);
-            if (!post) {
-                return res.status(404).send({ message: 'Post not found' });
+        // Stripe webhook: signature is checked against the raw body kept by express.json
+        app.post('/stripe/webhook', async (req, res, next) => {
+            let event;
+            try {
+                event = stripe.webhooks.constructEvent(
+                    req.rawBody,
+                    req.headers['stripe-signature'],
+                    process.env.STRIPE_WEBHOOK_SECRET
+                );
+            } catch (error) {
+                throw new BadRequestError('Webhook signature verification failed', 'invalid_signature');
             }
 
-            if (post.authorEmail !== decodedEmail) {
-                return res.status(403).send({ message: 'Forbidden: email mismatch' });
+            // Claim the event id first; a duplicate key means it was already handled
+            try {
+                await stripeEventsCollection.insertOne({ _id: event.id, type: event.type, receivedAt: new Date() });
+            } catch (error) {
+                if (error.code === 11000) {
+                    return res.send({ received: true, duplicate: true });
+                }
+                return next(error);
             }
 
-            const result = await postCollection.deleteOne({ _id: new ObjectId(postId) });
-            await userCollection.updateOne({ email: decodedEmail }, { $inc: { postLimit: 1 } });
-            res.send({ success: true, message: 'Post deleted successfully', ...result });
-        });
-
-        // Accept Payment 
-        app.post('/create-payment-intent', async (req, res) => {
-            const { amount} = req.body; 
-            const amountInSent = amount * 100 ; 
             try {
-                const paymentIntent = await stripe.paymentIntents.create({
-                    amount: amountInSent,
-                    currency: 'usd',
-                });
-                return res.send({ client_secret: paymentIntent.client_secret })
+                await handleStripeEvent(event);
+                res.send({ received: true });
             } catch (error) {
-                return res.status(500).json({ error: error.message });
+                // Release the claim so Stripe's retry gets processed
+                await stripeEventsCollection.deleteOne({ _id: event.id }).catch(() => {});
+                next(error);
             }
-        })
+        });
 
-        app.get('/tags/popular', async (req, res) => {
+        app.get('/tags/popular', async (req, res, next) => {
             try {
                 const limit = parseInt(req.query.limit) || 3;
 
@@ -598,95 +4118,466 @@ async function run() {
                 });
 
             } catch (error) {
-                console.error('Error fetching popular tags:', error);
-                res.status(500).json({
-                    success: false,
-                    message: 'Error fetching popular tags',
-                    error: error.message
+                next(error);
+            }
+        });
+
+        // Tags with the most recent search and post activity; ?window=day|week (default day).
+        // Recomputed by the /cron/rankings job, unlike /tags/popular which counts all searches ever.
+        app.get('/tags/trending', async (req, res, next) => {
+            const window = req.query.window || 'day';
+            if (!Object.hasOwn(TRENDING_WINDOWS, window)) {
+                throw new BadRequestError(`window must be one of ${Object.keys(TRENDING_WINDOWS).join(', ')}`, 'invalid_window');
+            }
+            const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), MAX_TRENDING_TAGS);
+            try {
+                const trending = await trendingTagsCollection.findOne({ _id: window });
+                res.json({
+                    success: true,
+                    window,
+                    computedAt: trending?.computedAt || null,
+                    data: (trending?.tags || []).slice(0, limit),
                 });
+            } catch (error) {
+                next(error);
             }
         });
 
-        app.post('/membership', async (req, res) => {
-            const {email , ...paymentRest} = req.body; 
-            const paymentData = {
-                ...paymentRest, 
-                email
+        // Membership is granted by the Stripe webhook; this only reports whether it has landed yet
+        app.post('/membership', verifyJWT, validateBody(schemas.membership), async (req, res, next) => {
+            const { paymentIntentId } = req.body;
+            try {
+                const payment = await paymentCollection.findOne({ paymentIntentId, email: req.decoded.email });
+                if (!payment) {
+                    return res.status(202).send({ status: 'pending' });
+                }
+                res.send({ status: payment.status, payment });
+            } catch (error) {
+                next(error);
             }
-            const result = await paymentCollection.insertOne(paymentData); 
-            const updatedDoc = {
-                $set: {
-                    memberShip: 'member'
-                }, 
-                $inc : {
-                    postLimit : 5
-                }, 
-                $addToSet : {
-                    badges : 'Gold'
-                }
-            }
-            await userCollection.updateOne({ email}, updatedDoc); 
-            res.send(result)
         }); 
 
-        app.get('/faqs', async (req, res) => {
+        app.get('/faqs', async (req, res, next) => {
+            try {
+                const faqs = await faqsCollection.find().toArray();
+                res.json(faqs);
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        // Newsletter api 
+        // 👉 Newsletter
+        // Links in newsletter mail carry JWTs whose audience says what they allow: 'newsletter:confirm'
+        // tokens expire after NEWSLETTER_CONFIRM_TTL_SECONDS, 'newsletter:manage' tokens (unsubscribe
+        // and topic preferences) don't, so links in old issues keep working. Manage tokens carry the
+        // subscriber's manageNonce instead, which is replaced on every confirmation: links from an
+        // earlier subscription stop working once the address subscribes again.
+        // They are signed with NEWSLETTER_TOKEN_SECRET (by default a key derived from JWT_SECRET), so
+        // a leaked link can never be replayed as a session cookie.
+        // Subscribers from before double opt-in have no status and count as active.
+        const ACTIVE_SUBSCRIBER_FILTER = { status: { $in: ['active', null] } };
+        const newsletterTokenSecret = process.env.NEWSLETTER_TOKEN_SECRET
+            || crypto.createHmac('sha256', process.env.JWT_SECRET).update('newsletter-tokens').digest('hex');
+        const newManageNonce = () => crypto.randomBytes(16).toString('base64url');
+
+        const newsletterToken = (email, audience, nonce) => jwt.sign(
+            audience === 'newsletter:manage' ? { sub: email, nonce } : { sub: email },
+            newsletterTokenSecret,
+            audience === 'newsletter:confirm' ? { audience, expiresIn: NEWSLETTER_CONFIRM_TTL_SECONDS } : { audience }
+        );
+
+        const verifyNewsletterToken = (token, audience) => {
+            try {
+                return jwt.verify(String(token || ''), newsletterTokenSecret, { audience });
+            } catch (err) {
+                if (err.name === 'TokenExpiredError') {
+                    throw new GoneError('This link has expired; subscribe again to get a new one', 'token_expired');
+                }
+                throw new BadRequestError('Invalid or malformed link', 'invalid_token');
+            }
+        };
+
+        // The subscriber a manage link belongs to, if its nonce is still current
+        const findManagedSubscriber = async (token, projection) => {
+            const { sub, nonce } = verifyNewsletterToken(token, 'newsletter:manage');
+            const subscriber = nonce && await newsletterCollection.findOne({ email: sub, manageNonce: nonce }, { projection });
+            if (!subscriber) {
+                throw new BadRequestError('This link is no longer valid', 'invalid_token');
+            }
+            return subscriber;
+        };
+
+        // Subscribers confirmed before manage nonces existed get one the first time they are mailed
+        const ensureManageNonce = async (subscriber) => {
+            if (subscriber.manageNonce) return subscriber.manageNonce;
+            await newsletterCollection.updateOne({ _id: subscriber._id, manageNonce: null }, { $set: { manageNonce: newManageNonce() } });
+            const { manageNonce } = await newsletterCollection.findOne({ _id: subscriber._id }, { projection: { manageNonce: 1 } });
+            return manageNonce;
+        };
+
+        // Footer and one-click unsubscribe headers (RFC 8058) for every newsletter message
+        const newsletterFooter = (email, manageNonce) => {
+            const token = newsletterToken(email, 'newsletter:manage', manageNonce);
+            const unsubscribeUrl = `${API_URL}/newsletter/unsubscribe?token=${token}`;
+            return {
+                text: `\n\n--\nManage topics: ${API_URL}/newsletter/preferences?token=${token}\nUnsubscribe: ${unsubscribeUrl}`,
+                headers: { 'List-Unsubscribe': `<${unsubscribeUrl}>`, 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' },
+            };
+        };
+
+        const sendNewsletterConfirmation = async (email) => {
+            const token = newsletterToken(email, 'newsletter:confirm');
+            await mailer.send({
+                to: email,
+                subject: 'Confirm your ForumHive newsletter subscription',
+                text: `Please confirm your subscription by opening this link:\n${API_URL}/newsletter/confirm?token=${token}\n\n`
+                    + `If you did not sign up, ignore this message and you will not hear from us again.`,
+            });
+            await newsletterCollection.updateOne({ email }, { $set: { confirmationSentAt: new Date() } });
+        };
+
+        // Subscribing (again) leaves the address pending until the emailed link is opened
+        app.post('/newsletter', rateLimit('newsletter'), validateBody(schemas.newsletter), async (req, res, next) => {
+            const { email, name, topics = NEWSLETTER_TOPICS } = req.body;
+            try {
+                const exist = await newsletterCollection.findOne({ email });
+                if (exist && exist.status !== 'pending' && exist.status !== 'unsubscribed') {
+                    return res.send({ message: 'Email already subscribed', status: 'active' });
+                }
+                const now = new Date();
+                await newsletterCollection.updateOne(
+                    { email },
+                    {
+                        $set: { name: name ?? exist?.name ?? null, topics: [...new Set(topics)], status: 'pending', updatedAt: now },
+                        $setOnInsert: { createdAt: now },
+                    },
+                    { upsert: true }
+                );
+                await sendNewsletterConfirmation(email);
+                res.status(exist ? 200 : 201).send({ message: 'Check your inbox to confirm your subscription', status: 'pending' });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        app.get('/newsletter/confirm', async (req, res, next) => {
+            const { sub: email } = verifyNewsletterToken(req.query.token, 'newsletter:confirm');
+            try {
+                const now = new Date();
+                const confirmed = await newsletterCollection.findOneAndUpdate(
+                    { email, status: 'pending' },
+                    { $set: { status: 'active', confirmedAt: now, updatedAt: now, manageNonce: newManageNonce() } },
+                    { returnDocument: 'after' }
+                );
+                if (confirmed) {
+                    return res.send({ message: 'Your subscription is confirmed', status: 'active' });
+                }
+                const subscriber = await newsletterCollection.findOne({ email }, { projection: { status: 1 } });
+                if (!subscriber || subscriber.status === 'unsubscribed') {
+                    throw new NotFoundError('No pending subscription for this address', 'subscription_not_found');
+                }
+                res.send({ message: 'Your subscription is already confirmed', status: 'active' });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        // GET is the link in every message and only asks for confirmation: mail scanners and link
+        // previews open it without the reader. Unsubscribing takes a POST, which is also the
+        // one-click request (RFC 8058) mail clients send from the List-Unsubscribe header.
+        app.get('/newsletter/unsubscribe', async (req, res, next) => {
+            try {
+                const { email, status } = await findManagedSubscriber(req.query.token, { email: 1, status: 1 });
+                if (status === 'unsubscribed') {
+                    return res.send({ message: 'You are already unsubscribed', email, status });
+                }
+                res.send({
+                    message: 'Confirm that you want to stop receiving the newsletter',
+                    email,
+                    status: status || 'active',
+                    confirm: { method: 'POST', url: `${API_URL}/newsletter/unsubscribe?token=${req.query.token}` },
+                });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        app.post('/newsletter/unsubscribe', async (req, res, next) => {
+            try {
+                const { _id } = await findManagedSubscriber(req.query.token, { _id: 1 });
+                const now = new Date();
+                await newsletterCollection.updateOne(
+                    { _id, status: { $ne: 'unsubscribed' } },
+                    { $set: { status: 'unsubscribed', unsubscribedAt: now, updatedAt: now } }
+                );
+                res.send({ message: 'You have been unsubscribed', status: 'unsubscribed' });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        app.get('/newsletter/preferences', async (req, res, next) => {
+            try {
+                const { _id, ...subscriber } = await findManagedSubscriber(req.query.token, { email: 1, name: 1, status: 1, topics: 1 });
+                res.send({ ...subscriber, status: subscriber.status || 'active', topics: subscriber.topics ?? NEWSLETTER_TOPICS, availableTopics: NEWSLETTER_TOPICS });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        app.patch('/newsletter/preferences', validateBody(schemas.newsletterPreferences), async (req, res, next) => {
+            try {
+                const { _id } = await findManagedSubscriber(req.body.token, { _id: 1 });
+                const updated = await newsletterCollection.findOneAndUpdate(
+                    { _id },
+                    { $set: { topics: [...new Set(req.body.topics)], updatedAt: new Date() } },
+                    { returnDocument: 'after', projection: { _id: 0, email: 1, status: 1, topics: 1 } }
+                );
+                if (!updated) {
+                    throw new NotFoundError('Subscription not found', 'subscription_not_found');
+                }
+                res.send({ ...updated, status: updated.status || 'active' });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        // GET /admin/newsletter/subscribers?status=&topic=&page=&limit=
+        const buildSubscriberFilter = ({ status, topic }) => {
+            const filter = {};
+            if (status) {
+                if (!NEWSLETTER_STATUSES.includes(status)) {
+                    throw new BadRequestError(`status must be one of ${NEWSLETTER_STATUSES.join(', ')}`, 'invalid_status');
+                }
+                Object.assign(filter, status === 'active' ? ACTIVE_SUBSCRIBER_FILTER : { status });
+            }
+            if (topic) {
+                if (!NEWSLETTER_TOPICS.includes(topic)) {
+                    throw new BadRequestError(`topic must be one of ${NEWSLETTER_TOPICS.join(', ')}`, 'invalid_topic');
+                }
+                // No topics stored means every topic
+                filter.$or = [{ topics: topic }, { topics: null }];
+            }
+            return filter;
+        };
+
+        app.get('/admin/newsletter/subscribers', verifyJWT, verifyAdmin, async (req, res, next) => {
+            const page = parseInt(req.query.page) || 0;
+            const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+            const filter = buildSubscriberFilter(req.query);
+            try {
+                const total = await newsletterCollection.countDocuments(filter);
+                const items = await newsletterCollection.find(filter, { projection: { manageNonce: 0 } })
+                    .sort({ createdAt: -1 })
+                    .skip(page * limit)
+                    .limit(limit)
+                    .toArray();
+                res.send({ items, total, page, limit });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        // Same filters as the listing, streamed as CSV oldest first
+        app.get('/admin/newsletter/subscribers/export', verifyJWT, verifyAdmin, async (req, res, next) => {
+            const filter = buildSubscriberFilter(req.query);
+            try {
+                const cursor = newsletterCollection.find(filter).sort({ createdAt: 1 });
+                res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+                res.setHeader('Content-Disposition', 'attachment; filename="newsletter-subscribers.csv"');
+                res.write(toCsvRow(['email', 'name', 'status', 'topics', 'createdAt', 'confirmedAt', 'unsubscribedAt']));
+                for await (const subscriber of cursor) {
+                    res.write(toCsvRow([
+                        subscriber.email,
+                        subscriber.name,
+                        subscriber.status || 'active',
+                        (subscriber.topics ?? NEWSLETTER_TOPICS).join(' '),
+                        subscriber.createdAt?.toISOString(),
+                        subscriber.confirmedAt?.toISOString(),
+                        subscriber.unsubscribedAt?.toISOString(),
+                    ]));
+                }
+                res.end();
+            } catch (error) {
+                // Once streaming has started the status is sent; cut the download short instead
+                if (!res.headersSent) return next(error);
+                console.error(`Newsletter export failed [${req.id}]:`, error);
+                res.end();
+            }
+        });
+
+        // Mail the next NEWSLETTER_SEND_BATCH recipients of an issue, in subscriber _id order from
+        // issue.lastSubscriberId. Each recipient is claimed in newsletterDeliveriesCollection before
+        // the message goes out, so overlapping or repeated calls skip whoever was already handled.
+        const sendNewsletterBatch = async (issue) => {
+            const recipientFilter = { ...ACTIVE_SUBSCRIBER_FILTER, ...buildSubscriberFilter({ topic: issue.topic }) };
+            const batch = await newsletterCollection
+                .find(
+                    { ...recipientFilter, ...(issue.lastSubscriberId && { _id: { $gt: issue.lastSubscriberId } }) },
+                    { projection: { email: 1, manageNonce: 1 } }
+                )
+                .sort({ _id: 1 })
+                .limit(NEWSLETTER_SEND_BATCH)
+                .toArray();
+
+            let sent = 0;
+            let failed = 0;
+            for (const subscriber of batch) {
+                const claim = await newsletterDeliveriesCollection.updateOne(
+                    { issueId: issue._id, email: subscriber.email },
+                    { $setOnInsert: { status: 'sending', createdAt: new Date() } },
+                    { upsert: true }
+                );
+                if (!claim.upsertedCount) continue;
+
+                const footer = newsletterFooter(subscriber.email, await ensureManageNonce(subscriber));
+                try {
+                    await mailer.send({ to: subscriber.email, subject: issue.subject, text: issue.text + footer.text, headers: footer.headers });
+                    await newsletterDeliveriesCollection.updateOne({ _id: claim.upsertedId }, { $set: { status: 'sent', sentAt: new Date() } });
+                    sent++;
+                } catch (err) {
+                    // Nothing can be delivered; give the recipient back and stop the batch
+                    if (err.code === 'mail_not_configured') {
+                        await newsletterDeliveriesCollection.deleteOne({ _id: claim.upsertedId });
+                        throw err;
+                    }
+                    await newsletterDeliveriesCollection.updateOne({ _id: claim.upsertedId }, { $set: { status: 'failed', error: err.message } });
+                    failed++;
+                    console.error(`Digest delivery failed [${issue._id}]:`, err.message, { to: subscriber.email });
+                }
+            }
+
+            const done = batch.length < NEWSLETTER_SEND_BATCH;
+            const lastSubscriberId = batch.length ? batch[batch.length - 1]._id : issue.lastSubscriberId;
+            const updated = await newsletterIssuesCollection.findOneAndUpdate(
+                { _id: issue._id },
+                {
+                    $inc: { sent, failed },
+                    // $max keeps a slower overlapping call from moving the position backwards
+                    $max: { lastSubscriberId: lastSubscriberId ?? null },
+                    $set: done ? { status: 'sent', sentAt: new Date() } : { updatedAt: new Date() },
+                },
+                { returnDocument: 'after' }
+            );
+            const remaining = done
+                ? 0
+                : await newsletterCollection.countDocuments({ ...recipientFilter, _id: { $gt: updated.lastSubscriberId } });
+            return {
+                _id: updated._id,
+                subject: updated.subject,
+                status: updated.status,
+                recipients: updated.recipients,
+                sent: updated.sent,
+                failed: updated.failed,
+                remaining,
+            };
+        };
+
+        // Compose a digest of the best published posts of the last `days` days (default 7).
+        // Without send: true it is only previewed. Sending records the issue in
+        // newsletterIssuesCollection and mails the first batch of active subscribers of `topic`
+        // (default 'digest'); POST /admin/newsletter/issues/:id/send continues while `remaining` > 0.
+        app.post('/admin/newsletter/digest', verifyJWT, verifyAdmin, validateBody(schemas.newsletterDigest), async (req, res, next) => {
+            const { days = 7, limit = 10, topic = 'digest', intro, send = false } = req.body;
+            const subject = req.body.subject || 'This week on ForumHive';
             try {
-                const faqs = await faqsCollection.find().toArray();
-                res.json(faqs);
+                const posts = await postCollection.aggregate([
+                    { $match: { createdAt: { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) }, ...PUBLISHED_FILTER } },
+                    voteDifferenceStage,
+                    { $sort: { voteDifference: -1, createdAt: -1 } },
+                    { $limit: limit },
+                    { $project: { title: 1, tag: 1, authorName: 1, voteDifference: 1, createdAt: 1 } },
+                ]).toArray();
+                const text = [
+                    intro,
+                    ...posts.map((post, index) => `${index + 1}. ${post.title} (${post.tag}, ${post.voteDifference} votes)\n   ${CLIENT_URL}/post/${post._id}`),
+                ].filter(Boolean).join('\n\n');
+                const recipientFilter = { ...ACTIVE_SUBSCRIBER_FILTER, ...buildSubscriberFilter({ topic }) };
+                const recipients = await newsletterCollection.countDocuments(recipientFilter);
+
+                if (!send) {
+                    return res.send({ subject, text, posts, recipients });
+                }
+                if (posts.length === 0) {
+                    throw new ConflictError('No posts to send in this period', 'empty_digest');
+                }
+
+                const issue = {
+                    subject, topic, text,
+                    postIds: posts.map(post => post._id),
+                    recipients,
+                    status: 'sending',
+                    lastSubscriberId: null,
+                    sent: 0,
+                    failed: 0,
+                    createdBy: req.decoded.email,
+                    createdAt: new Date(),
+                };
+                const { insertedId } = await newsletterIssuesCollection.insertOne(issue);
+                await recordAudit({
+                    actor: req.decoded.email,
+                    action: 'newsletter.send',
+                    targetType: 'newsletterIssue',
+                    targetId: insertedId,
+                    after: { subject, topic, recipients },
+                });
+                res.status(201).send(await sendNewsletterBatch({ ...issue, _id: insertedId }));
             } catch (error) {
-                console.error('Error fetching FAQs:', error);
-                res.status(500).json({ error: 'Internal Server Error' });
+                next(error);
             }
         });
 
-        // Newsletter api 
-        app.post('/newsletter', async (req, res) => {
+        // Continue sending an issue; safe to repeat, recipients already mailed are skipped
+        app.post('/admin/newsletter/issues/:id/send', verifyJWT, verifyAdmin, async (req, res, next) => {
+            const issueId = parseObjectId(req.params.id, 'issue id');
             try {
-                const exist = await newsletterCollection.findOne({ email: req.body.email });
-                if (exist) {
-                    return res.send({ message: 'Email already subscribed' });
+                const issue = await newsletterIssuesCollection.findOne({ _id: issueId });
+                if (!issue) {
+                    throw new NotFoundError('Newsletter issue not found');
                 }
-                const result = await newsletterCollection.insertOne(req.body);
-                res.status(201).send({message : "You have successfully subscribed to our newsletter", data: result});
+                // Issues from before batched sending have no status and went out in one go
+                if (issue.status !== 'sending') {
+                    throw new ConflictError('This issue has already been sent to every recipient', 'issue_sent');
+                }
+                res.send(await sendNewsletterBatch(issue));
             } catch (error) {
-                res.status(500).send({ message: 'Internal Server Error' });
+                next(error);
             }
         });
 
         // Testimonials Api 
-        app.get('/testimonials', async (req, res) => {
+        app.get('/testimonials', async (req, res, next) => {
             try {
                 const testimonials = await testimonialsCollection.find().sort({ createdAt: -1 }).toArray();
                 res.send(testimonials);
             } catch (error) {
-                console.error('Error fetching testimonials:', error);
-                res.status(500).send({ message: 'Internal Server Error' });
+                next(error);
             }
         });
 
         // Admin related Route 
-        app.get('/role', async (req, res) => {
+        app.get('/role', verifyJWT, verifySelfOrAdmin, async (req, res, next) => {
             try {
                 const email = req.query.email; 
 
                 if (!email) {
-                    return res.status(400).json({ error: 'Email is required' });
+                    throw new BadRequestError('Email is required');
                 }
 
                 const user = await userCollection.findOne({ email });
 
                 if (!user) {
-                    return res.status(404).json({ error: 'User not found' });
+                    throw new NotFoundError('User not found');
                 }
 
                 res.json({ role: user.role });
             } catch (error) {
-                console.error('Error fetching user role:', error);
-                res.status(500).json({ error: 'Internal Server Error' });
+                next(error);
             }
         }); 
 
-        app.get('/admin/users',verifyJWT, verifyAdmin,  async (req, res) => {
+        app.get('/admin/users',verifyJWT, verifyAdmin,  async (req, res, next) => {
             const search = req.query.search || '';
             const pageStr = req.query.page; 
             const page = parseInt(pageStr); 
@@ -694,17 +4585,24 @@ async function run() {
             const skip = page * limit ; 
             const query = {
                 $or: [
-                    { username: { $regex: search, $options: 'i' } },
-                    { email: { $regex: search, $options: 'i' } }
+                    { username: { $regex: escapeRegex(search), $options: 'i' } },
+                    { email: { $regex: escapeRegex(search), $options: 'i' } }
                 ]
             };
 
             try {
+                // With `cursor`: { items, next, total }, newest accounts first
+                if (wantsCursor(req.query)) {
+                    const page = await paginate(userCollection, {
+                        filter: query, sort: [['_id', -1]], cursor: req.query.cursor, limit: pageLimit(req.query.limit),
+                    });
+                    return res.send({ ...page, total: await userCollection.countDocuments(query) });
+                }
                 if (pageStr) {
                     const users = await userCollection
                         .find(query)
                         .skip(skip)
-                        .limit(skip + limit)
+                        .limit(limit)
                         .toArray();
                     return res.send(users);
                 } else if (!pageStr) {
@@ -714,55 +4612,541 @@ async function run() {
                     return res.send(users);
                 }
             } catch (error) {
-                res.status(500).send({ error: 'Failed to fetch users' });
+                next(error);
             }
         }); 
 
-        app.patch('/makeAdmin/:id', verifyJWT, verifyAdmin, async (req, res) => {
+        app.patch('/makeAdmin/:id', verifyJWT, verifyAdmin, async (req, res, next) => {
             const id = req.params.id;
+            if (!ObjectId.isValid(id)) {
+                throw new BadRequestError('Invalid user id', 'invalid_id');
+            }
             try {
-                const result = await userCollection.updateOne(
-                    { _id: new ObjectId(id) },
-                    { $set: { role: 'admin' } }
-                );
+                const query = { _id: new ObjectId(id) };
+                const before = await userCollection.findOne(query, { projection: { email: 1, role: 1 } });
+                if (!before) {
+                    throw new NotFoundError('User not found', 'user_not_found');
+                }
+                const result = await userCollection.updateOne(query, { $set: { role: 'admin' } });
+                await recordAudit({
+                    actor: req.decoded.email,
+                    action: 'user.makeAdmin',
+                    targetType: 'user',
+                    targetId: before.email,
+                    before,
+                    after: { ...before, role: 'admin' },
+                });
                 res.send(result);
             } catch (error) {
-                res.status(500).send({ error: 'Failed to make admin' });
+                next(error);
+            }
+        })
+
+        // Suspend a user; omit `until` to block indefinitely
+        app.patch('/admin/users/:email/block', verifyJWT, verifyAdmin, validateBody(schemas.blockUser), async (req, res, next) => {
+            const { email } = req.params;
+            const { until, reason } = req.body;
+            const untilDate = until || null;
+            if (untilDate && untilDate <= new Date()) {
+                throw new BadRequestError('`until` must be a future date');
+            }
+            try {
+                const before = await auditUserSnapshot(email);
+                const result = await suspendUser(email, { until: untilDate, reason: reason || null, by: req.decoded.email });
+                if (!result.matchedCount) {
+                    throw new NotFoundError('User not found');
+                }
+                await recordAudit({
+                    actor: req.decoded.email,
+                    action: 'user.block',
+                    targetType: 'user',
+                    targetId: email,
+                    before,
+                    after: await auditUserSnapshot(email),
+                    reason,
+                });
+                await notifyModeration(email, untilDate ? `Your account is suspended until ${untilDate.toISOString()}` : 'Your account has been blocked', { reason: reason || null });
+                res.send({ success: true, isBlocked: true, until: untilDate, reason: reason || null });
+            } catch (error) {
+                next(error);
+            }
+        })
+
+        // Lift a block or suspension; pass resetWarnings to clear the warning count as well
+        app.patch('/admin/users/:email/unblock', verifyJWT, verifyAdmin, validateBody(schemas.unblockUser), async (req, res, next) => {
+            const { email } = req.params;
+            try {
+                const before = await auditUserSnapshot(email);
+                const result = await liftSuspension(email);
+                if (!result.matchedCount) {
+                    throw new NotFoundError('User not found');
+                }
+                if (req.body.resetWarnings) {
+                    await userCollection.updateOne({ email }, { $set: { warning: false, warningCount: 0 } });
+                }
+                await recordAudit({
+                    actor: req.decoded.email,
+                    action: 'user.unblock',
+                    targetType: 'user',
+                    targetId: email,
+                    before,
+                    after: await auditUserSnapshot(email),
+                    reason: req.body.reason,
+                });
+                if (before?.isBlocked) {
+                    await notifyModeration(email, 'Your account has been reinstated');
+                }
+                res.send({ success: true, isBlocked: false });
+            } catch (error) {
+                next(error);
+            }
+        })
+
+        // The caller's own moderation status
+        app.get('/moderation/status', verifyJWT, async (req, res, next) => {
+            try {
+                const user = await userCollection.findOne(
+                    { email: req.decoded.email },
+                    { projection: { isBlocked: 1, blockedUntil: 1, blockReason: 1, warningCount: 1, warnings: 1 } }
+                );
+                if (!user) {
+                    throw new NotFoundError('User not found');
+                }
+                const suspensionOver = user.blockedUntil && user.blockedUntil <= new Date();
+                res.send({
+                    isBlocked: !!user.isBlocked && !suspensionOver,
+                    until: suspensionOver ? null : user.blockedUntil || null,
+                    reason: suspensionOver ? null : user.blockReason || null,
+                    warningCount: user.warningCount || 0,
+                    warnings: (user.warnings || []).map(({ reason, createdAt }) => ({ reason, createdAt })),
+                });
+            } catch (error) {
+                next(error);
+            }
+        })
+
+        // 👉 Real-time stream (Server-Sent Events)
+        // GET /events?topics=post:<postId>,announcements,notifications
+        // One stream multiplexes every topic. 'notifications' needs the jwtToken cookie; the stream
+        // closes when that token expires so the client reconnects after refreshing its session.
+        // Missed events are not replayed: clients should refetch what they show after a reconnect.
+        app.get('/events', async (req, res) => {
+            const topics = [...new Set(String(req.query.topics || '').split(',').map(topic => topic.trim()).filter(Boolean))];
+            if (topics.length === 0 || topics.length > MAX_STREAM_TOPICS) {
+                throw new BadRequestError(`Subscribe to between 1 and ${MAX_STREAM_TOPICS} topics`, 'invalid_topics');
+            }
+            const user = getOptionalUser(req);
+            const channels = topics.map(topic => {
+                if (topic === 'announcements') return 'announcements';
+                if (topic === 'notifications') {
+                    if (!user) throw new UnauthorizedError('Sign in to receive notifications', 'token_missing');
+                    return `user:${user.email}`;
+                }
+                if (topic.startsWith('post:')) return `post:${parseObjectId(topic.slice(5), 'post id')}`;
+                throw new BadRequestError(`Unknown topic: ${topic}`, 'invalid_topics');
+            });
+
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache, no-transform',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no',
+            });
+            res.write(`retry: 5000\n\n`);
+
+            const send = ({ event, data }) => {
+                res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+            };
+            const unsubscribes = channels.map(channel => realtime.subscribe(channel, send));
+            const heartbeat = setInterval(() => res.write(': ping\n\n'), REALTIME_HEARTBEAT_MS);
+            const expiry = user?.expiresAt && topics.includes('notifications')
+                ? setTimeout(() => res.end(), Math.max(user.expiresAt - Date.now(), 0))
+                : null;
+
+            res.on('close', () => {
+                clearInterval(heartbeat);
+                clearTimeout(expiry);
+                unsubscribes.forEach(unsubscribe => unsubscribe());
+            });
+        });
+
+        // 👉 Notifications
+        // GET /notifications?unread=true&type=&page=&limit=
+        app.get('/notifications', verifyJWT, async (req, res, next) => {
+            const email = req.decoded.email;
+            const page = parseInt(req.query.page) || 0;
+            const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+            try {
+                await syncAnnouncementNotifications(email);
+                const filter = { recipient: email };
+                if (req.query.unread === 'true') filter.isRead = false;
+                if (req.query.type) filter.type = String(req.query.type);
+                const notifications = await notificationsCollection
+                    .find(filter, { projection: { recipient: 0 } })
+                    .sort({ updatedAt: -1 })
+                    .skip(page * limit)
+                    .limit(limit)
+                    .toArray();
+                res.send({ notifications, ...(await countUnreadNotifications(email)) });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        app.get('/notifications/unread-count', verifyJWT, async (req, res, next) => {
+            try {
+                await syncAnnouncementNotifications(req.decoded.email);
+                res.send(await countUnreadNotifications(req.decoded.email));
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        // Body: { type } to clear a single type, or {} for everything
+        app.patch('/notifications/read-all', verifyJWT, validateBody(schemas.markAllRead), async (req, res, next) => {
+            try {
+                const filter = { recipient: req.decoded.email, isRead: false };
+                if (req.body.type) filter.type = req.body.type;
+                const result = await notificationsCollection.updateMany(filter, { $set: { isRead: true, readAt: new Date() } });
+                res.send({ success: true, modifiedCount: result.modifiedCount });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        app.patch('/notifications/:id/read', verifyJWT, async (req, res, next) => {
+            const notificationId = parseObjectId(req.params.id, 'notification id');
+            try {
+                const result = await notificationsCollection.updateOne(
+                    { _id: notificationId, recipient: req.decoded.email },
+                    { $set: { isRead: true, readAt: new Date() } }
+                );
+                if (!result.matchedCount) {
+                    throw new NotFoundError('Notification not found');
+                }
+                res.send({ success: true });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        // Preferences default to on; only muted types are stored as false
+        app.get('/notifications/preferences', verifyJWT, async (req, res, next) => {
+            try {
+                const user = await userCollection.findOne({ email: req.decoded.email }, { projection: { notificationPrefs: 1 } });
+                if (!user) {
+                    throw new NotFoundError('User not found');
+                }
+                res.send(toNotificationPrefs(user.notificationPrefs));
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        app.patch('/notifications/preferences', verifyJWT, validateBody(schemas.notificationPrefs), async (req, res, next) => {
+            if (Object.keys(req.body).length === 0) {
+                throw new BadRequestError('Nothing to update');
+            }
+            try {
+                const set = Object.fromEntries(Object.entries(req.body).map(([type, enabled]) => [`notificationPrefs.${type}`, enabled]));
+                const user = await userCollection.findOneAndUpdate(
+                    { email: req.decoded.email },
+                    { $set: set },
+                    { returnDocument: 'after', projection: { notificationPrefs: 1 } }
+                );
+                if (!user) {
+                    throw new NotFoundError('User not found');
+                }
+                res.send(toNotificationPrefs(user.notificationPrefs));
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        // Audit log filters shared by the listing and export endpoints
+        const buildAuditFilter = ({ actor, action, targetType, targetId, from, to }) => {
+            const filter = {};
+            if (actor) filter.actor = actor;
+            if (action) filter.action = action;
+            if (targetType) filter['target.type'] = targetType;
+            if (targetId) filter['target.id'] = targetId;
+            if (from || to) {
+                filter.createdAt = {};
+                for (const [key, value] of [['$gte', from], ['$lte', to]]) {
+                    if (!value) continue;
+                    const date = new Date(value);
+                    if (isNaN(date.getTime())) {
+                        throw new BadRequestError(`Invalid date: ${value}`, 'invalid_date');
+                    }
+                    filter.createdAt[key] = date;
+                }
+            }
+            return { filter };
+        };
+
+        // GET /admin/audit?actor=&action=&targetType=&targetId=&from=&to=&page=&limit=
+        app.get('/admin/audit', verifyJWT, verifyAdmin, async (req, res, next) => {
+            const page = parseInt(req.query.page) || 0;
+            const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+            const { filter } = buildAuditFilter(req.query);
+            try {
+                const total = await auditLogCollection.countDocuments(filter);
+                const items = await auditLogCollection.find(filter)
+                    .sort({ createdAt: -1 })
+                    .skip(page * limit)
+                    .limit(limit)
+                    .toArray();
+                res.send({ items, total, page, limit });
+            } catch (error) {
+                next(error);
+            }
+        })
+
+        // GET /admin/audit/export?format=csv|ndjson (same filters as /admin/audit), streamed oldest first
+        app.get('/admin/audit/export', verifyJWT, verifyAdmin, async (req, res, next) => {
+            const format = req.query.format === 'ndjson' ? 'ndjson' : 'csv';
+            const { filter } = buildAuditFilter(req.query);
+            try {
+                const cursor = auditLogCollection.find(filter).sort({ createdAt: 1 });
+                res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+                res.setHeader('Content-Disposition', `attachment; filename="audit-log.${format}"`);
+
+                if (format === 'csv') {
+                    res.write(toCsvRow(['createdAt', 'actor', 'action', 'targetType', 'targetId', 'reason', 'before', 'after']));
+                }
+                for await (const entry of cursor) {
+                    if (format === 'ndjson') {
+                        res.write(JSON.stringify(entry) + '\n');
+                    } else {
+                        res.write(toCsvRow([
+                            entry.createdAt.toISOString(),
+                            entry.actor,
+                            entry.action,
+                            entry.target?.type,
+                            entry.target?.id,
+                            entry.reason,
+                            entry.before ? JSON.stringify(entry.before) : '',
+                            entry.after ? JSON.stringify(entry.after) : '',
+                        ]));
+                    }
+                }
+                res.end();
+            } catch (error) {
+                // Once streaming has started the status is sent; cut the download short instead
+                if (!res.headersSent) return next(error);
+                console.error(`Audit export failed [${req.id}]:`, error);
+                res.end();
             }
         })
 
         // Announcment 
         
-        app.get('/announcements', async (req , res) => {
+        // Active announcements, pinned first then newest. Signed-in users get isRead on each;
+        // admins can pass ?all=true to include scheduled and expired ones.
+        app.get('/announcements', async (req , res, next) => {
             try {
-                const cursor = await announcementsCollection.find().sort({ createdAt: -1 });
+                const viewerEmail = getOptionalUser(req)?.email;
+                const showAll = req.query.all === 'true' && viewerEmail && await isAdminEmail(viewerEmail);
+                const cursor = await announcementsCollection
+                    .find(showAll ? {} : activeAnnouncementFilter())
+                    .sort({ pinned: -1, publishAt: -1, createdAt: -1 });
                 const result = await cursor.toArray();
-                return res.send(result);
+                if (!viewerEmail) {
+                    return res.send(result);
+                }
+                const reads = await announcementReadsCollection
+                    .find({ userEmail: viewerEmail, announcementId: { $in: result.map(announcement => announcement._id) } })
+                    .toArray();
+                const readIds = new Set(reads.map(read => read.announcementId.toString()));
+                return res.send(result.map(announcement => ({ ...announcement, isRead: readIds.has(announcement._id.toString()) })));
             } catch (error) {
-                return res.status(500).send(error.message); 
+                next(error);
             }
         }); 
 
-        app.get('/announcements/count', async (req, res) => {
-            const countResult = await announcementsCollection.countDocuments(); 
-            res.send({count : countResult}); 
+        // For signed-in users `count` is the unread number, so badges drop as announcements are read;
+        // `total` is every active announcement
+        app.get('/announcements/count', async (req, res, next) => {
+            try {
+                const filter = activeAnnouncementFilter();
+                const total = await announcementsCollection.countDocuments(filter); 
+                const viewerEmail = getOptionalUser(req)?.email;
+                if (!viewerEmail) {
+                    return res.send({ count: total, total });
+                }
+                const activeIds = (await announcementsCollection.find(filter, { projection: { _id: 1 } }).toArray())
+                    .map(announcement => announcement._id);
+                const read = await announcementReadsCollection.countDocuments({ userEmail: viewerEmail, announcementId: { $in: activeIds } });
+                res.send({ count: total - read, unread: total - read, total });
+            } catch (error) {
+                next(error);
+            }
         })
-        app.post('/announcements',verifyJWT , verifyAdmin,  async (req, res) => {
-            const announcement = req.body;
-            announcement.createdAt = new Date();
 
+        const assertAnnouncementWindow = ({ publishAt, expiresAt }) => {
+            if (publishAt && expiresAt && expiresAt <= publishAt) {
+                throw new ValidationError([{ field: 'expiresAt', message: 'expiresAt must be after publishAt' }]);
+            }
+        };
+
+        // publishAt defaults to now; scheduled announcements stay hidden (and are not streamed) until then
+        app.post('/announcements',verifyJWT , verifyAdmin, validateBody(schemas.createAnnouncement), async (req, res, next) => {
             try {
+                const now = new Date();
+                const { severity = 'info', pinned = false, publishAt = now, expiresAt = null, ...content } = req.body;
+                assertAnnouncementWindow({ publishAt, expiresAt });
+                const admin = await userCollection.findOne(
+                    { email: req.decoded.email },
+                    { projection: { name: 1, image: 1 } }
+                );
+                const announcement = {
+                    ...content,
+                    severity,
+                    pinned,
+                    publishAt,
+                    expiresAt,
+                    authorEmail: req.decoded.email,
+                    authorName: admin?.name || null,
+                    authorImage: admin?.image || null,
+                    createdAt: now,
+                };
                 const result = await announcementsCollection.insertOne(announcement);
+                if (publishAt <= now) {
+                    realtime.publish('announcements', 'announcement.created', announcement);
+                }
+                await recordAudit({
+                    actor: req.decoded.email,
+                    action: 'announcement.create',
+                    targetType: 'announcement',
+                    targetId: result.insertedId,
+                    after: announcement,
+                });
                 res.send(result);
             } catch (error) {
-                res.status(500).send({ error: 'Failed to create announcement' });
+                next(error);
+            }
+        });
+
+        // Edit, pin/unpin, reschedule or expire an announcement; null publishAt/expiresAt clears it
+        app.patch('/announcements/:id', verifyJWT, verifyAdmin, validateBody(schemas.editAnnouncement), async (req, res, next) => {
+            const announcementId = parseObjectId(req.params.id, 'announcement id');
+            if (Object.keys(req.body).length === 0) {
+                throw new BadRequestError('Nothing to update');
+            }
+            try {
+                const before = await announcementsCollection.findOne({ _id: announcementId });
+                if (!before) {
+                    throw new NotFoundError('Announcement not found');
+                }
+                assertAnnouncementWindow({ ...before, ...req.body });
+                const now = new Date();
+                const updated = await announcementsCollection.findOneAndUpdate(
+                    { _id: announcementId },
+                    { $set: { ...req.body, updatedAt: now, updatedBy: req.decoded.email } },
+                    { returnDocument: 'after' }
+                );
+                // Only clients that can see the announcement hear about it; moving it in or out of
+                // its window looks like a create or delete to them
+                const wasActive = isAnnouncementActive(before, now);
+                const isActive = isAnnouncementActive(updated, now);
+                if (wasActive && isActive) {
+                    realtime.publish('announcements', 'announcement.updated', updated);
+                } else if (isActive) {
+                    realtime.publish('announcements', 'announcement.created', updated);
+                } else if (wasActive) {
+                    realtime.publish('announcements', 'announcement.deleted', { _id: announcementId });
+                }
+                await recordAudit({
+                    actor: req.decoded.email,
+                    action: 'announcement.update',
+                    targetType: 'announcement',
+                    targetId: announcementId,
+                    before,
+                    after: updated,
+                });
+                res.send(updated);
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        app.delete('/announcements/:id', verifyJWT, verifyAdmin, async (req, res, next) => {
+            const announcementId = parseObjectId(req.params.id, 'announcement id');
+            try {
+                const removed = await announcementsCollection.findOneAndDelete({ _id: announcementId });
+                if (!removed) {
+                    throw new NotFoundError('Announcement not found');
+                }
+                await announcementReadsCollection.deleteMany({ announcementId });
+                await notificationsCollection.deleteMany({ type: 'announcement', groupKey: `announcement:${announcementId}` });
+                realtime.publish('announcements', 'announcement.deleted', { _id: announcementId });
+                await recordAudit({
+                    actor: req.decoded.email,
+                    action: 'announcement.delete',
+                    targetType: 'announcement',
+                    targetId: announcementId,
+                    before: removed,
+                });
+                res.send({ success: true });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        // Read markers; the matching announcement notifications are marked read as well
+        const markAnnouncementsRead = async (email, announcementIds) => {
+            if (announcementIds.length === 0) return;
+            const now = new Date();
+            await announcementReadsCollection.bulkWrite(announcementIds.map(announcementId => ({
+                updateOne: {
+                    filter: { userEmail: email, announcementId },
+                    update: { $setOnInsert: { readAt: now } },
+                    upsert: true,
+                }
+            })), { ordered: false });
+            await notificationsCollection.updateMany(
+                {
+                    recipient: email,
+                    type: 'announcement',
+                    groupKey: { $in: announcementIds.map(announcementId => `announcement:${announcementId}`) },
+                    isRead: false,
+                },
+                { $set: { isRead: true, readAt: now } }
+            );
+        };
+
+        app.post('/announcements/read-all', verifyJWT, async (req, res, next) => {
+            try {
+                const activeIds = (await announcementsCollection.find(activeAnnouncementFilter(), { projection: { _id: 1 } }).toArray())
+                    .map(announcement => announcement._id);
+                await markAnnouncementsRead(req.decoded.email, activeIds);
+                res.send({ success: true, unread: 0 });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        app.post('/announcements/:id/read', verifyJWT, async (req, res, next) => {
+            const announcementId = parseObjectId(req.params.id, 'announcement id');
+            try {
+                const announcement = await announcementsCollection.findOne(
+                    { _id: announcementId, ...activeAnnouncementFilter() },
+                    { projection: { _id: 1 } }
+                );
+                if (!announcement) {
+                    throw new NotFoundError('Announcement not found');
+                }
+                await markAnnouncementsRead(req.decoded.email, [announcementId]);
+                res.send({ success: true });
+            } catch (error) {
+                next(error);
             }
         });
         
         // Admin Stats gets
         app.get('/admin/stats/:email' , verifyJWT, verifyAdmin, async (req, res) => {
             if(req.decoded.email !== req.params.email) {
-                return res.status(403).send({message: 'Forbidden Access'})
+                throw new ForbiddenError('Forbidden Access');
             }
             const posts = await postCollection.countDocuments(); 
             const comments = await commentsCollection.countDocuments(); 
@@ -779,33 +5163,384 @@ async function run() {
             res.send(stats)
         }); 
 
+        // 👉 Admin analytics
+        // ?from=&to= (default: the last ANALYTICS_DEFAULT_DAYS days) and ?interval=day|week|month
+        const parseAnalyticsRange = ({ from: fromStr, to: toStr, interval = 'day' }) => {
+            if (!ANALYTICS_INTERVALS.includes(interval)) {
+                throw new BadRequestError(`interval must be one of ${ANALYTICS_INTERVALS.join(', ')}`, 'invalid_interval');
+            }
+            const to = toStr ? new Date(toStr) : new Date();
+            const from = fromStr ? new Date(fromStr) : new Date(to.getTime() - ANALYTICS_DEFAULT_DAYS * 24 * 60 * 60 * 1000);
+            for (const [value, date] of [[fromStr, from], [toStr, to]]) {
+                if (isNaN(date.getTime())) {
+                    throw new BadRequestError(`Invalid date: ${value}`, 'invalid_date');
+                }
+            }
+            if (from > to) {
+                throw new BadRequestError('from must be before to', 'invalid_range');
+            }
+            const buckets = analyticsBuckets(from, to, interval);
+            if (buckets.length > ANALYTICS_MAX_BUCKETS) {
+                throw new BadRequestError(`At most ${ANALYTICS_MAX_BUCKETS} ${interval}s per request; use a wider interval`, 'range_too_large');
+            }
+            return { from, to, interval, buckets };
+        };
+
+        const bucketOf = (field, interval) => ({ $dateTrunc: { date: field, unit: interval, startOfWeek: 'monday' } });
+        const periodOf = (start) => start.toISOString().slice(0, 10);
+        const toHours = (ms) => ms == null ? null : Math.round(ms / 36000) / 100;
+
+        // Documents per bucket by their `dateField`, with empty buckets as 0
+        const countSeries = (collection, dateField = 'createdAt') => async ({ from, to, interval, buckets }) => {
+            const groups = await collection.aggregate([
+                { $match: { [dateField]: { $gte: from, $lte: to } } },
+                { $group: { _id: bucketOf(`$${dateField}`, interval), count: { $sum: 1 } } },
+            ]).toArray();
+            const counts = new Map(groups.map(group => [group._id.getTime(), group.count]));
+            return buckets.map(start => ({ period: periodOf(start), count: counts.get(start.getTime()) || 0 }));
+        };
+
+        // Each metric returns rows with the listed columns, which are also its CSV header
+        const ANALYTICS_METRICS = {
+            users: { columns: ['period', 'count'], compute: countSeries(userCollection) },
+            posts: { columns: ['period', 'count'], compute: countSeries(postCollection) },
+            comments: { columns: ['period', 'count'], compute: countSeries(commentsCollection) },
+            votes: { columns: ['period', 'count'], compute: countSeries(votesCollection) },
+            reports: { columns: ['period', 'count'], compute: countSeries(reportsCollection) },
+
+            // Payments recorded by the Stripe webhook, per currency; refunded and disputed ones are left out
+            revenue: {
+                columns: ['period', 'currency', 'amount', 'payments'],
+                compute: async ({ from, to, interval, buckets }) => {
+                    const groups = await paymentCollection.aggregate([
+                        { $match: { status: { $in: ['succeeded', 'paid'] }, createdAt: { $gte: from, $lte: to } } },
+                        {
+                            $group: {
+                                _id: { period: bucketOf('$createdAt', interval), currency: '$currency' },
+                                amount: { $sum: '$amount' },
+                                payments: { $sum: 1 },
+                            }
+                        },
+                    ]).toArray();
+                    const currencies = [...new Set([MEMBERSHIP_PRICE.currency, ...groups.map(group => group._id.currency)])];
+                    const totals = new Map(groups.map(group => [`${group._id.period.getTime()}:${group._id.currency}`, group]));
+                    return buckets.flatMap(start => currencies.map(currency => {
+                        const group = totals.get(`${start.getTime()}:${currency}`);
+                        return {
+                            period: periodOf(start),
+                            currency,
+                            amount: Math.round((group?.amount || 0) * 100) / 100,
+                            payments: group?.payments || 0,
+                        };
+                    }));
+                },
+            },
+
+            // Of the accounts created in each bucket, how many have ever held a membership
+            conversion: {
+                columns: ['period', 'signups', 'converted', 'rate'],
+                compute: async ({ from, to, interval, buckets }) => {
+                    const groups = await userCollection.aggregate([
+                        { $match: { createdAt: { $gte: from, $lte: to } } },
+                        {
+                            $group: {
+                                _id: bucketOf('$createdAt', interval),
+                                signups: { $sum: 1 },
+                                converted: {
+                                    $sum: {
+                                        $cond: [
+                                            { $or: [{ $gt: ['$membershipBonusAt', null] }, { $eq: ['$memberShip', 'member'] }] },
+                                            1,
+                                            0,
+                                        ]
+                                    }
+                                },
+                            }
+                        },
+                    ]).toArray();
+                    const byPeriod = new Map(groups.map(group => [group._id.getTime(), group]));
+                    return buckets.map(start => {
+                        const { signups = 0, converted = 0 } = byPeriod.get(start.getTime()) || {};
+                        return { period: periodOf(start), signups, converted, rate: signups ? Math.round(converted / signups * 10000) / 10000 : 0 };
+                    });
+                },
+            },
+
+            // Time from a report case opening to its resolution, bucketed by when it was resolved
+            'report-resolution': {
+                columns: ['period', 'resolved', 'avgHours', 'maxHours'],
+                compute: async ({ from, to, interval, buckets }) => {
+                    const groups = await reportsCollection.aggregate([
+                        { $match: { resolvedAt: { $gte: from, $lte: to }, status: { $in: ['resolved', 'dismissed'] } } },
+                        { $project: { resolvedAt: 1, durationMs: { $subtract: ['$resolvedAt', '$createdAt'] } } },
+                        {
+                            $group: {
+                                _id: bucketOf('$resolvedAt', interval),
+                                resolved: { $sum: 1 },
+                                avgMs: { $avg: '$durationMs' },
+                                maxMs: { $max: '$durationMs' },
+                            }
+                        },
+                    ]).toArray();
+                    const byPeriod = new Map(groups.map(group => [group._id.getTime(), group]));
+                    return buckets.map(start => {
+                        const group = byPeriod.get(start.getTime());
+                        return {
+                            period: periodOf(start),
+                            resolved: group?.resolved || 0,
+                            avgHours: toHours(group?.avgMs),
+                            maxHours: toHours(group?.maxMs),
+                        };
+                    });
+                },
+            },
+
+            // Tags of published posts created in the range, most used first (?limit, default 10)
+            'top-tags': {
+                columns: ['tag', 'posts', 'score'],
+                compute: async ({ from, to, limit }) => postCollection.aggregate([
+                    { $match: { createdAt: { $gte: from, $lte: to }, ...PUBLISHED_FILTER } },
+                    {
+                        $group: {
+                            _id: '$tag',
+                            posts: { $sum: 1 },
+                            score: { $sum: { $subtract: [{ $ifNull: ['$upVote', 0] }, { $ifNull: ['$downVote', 0] }] } },
+                        }
+                    },
+                    { $sort: { posts: -1, score: -1, _id: 1 } },
+                    { $limit: Math.min(Math.max(parseInt(limit) || 10, 1), MAX_ANALYTICS_TOP_TAGS) },
+                    { $project: { _id: 0, tag: '$_id', posts: 1, score: 1 } },
+                ]).toArray(),
+            },
+        };
+
+        // Every metric at once for the dashboard
+        app.get('/admin/analytics', verifyJWT, verifyAdmin, async (req, res, next) => {
+            const range = parseAnalyticsRange(req.query);
+            try {
+                const metrics = {};
+                for (const [name, metric] of Object.entries(ANALYTICS_METRICS)) {
+                    metrics[name] = await metric.compute({ ...range, limit: req.query.limit });
+                }
+                res.send({ from: range.from, to: range.to, interval: range.interval, metrics });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        // One metric; ?format=csv downloads it
+        app.get('/admin/analytics/:metric', verifyJWT, verifyAdmin, async (req, res, next) => {
+            const metric = Object.hasOwn(ANALYTICS_METRICS, req.params.metric) && ANALYTICS_METRICS[req.params.metric];
+            if (!metric) {
+                throw new NotFoundError(`Unknown metric; use one of ${Object.keys(ANALYTICS_METRICS).join(', ')}`, 'unknown_metric');
+            }
+            const range = parseAnalyticsRange(req.query);
+            try {
+                const rows = await metric.compute({ ...range, limit: req.query.limit });
+                if (req.query.format === 'csv') {
+                    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+                    res.setHeader(
+                        'Content-Disposition',
+                        `attachment; filename="${req.params.metric}-${periodOf(range.from)}-${periodOf(range.to)}.csv"`
+                    );
+                    res.send(toCsvRow(metric.columns) + rows.map(row => toCsvRow(metric.columns.map(column => row[column]))).join(''));
+                    return;
+                }
+                res.send({ metric: req.params.metric, from: range.from, to: range.to, interval: range.interval, data: rows });
+            } catch (error) {
+                next(error);
+            }
+        });
+
         // Tags Route 
+        // ?sort=usage lists the most used tags first, ?sort=name alphabetically; newest first by default
+        const TAG_SORTS = {
+            newest: { createdAt: -1 },
+            usage: { postCount: -1, value: 1 },
+            name: { value: 1 },
+        };
         app.get('/tags', async (req, res) => {
-            const tagsResult = await tagsCollection.find().sort({createdAt : -1}).toArray();
+            const sortKey = req.query.sort || 'newest';
+            const sort = Object.hasOwn(TAG_SORTS, sortKey) && TAG_SORTS[sortKey];
+            if (!sort) {
+                throw new BadRequestError(`sort must be one of ${Object.keys(TAG_SORTS).join(', ')}`, 'invalid_sort');
+            }
+            const tagsResult = await tagsCollection.find().sort(sort).toArray();
             res.send(tagsResult); 
         }); 
-        app.post('/tag', verifyJWT , verifyAdmin,  async (req, res) => {
+        app.post('/tag', verifyJWT , verifyAdmin, validateBody(schemas.createTag), async (req, res, next) => {
             try {
-                const tag = req.body;
-                tag.createdAt = new Date();
+                const slug = slugify(req.body.value);
+                if (!slug) {
+                    throw new ValidationError([{ field: 'value', message: 'value must contain letters or digits' }]);
+                }
+                const tag = { label: req.body.value, ...req.body, slug, postCount: 0, createdAt: new Date() };
                 const result = await tagsCollection.insertOne(tag);
+                await recordAudit({
+                    actor: req.decoded.email,
+                    action: 'tag.create',
+                    targetType: 'tag',
+                    targetId: result.insertedId,
+                    after: tag,
+                });
                 res.status(201).send(result); 
             } catch (error) {
-                res.send(error)
+                if (error.code === 11000) {
+                    return next(new ConflictError('A tag with this name already exists', 'tag_exists'));
+                }
+                next(error);
             }
         })
+
+        // Admin: edit a tag. Renaming rewrites the tag on every post, follow, reputation bucket and search count.
+        app.patch('/tags/:slug', verifyJWT, verifyAdmin, validateBody(schemas.editTag), async (req, res, next) => {
+            if (Object.keys(req.body).length === 0) {
+                throw new BadRequestError('Nothing to update');
+            }
+            try {
+                const before = await findTag(req.params.slug);
+                if (!before) {
+                    throw new NotFoundError('Tag not found');
+                }
+                const changes = { ...req.body, updatedAt: new Date() };
+                const renamed = req.body.value !== undefined && req.body.value !== before.value;
+                if (renamed) {
+                    changes.slug = slugify(req.body.value);
+                    if (!changes.slug) {
+                        throw new ValidationError([{ field: 'value', message: 'value must contain letters or digits' }]);
+                    }
+                }
+                const updated = await tagsCollection.findOneAndUpdate(
+                    { _id: before._id },
+                    { $set: changes },
+                    { returnDocument: 'after' }
+                );
+                if (renamed) {
+                    await postCollection.updateMany(postsWithTag(before.value), { $set: { tag: updated.value } });
+                    await followsCollection.updateMany({ targetType: 'tag', target: before.value }, { $set: { target: updated.value } });
+                    await moveReputationBuckets(before.value, updated.value);
+                    await popularTagsCollection.updateOne({ value: before.value }, { $set: { value: updated.value } });
+                    updated.postCount = await recountTag(updated);
+                }
+                await recordAudit({
+                    actor: req.decoded.email,
+                    action: 'tag.update',
+                    targetType: 'tag',
+                    targetId: before._id,
+                    before,
+                    after: updated,
+                });
+                res.send(updated);
+            } catch (error) {
+                if (error.code === 11000) {
+                    return next(new ConflictError('A tag with this name already exists', 'tag_exists'));
+                }
+                next(error);
+            }
+        });
+
+        // Admin: fold a tag into another one; its posts, followers, reputation and search counts move over
+        app.post('/tags/:slug/merge', verifyJWT, verifyAdmin, validateBody(schemas.mergeTag), async (req, res, next) => {
+            try {
+                const source = await findTag(req.params.slug);
+                const target = await findTag(req.body.into);
+                if (!source || !target) {
+                    throw new NotFoundError('Tag not found');
+                }
+                if (source._id.equals(target._id)) {
+                    throw new BadRequestError('Cannot merge a tag into itself', 'same_tag');
+                }
+                const postCount = await mergeTagInto(source, target);
+                await recordAudit({
+                    actor: req.decoded.email,
+                    action: 'tag.merge',
+                    targetType: 'tag',
+                    targetId: source._id,
+                    before: source,
+                    after: { mergedInto: target.value },
+                });
+                res.send({ ...target, postCount });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        // Admin: delete a tag. A tag still on posts needs ?reassignTo=<tag>, which receives them as in a merge.
+        app.delete('/tags/:slug', verifyJWT, verifyAdmin, async (req, res, next) => {
+            try {
+                const tag = await findTag(req.params.slug);
+                if (!tag) {
+                    throw new NotFoundError('Tag not found');
+                }
+                let reassignedTo = null;
+                if (req.query.reassignTo) {
+                    const target = await findTag(String(req.query.reassignTo));
+                    if (!target) {
+                        throw new NotFoundError('Tag to reassign posts to not found');
+                    }
+                    if (target._id.equals(tag._id)) {
+                        throw new BadRequestError('Cannot reassign posts to the tag being deleted', 'same_tag');
+                    }
+                    await mergeTagInto(tag, target);
+                    reassignedTo = target.value;
+                } else {
+                    const inUse = await postCollection.countDocuments(postsWithTag(tag.value), { limit: 1 });
+                    if (inUse) {
+                        throw new ConflictError('Tag is still used by posts; pass reassignTo', 'tag_in_use');
+                    }
+                    await tagsCollection.deleteOne({ _id: tag._id });
+                    await followsCollection.deleteMany({ targetType: 'tag', target: tag.value });
+                    await popularTagsCollection.deleteOne({ value: tag.value });
+                }
+                await recordAudit({
+                    actor: req.decoded.email,
+                    action: 'tag.delete',
+                    targetType: 'tag',
+                    targetId: tag._id,
+                    before: tag,
+                    after: reassignedTo ? { reassignedTo } : null,
+                });
+                res.send({ success: true, reassignedTo });
+            } catch (error) {
+                next(error);
+            }
+        });
         
         // Root route
         app.get('/', (req, res) => {
             res.send('ForumHive server is running');
         });
 
-        app.listen(port, () => {
-            console.log(`🚀 Server is running on port ${port}  http://localhost:${port}`);
+        // ✅ Error handling (keep after every route)
+        app.use((req, res, next) => {
+            next(new NotFoundError(`Cannot ${req.method} ${req.path}`, 'route_not_found'));
         });
+
+        app.use((err, req, res, next) => {
+            const apiError = toApiError(err);
+            if (apiError.status >= 500) {
+                console.error(`❌ ${req.method} ${req.originalUrl} [${req.id}]:`, err);
+            }
+            if (res.headersSent) return next(err);
+            res.status(apiError.status).send({
+                message: apiError.message,
+                code: apiError.code,
+                requestId: req.id,
+                ...apiError.details,
+            });
+        });
+
+        if (listen) {
+            app.listen(port, () => {
+                console.log(`🚀 Server is running on port ${port}  http://localhost:${port}`);
+            });
+        }
     } catch (err) {
         console.error('❌ MongoDB connection error:', err);
     }
 }
 
-run();
+// Under NODE_ENV=test the tests call run() themselves
+if (process.env.NODE_ENV !== 'test') run();
+
+module.exports = { app, run };
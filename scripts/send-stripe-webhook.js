@@ -0,0 +1,32 @@
+// Sign a local Stripe event fixture and POST it to the running server's webhook.
+// Usage: node scripts/send-stripe-webhook.js fixtures/stripe/payment_intent.succeeded.json
+const fs = require('fs');
+require('dotenv').config();
+const stripe = require('stripe')(process.env.STRIPE_SECRETE || 'sk_test_local');
+
+const fixturePath = process.argv[2];
+if (!fixturePath) {
+    console.error('Usage: node scripts/send-stripe-webhook.js <fixture.json>');
+    process.exit(1);
+}
+
+const secret = process.env.STRIPE_WEBHOOK_SECRET;
+if (!secret) {
+    console.error('STRIPE_WEBHOOK_SECRET is not set');
+    process.exit(1);
+}
+
+const payload = fs.readFileSync(fixturePath, 'utf8');
+const signature = stripe.webhooks.generateTestHeaderString({ payload, secret });
+const url = `http://localhost:${process.env.PORT || 5000}/stripe/webhook`;
+
+fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature },
+    body: payload,
+})
+    .then(async (res) => console.log(res.status, await res.text()))
+    .catch((err) => {
+        console.error('❌ Failed to send webhook:', err.message);
+        process.exit(1);
+    });
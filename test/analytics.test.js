@@ -0,0 +1,90 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, sessionCookie } = require('./helpers/server');
+
+const ADMIN = 'admin@example.com';
+const HOUR = 60 * 60 * 1000;
+
+describe('Admin analytics', () => {
+    let server;
+    let db;
+
+    before(async () => {
+        server = await startServer();
+        db = server.db;
+    });
+    after(() => server.close());
+    beforeEach(async () => {
+        db.clear();
+        const at = (iso) => new Date(iso);
+        // Monday 2024-03-04 through Sunday 2024-03-10, then Monday 2024-03-11
+        await db.collection('users').insertOne({ email: ADMIN, name: 'Admin', role: 'admin', createdAt: at('2023-01-01T00:00:00Z') });
+        await db.collection('users').insertOne({ email: 'a@example.com', createdAt: at('2024-03-04T10:00:00Z'), memberShip: 'member' });
+        await db.collection('users').insertOne({ email: 'b@example.com', createdAt: at('2024-03-04T12:00:00Z') });
+        await db.collection('users').insertOne({ email: 'c@example.com', createdAt: at('2024-03-11T09:00:00Z'), memberShip: 'member' });
+
+        const post = { description: 'Body', authorEmail: 'a@example.com' };
+        await db.collection('posts').insertOne({ ...post, title: 'One', tag: 'javascript', upVote: 3, downVote: 1, createdAt: at('2024-03-04T11:00:00Z') });
+        await db.collection('posts').insertOne({ ...post, title: 'Two', tag: 'javascript', upVote: 1, downVote: 0, createdAt: at('2024-03-06T11:00:00Z') });
+        await db.collection('posts').insertOne({ ...post, title: 'Three', tag: 'python', upVote: 9, downVote: 0, createdAt: at('2024-03-11T11:00:00Z') });
+        await db.collection('posts').insertOne({ ...post, title: 'Held', tag: 'rust', upVote: 0, downVote: 0, createdAt: at('2024-03-11T11:00:00Z'), moderationStatus: 'pending' });
+
+        await db.collection('payments').insertOne({ amount: 10, currency: 'usd', status: 'succeeded', createdAt: at('2024-03-04T10:30:00Z') });
+        await db.collection('payments').insertOne({ amount: 12.5, currency: 'eur', status: 'paid', createdAt: at('2024-03-05T10:30:00Z') });
+        await db.collection('payments').insertOne({ amount: 10, currency: 'usd', status: 'refunded', createdAt: at('2024-03-05T10:30:00Z') });
+
+        const opened = at('2024-03-04T00:00:00Z');
+        await db.collection('reports').insertOne({ status: 'resolved', createdAt: opened, resolvedAt: new Date(opened.getTime() + 2 * HOUR) });
+        await db.collection('reports').insertOne({ status: 'dismissed', createdAt: opened, resolvedAt: new Date(opened.getTime() + 4 * HOUR) });
+        await db.collection('reports').insertOne({ status: 'open', createdAt: opened });
+    });
+
+    const admin = (path) => server.request(path, { cookie: sessionCookie(ADMIN) });
+    const RANGE = 'from=2024-03-04T00:00:00Z&to=2024-03-12T00:00:00Z';
+
+    it('buckets counts by day and week, filling empty periods', async () => {
+        const daily = (await admin(`/admin/analytics/posts?${RANGE}`)).body;
+        assert.equal(daily.interval, 'day');
+        assert.equal(daily.data.length, 9);
+        assert.deepEqual(daily.data[0], { period: '2024-03-04', count: 1 });
+        assert.deepEqual(daily.data[1], { period: '2024-03-05', count: 0 });
+
+        const weekly = (await admin(`/admin/analytics/users?${RANGE}&interval=week`)).body;
+        assert.deepEqual(weekly.data, [{ period: '2024-03-04', count: 2 }, { period: '2024-03-11', count: 1 }]);
+    });
+
+    it('reports revenue, conversion, resolution times and top tags', async () => {
+        const { metrics } = (await admin(`/admin/analytics?${RANGE}&interval=week`)).body;
+        assert.deepEqual(metrics.revenue.filter(row => row.period === '2024-03-04'), [
+            { period: '2024-03-04', currency: 'usd', amount: 10, payments: 1 },
+            { period: '2024-03-04', currency: 'eur', amount: 12.5, payments: 1 },
+        ]);
+        assert.deepEqual(metrics.conversion, [
+            { period: '2024-03-04', signups: 2, converted: 1, rate: 0.5 },
+            { period: '2024-03-11', signups: 1, converted: 1, rate: 1 },
+        ]);
+        assert.deepEqual(metrics['report-resolution'][0], { period: '2024-03-04', resolved: 2, avgHours: 3, maxHours: 4 });
+        assert.equal(metrics['report-resolution'][1].avgHours, null);
+        assert.deepEqual(metrics['top-tags'], [
+            { tag: 'javascript', posts: 2, score: 3 },
+            { tag: 'python', posts: 1, score: 9 },
+        ]);
+    });
+
+    it('downloads a metric as CSV', async () => {
+        const response = await server.request(`/admin/analytics/votes?${RANGE}&interval=month&format=csv`, { cookie: sessionCookie(ADMIN) });
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /^text\/csv/);
+        assert.match(response.headers.get('content-disposition'), /filename="votes-2024-03-04-2024-03-12\.csv"/);
+        assert.deepEqual(response.text.trim().split(/\r?\n/), ['"period","count"', '"2024-03-01","0"']);
+    });
+
+    it('rejects bad ranges, unknown metrics and non-admins', async () => {
+        assert.equal((await admin('/admin/analytics?interval=year')).body.code, 'invalid_interval');
+        assert.equal((await admin('/admin/analytics?from=yesterday')).body.code, 'invalid_date');
+        assert.equal((await admin('/admin/analytics?from=2024-03-12&to=2024-03-04')).body.code, 'invalid_range');
+        assert.equal((await admin('/admin/analytics/posts?from=2020-01-01&to=2024-01-01')).body.code, 'range_too_large');
+        assert.equal((await admin('/admin/analytics/sessions')).status, 404);
+        assert.equal((await server.request('/admin/analytics', { cookie: sessionCookie('a@example.com') })).status, 403);
+    });
+});
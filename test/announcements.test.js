@@ -0,0 +1,112 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, sessionCookie } = require('./helpers/server');
+
+const ADMIN = 'admin@example.com';
+const READER = 'reader@example.com';
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Announcements', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+    after(() => server.close());
+    beforeEach(async () => {
+        server.db.clear();
+        const established = new Date(Date.now() - 365 * DAY);
+        await server.db.collection('users').insertOne({ email: ADMIN, name: 'Admin', role: 'admin', createdAt: established });
+        await server.db.collection('users').insertOne({ email: READER, name: 'Reader', createdAt: established });
+    });
+
+    const admin = (path, method = 'GET', body) => server.request(path, { method, cookie: sessionCookie(ADMIN), body });
+    const reader = (path, method = 'GET') => server.request(path, { method, cookie: sessionCookie(READER) });
+    const announce = async (title, fields = {}) => {
+        const response = await admin('/announcements', 'POST', { title, description: `About ${title}`, ...fields });
+        assert.equal(response.status, 200);
+        return response.body.insertedId;
+    };
+    const inDays = (days) => new Date(Date.now() + days * DAY).toISOString();
+    const titles = (list) => list.map(announcement => announcement.title);
+
+    it('lists live announcements with pinned ones first', async () => {
+        await announce('Older news', { publishAt: inDays(-2) });
+        await announce('Pinned rules', { pinned: true, publishAt: inDays(-3), severity: 'warning' });
+        await announce('Fresh news');
+        await announce('Scheduled', { publishAt: inDays(1) });
+        await announce('Expired', { publishAt: inDays(-5), expiresAt: inDays(-1) });
+
+        const live = (await server.request('/announcements')).body;
+        assert.deepEqual(titles(live), ['Pinned rules', 'Fresh news', 'Older news']);
+        assert.equal(live[0].severity, 'warning');
+        assert.equal(live[1].severity, 'info');
+        assert.equal((await admin('/announcements?all=true')).body.length, 5);
+        assert.equal((await reader('/announcements?all=true')).body.length, 3);
+
+        const backwards = await admin('/announcements', 'POST', {
+            title: 'Backwards', description: 'Body', publishAt: inDays(2), expiresAt: inDays(1),
+        });
+        assert.equal(backwards.status, 400);
+        assert.equal(backwards.body.errors[0].field, 'expiresAt');
+        assert.equal((await admin('/announcements', 'POST', { title: 'Loud', description: 'Body', severity: 'urgent' })).status, 400);
+    });
+
+    it('tracks what each user has read', async () => {
+        const first = await announce('First');
+        await announce('Second');
+        assert.deepEqual((await server.request('/announcements/count')).body, { count: 2, total: 2 });
+        assert.deepEqual((await reader('/announcements/count')).body, { count: 2, unread: 2, total: 2 });
+
+        // Announcements reach the notification feed when it is read
+        const inbox = (await reader('/notifications')).body;
+        assert.equal(inbox.unreadByType.announcement, 2);
+
+        assert.equal((await reader(`/announcements/${first}/read`, 'POST')).status, 200);
+        assert.equal((await reader('/announcements/count')).body.unread, 1);
+        const listed = (await reader('/announcements')).body;
+        assert.deepEqual(listed.map(announcement => announcement.isRead), [false, true]);
+        assert.equal((await reader('/notifications/unread-count')).body.unreadByType.announcement, 1);
+
+        await reader('/announcements/read-all', 'POST');
+        assert.equal((await reader('/announcements/count')).body.unread, 0);
+        assert.equal((await reader('/notifications/unread-count')).body.unreadCount, 0);
+
+        const scheduled = await announce('Later', { publishAt: inDays(1) });
+        assert.equal((await reader(`/announcements/${scheduled}/read`, 'POST')).status, 404);
+    });
+
+    it('lets admins edit and delete announcements', async () => {
+        const id = await announce('Draft');
+        await reader('/notifications');
+        await reader(`/announcements/${id}/read`, 'POST');
+
+        assert.equal((await server.request(`/announcements/${id}`, { method: 'PATCH', cookie: sessionCookie(READER), body: { pinned: true } })).status, 403);
+        const edited = await admin(`/announcements/${id}`, 'PATCH', { title: 'Final', pinned: true });
+        assert.equal(edited.body.title, 'Final');
+        assert.equal(edited.body.pinned, true);
+        assert.equal(edited.body.updatedBy, ADMIN);
+        assert.equal((await admin(`/announcements/${id}`, 'PATCH', { expiresAt: inDays(-400) })).status, 400);
+        assert.equal((await admin(`/announcements/${id}`, 'PATCH', {})).status, 400);
+
+        assert.equal((await admin(`/announcements/${id}`, 'DELETE')).status, 200);
+        assert.equal((await admin(`/announcements/${id}`, 'DELETE')).status, 404);
+        assert.equal(await server.db.collection('announcementReads').countDocuments(), 0);
+        assert.equal(await server.db.collection('notifications').countDocuments({ type: 'announcement' }), 0);
+        assert.deepEqual(
+            (await server.db.collection('auditLog').find({ 'target.type': 'announcement' }).toArray()).map(entry => entry.action).sort(),
+            ['announcement.create', 'announcement.delete', 'announcement.update']
+        );
+    });
+
+    it('clears a schedule when publishAt or expiresAt is set to null', async () => {
+        const id = await announce('Scheduled', { publishAt: inDays(1), expiresAt: inDays(2) });
+        assert.deepEqual((await server.request('/announcements')).body, []);
+
+        const cleared = await admin(`/announcements/${id}`, 'PATCH', { publishAt: null, expiresAt: null });
+        assert.equal(cleared.status, 200);
+        assert.equal(cleared.body.publishAt, null);
+        assert.equal(cleared.body.expiresAt, null);
+        assert.deepEqual(titles((await server.request('/announcements')).body), ['Scheduled']);
+    });
+});
@@ -0,0 +1,102 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { startServer, sessionCookie } = require('./helpers/server');
+
+const ADMIN = 'admin@example.com';
+const USER = 'user@example.com';
+
+describe('Audit log', () => {
+    let server;
+    let userId;
+
+    before(async () => {
+        server = await startServer();
+    });
+    after(() => server.close());
+    beforeEach(async () => {
+        server.db.clear();
+        await server.db.collection('users').insertOne({ email: ADMIN, name: 'Admin', role: 'admin' });
+        userId = (await server.db.collection('users').insertOne({ email: USER, name: 'User', role: 'user' })).insertedId;
+    });
+
+    const asAdmin = (path, options = {}) => server.request(path, { cookie: sessionCookie(ADMIN), ...options });
+    const audit = async (query = '') => (await asAdmin(`/admin/audit?${query}`)).body;
+
+    it('records who changed what, with before and after snapshots', async () => {
+        await asAdmin(`/admin/users/${USER}/block`, { method: 'PATCH', body: { reason: 'Spam' } });
+
+        const { items, total } = await audit();
+        assert.equal(total, 1);
+        const [entry] = items;
+        assert.equal(entry.actor, ADMIN);
+        assert.equal(entry.action, 'user.block');
+        assert.deepEqual(entry.target, { type: 'user', id: USER });
+        assert.equal(entry.reason, 'Spam');
+        assert.ok(!entry.before.isBlocked);
+        assert.equal(entry.after.isBlocked, true);
+        assert.ok(entry.createdAt);
+    });
+
+    it('filters and pages the log', async () => {
+        await asAdmin(`/makeAdmin/${userId}`, { method: 'PATCH' });
+        await asAdmin(`/admin/users/${USER}/block`, { method: 'PATCH', body: {} });
+        await asAdmin(`/admin/users/${USER}/unblock`, { method: 'PATCH', body: {} });
+
+        const promoted = await audit('action=user.makeAdmin');
+        assert.equal(promoted.total, 1);
+        assert.equal(promoted.items[0].after.role, 'admin');
+
+        const page = await audit('targetType=user&limit=2&page=1');
+        assert.equal(page.total, 3);
+        assert.equal(page.items.length, 1);
+        assert.equal(page.items[0].action, 'user.makeAdmin');
+
+        assert.equal((await asAdmin('/admin/audit?from=not-a-date')).status, 400);
+    });
+
+    it('keeps the comment and the report when a moderator deletes a reported comment', async () => {
+        const commentId = (await server.db.collection('comments').insertOne({
+            postId: new ObjectId(), comment: 'Rude', authorEmail: USER, createdAt: new Date(),
+        })).insertedId;
+        const reportId = (await server.db.collection('reports').insertOne({
+            commentId: commentId.toString(), status: 'pending', createdAt: new Date(),
+        })).insertedId;
+
+        const response = await asAdmin('/reports/action', {
+            method: 'PATCH',
+            body: { action: 'delete-comment', reportId: reportId.toString(), commentId: commentId.toString(), reason: 'Insult' },
+        });
+        assert.equal(response.status, 200);
+
+        const comment = await server.db.collection('comments').findOne({ _id: commentId });
+        assert.equal(comment.isDeleted, true);
+        const report = await server.db.collection('reports').findOne({ _id: reportId });
+        assert.equal(report.resolvedBy, ADMIN);
+
+        const [deletion] = (await audit('targetType=comment')).items;
+        assert.equal(deletion.action, 'report.delete-comment');
+        assert.equal(deletion.before.comment, 'Rude');
+        assert.equal(deletion.reason, 'Insult');
+    });
+
+    it('exports the log as CSV or NDJSON', async () => {
+        await asAdmin(`/admin/users/${USER}/block`, { method: 'PATCH', body: { reason: 'Said "hi", rudely' } });
+
+        const csv = await asAdmin('/admin/audit/export');
+        assert.match(csv.headers.get('content-type'), /text\/csv/);
+        const [header, row] = csv.text.trim().split('\n');
+        assert.equal(header, '"createdAt","actor","action","targetType","targetId","reason","before","after"');
+        assert.ok(row.includes('"Said ""hi"", rudely"'));
+
+        const ndjson = await asAdmin('/admin/audit/export?format=ndjson');
+        const lines = ndjson.text.trim().split('\n').map(line => JSON.parse(line));
+        assert.equal(lines.length, 1);
+        assert.equal(lines[0].action, 'user.block');
+    });
+
+    it('is only readable by admins', async () => {
+        const response = await server.request('/admin/audit', { cookie: sessionCookie(USER) });
+        assert.equal(response.status, 403);
+    });
+});
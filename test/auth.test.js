@@ -0,0 +1,119 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { startServer, sessionCookie, firebaseIdToken } = require('./helpers/server');
+
+const EMAIL = 'reader@example.com';
+
+// name=value pairs from a response's Set-Cookie headers
+const cookiesOf = (response) => Object.fromEntries(response.headers.getSetCookie().map(header => {
+    const [pair] = header.split(';');
+    const index = pair.indexOf('=');
+    return [pair.slice(0, index), pair.slice(index + 1)];
+}));
+
+describe('Sessions', () => {
+    let server;
+    // The auth endpoints are rate limited per client IP, so every test calls from its own address
+    let clients = 0;
+    let client;
+
+    before(async () => {
+        server = await startServer();
+    });
+    after(() => server.close());
+    beforeEach(async () => {
+        server.db.clear();
+        client = { 'X-Forwarded-For': `10.0.0.${++clients}` };
+        await server.db.collection('users').insertOne({ email: EMAIL, name: 'Reader', memberShip: 'non-member' });
+    });
+
+    const signIn = async () => {
+        const response = await server.request('/auth/set-cookie', { method: 'POST', headers: client, body: { idToken: firebaseIdToken(EMAIL) } });
+        assert.equal(response.status, 200);
+        return cookiesOf(response);
+    };
+    const refresh = (refreshToken) => server.request('/auth/refresh', { method: 'POST', headers: client, cookie: `refreshToken=${refreshToken}` });
+    // Any route behind verifyJWT will do
+    const authenticated = (cookie) => server.request('/billing/history', { cookie });
+
+    it('exchanges a Firebase ID token for an access and a refresh token', async () => {
+        const cookies = await signIn();
+        assert.ok(cookies.refreshToken);
+        assert.equal((await authenticated(`jwtToken=${cookies.jwtToken}`)).status, 200);
+
+        // The access token names the user and its own type, nothing else
+        const { sub, iat, exp, ...rest } = jwt.decode(cookies.jwtToken);
+        assert.equal(sub, EMAIL);
+        assert.deepEqual(rest, { typ: 'session' });
+        assert.ok(exp - iat <= 15 * 60);
+    });
+
+    it('rejects ID tokens not signed by the configured keys', async () => {
+        const forged = jwt.sign({ email: EMAIL, sub: 'x' }, 'not-the-key');
+        const response = await server.request('/auth/set-cookie', { method: 'POST', headers: client, body: { idToken: forged } });
+        assert.equal(response.status, 401);
+        assert.deepEqual(response.headers.getSetCookie(), []);
+    });
+
+    it('rejects ID tokens for an unverified email address', async () => {
+        for (const emailVerified of [false, undefined, 'true']) {
+            const idToken = firebaseIdToken(EMAIL, { email_verified: emailVerified });
+            const response = await server.request('/auth/set-cookie', { method: 'POST', headers: client, body: { idToken } });
+            assert.equal(response.status, 401);
+            assert.equal(response.body.code, 'invalid_identity_token');
+            assert.deepEqual(response.headers.getSetCookie(), []);
+        }
+    });
+
+    it('no longer accepts cookies signed from a posted body', async () => {
+        const legacy = jwt.sign({ email: EMAIL, role: 'admin' }, process.env.JWT_SECRET);
+        assert.equal((await authenticated(`jwtToken=${legacy}`)).status, 403);
+    });
+
+    it('rotates the refresh token on every use', async () => {
+        const first = await signIn();
+        const response = await refresh(first.refreshToken);
+        assert.equal(response.status, 200);
+        const second = cookiesOf(response);
+        assert.notEqual(second.refreshToken, first.refreshToken);
+        assert.equal((await refresh(second.refreshToken)).status, 200);
+    });
+
+    it('revokes the whole family when a rotated refresh token is reused', async () => {
+        const first = await signIn();
+        const second = cookiesOf(await refresh(first.refreshToken));
+
+        const reuse = await refresh(first.refreshToken);
+        assert.equal(reuse.status, 401);
+        // The token the legitimate client holds is dead too
+        assert.equal((await refresh(second.refreshToken)).status, 401);
+    });
+
+    it('revokes the refresh token on sign out', async () => {
+        const { refreshToken } = await signIn();
+        const signOut = await server.request('/auth/clear-cookies', { method: 'POST', cookie: `refreshToken=${refreshToken}` });
+        assert.equal(signOut.status, 200);
+        assert.equal((await refresh(refreshToken)).status, 401);
+    });
+
+    it('accepts only session access tokens as a session', async () => {
+        const secret = process.env.JWT_SECRET;
+        const untyped = jwt.sign({ sub: EMAIL }, secret, { expiresIn: 60 });
+        const withAudience = jwt.sign({ sub: EMAIL, typ: 'session' }, secret, { audience: 'newsletter:manage', expiresIn: 60 });
+        const expired = jwt.sign({ sub: EMAIL, typ: 'session', exp: Math.floor(Date.now() / 1000) - 10 }, secret);
+
+        assert.equal((await authenticated(sessionCookie(EMAIL))).status, 200);
+        assert.equal((await authenticated(`jwtToken=${untyped}`)).body.code, 'token_invalid');
+        assert.equal((await authenticated(`jwtToken=${withAudience}`)).body.code, 'token_invalid');
+        assert.equal((await authenticated(`jwtToken=${expired}`)).body.code, 'token_expired');
+        assert.equal((await authenticated()).body.code, 'token_missing');
+    });
+
+    it('does not accept a newsletter link token as a session', async () => {
+        const newsletterSecret = crypto.createHmac('sha256', process.env.JWT_SECRET).update('newsletter-tokens').digest('hex');
+        const manageToken = jwt.sign({ sub: EMAIL, nonce: 'nonce' }, newsletterSecret, { audience: 'newsletter:manage' });
+        assert.equal((await authenticated(`jwtToken=${manageToken}`)).body.code, 'token_invalid');
+    });
+});
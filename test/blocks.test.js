@@ -0,0 +1,132 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { startServer, sessionCookie } = require('./helpers/server');
+
+const ADMIN = 'admin@example.com';
+const USER = 'user@example.com';
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Blocks and warnings', () => {
+    let server;
+    let users;
+    let postId;
+
+    before(async () => {
+        server = await startServer();
+        users = server.db.collection('users');
+    });
+    after(() => server.close());
+    beforeEach(async () => {
+        server.db.clear();
+        const established = new Date(Date.now() - 365 * DAY);
+        await users.insertOne({ email: ADMIN, name: 'Admin', role: 'admin', createdAt: established });
+        await users.insertOne({ email: USER, name: 'User', memberShip: 'non-member', postLimit: 5, createdAt: established });
+        const { insertedId } = await server.db.collection('posts').insertOne({
+            title: 'A question', description: 'Body', tag: 'general', authorEmail: ADMIN,
+            upVote: 0, downVote: 0, createdAt: new Date(),
+        });
+        postId = insertedId.toString();
+    });
+
+    const admin = (path, body) => server.request(path, { method: 'PATCH', cookie: sessionCookie(ADMIN), body });
+    const vote = () => server.request(`/post/vote/${postId}`, { method: 'PATCH', cookie: sessionCookie(USER), body: { type: 'up' } });
+    const comment = () => server.request('/post/comment', {
+        method: 'POST',
+        cookie: sessionCookie(USER),
+        body: { postId, comment: 'Hello' },
+    });
+    const status = async () => (await server.request('/moderation/status', { cookie: sessionCookie(USER) })).body;
+    // Warnings are issued as the outcome of a report case against the user
+    const warn = async () => {
+        const { insertedId } = await server.db.collection('reports').insertOne({
+            targetType: 'user', targetAuthorEmail: USER, status: 'open', isOpen: true, createdAt: new Date(),
+        });
+        return admin('/reports/action', { action: 'warn', reportId: insertedId.toString(), reason: 'Spam' });
+    };
+
+    it('rejects writes from a blocked user until the block is lifted', async () => {
+        const block = await admin(`/admin/users/${USER}/block`, { reason: 'Abuse' });
+        assert.equal(block.status, 200);
+
+        for (const response of [await vote(), await comment()]) {
+            assert.equal(response.status, 403);
+            assert.equal(response.body.reason, 'Abuse');
+            assert.equal(response.body.until, null);
+        }
+        assert.equal((await status()).isBlocked, true);
+
+        assert.equal((await admin(`/admin/users/${USER}/unblock`, {})).status, 200);
+        assert.equal((await vote()).status, 200);
+        assert.equal((await comment()).status, 201);
+    });
+
+    it('refuses every write from a blocked user but still lets them read', async () => {
+        await users.updateOne({ email: ADMIN }, { $set: { username: 'admin' } });
+        await server.db.collection('tags').insertOne({ value: 'general', slug: 'general', postCount: 1 });
+        const { insertedId: commentId } = await server.db.collection('comments').insertOne({
+            postId: new ObjectId(postId), comment: 'Mine', authorEmail: USER, createdAt: new Date(),
+        });
+        await admin(`/admin/users/${USER}/block`, { reason: 'Abuse' });
+
+        const as = (path, method, body) => server.request(path, { method, cookie: sessionCookie(USER), body });
+        const writes = [
+            [`/user/update/${USER}`, 'PATCH', { name: 'Renamed' }],
+            ['/follow/users/admin', 'POST'],
+            ['/follow/users/admin', 'DELETE'],
+            ['/follow/tags/general', 'POST'],
+            ['/follow/tags/general', 'DELETE'],
+            [`/bookmarks/${postId}`, 'POST'],
+            [`/bookmarks/${postId}`, 'DELETE'],
+            [`/comment/${commentId}`, 'DELETE'],
+            ['/user/privacy', 'PATCH', { hideActivity: true }],
+        ];
+        for (const [path, method, body] of writes) {
+            const response = await as(path, method, body);
+            assert.equal(response.status, 403, `${method} ${path}`);
+            assert.equal(response.body.code, 'account_blocked', `${method} ${path}`);
+        }
+        assert.equal((await users.findOne({ email: USER })).name, 'User');
+        assert.equal(await server.db.collection('follows').countDocuments(), 0);
+        assert.equal((await server.db.collection('comments').findOne({ _id: commentId })).isDeleted, undefined);
+
+        assert.equal((await server.request('/bookmarks', { cookie: sessionCookie(USER) })).status, 200);
+        // Cancelling a subscription stays possible, so a block never keeps anyone paying
+        assert.equal((await as('/subscription/cancel', 'POST')).body.code, 'not_found');
+    });
+
+    it('lifts a suspension once its end date passes', async () => {
+        const until = new Date(Date.now() + DAY).toISOString();
+        await admin(`/admin/users/${USER}/block`, { until, reason: 'Cool off' });
+        const suspended = await status();
+        assert.equal(suspended.isBlocked, true);
+        assert.equal(suspended.until, until);
+        assert.equal((await vote()).status, 403);
+
+        await users.updateOne({ email: USER }, { $set: { blockedUntil: new Date(Date.now() - 1000) } });
+        assert.equal((await status()).isBlocked, false);
+        assert.equal((await vote()).status, 200);
+        assert.equal((await users.findOne({ email: USER })).isBlocked, false);
+    });
+
+    it('only accepts suspension ends in the future', async () => {
+        const response = await admin(`/admin/users/${USER}/block`, { until: new Date(Date.now() - DAY).toISOString() });
+        assert.equal(response.status, 400);
+        assert.equal((await status()).isBlocked, false);
+    });
+
+    it('suspends a user automatically after repeated warnings', async () => {
+        await warn();
+        await warn();
+        let current = await status();
+        assert.equal(current.warningCount, 2);
+        assert.equal(current.isBlocked, false);
+
+        await warn();
+        current = await status();
+        assert.equal(current.warningCount, 3);
+        assert.equal(current.isBlocked, true);
+        assert.ok(new Date(current.until) > new Date());
+        assert.equal((await vote()).status, 403);
+    });
+});
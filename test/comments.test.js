@@ -0,0 +1,103 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { startServer, sessionCookie } = require('./helpers/server');
+
+const AUTHOR = 'author@example.com';
+const OTHER = 'other@example.com';
+
+describe('Threaded comments', () => {
+    let server;
+    let postId;
+
+    before(async () => {
+        server = await startServer();
+    });
+    after(() => server.close());
+    beforeEach(async () => {
+        server.db.clear();
+        const established = new Date(Date.now() - 365 * 24 * 60 * 60 * 1000);
+        for (const email of [AUTHOR, OTHER]) {
+            await server.db.collection('users').insertOne({ email, name: email.split('@')[0], createdAt: established });
+        }
+        const { insertedId } = await server.db.collection('posts').insertOne({
+            title: 'A question', description: 'Body', tag: 'general', authorEmail: AUTHOR,
+            upVote: 0, downVote: 0, createdAt: new Date(),
+        });
+        postId = insertedId.toString();
+    });
+
+    const comment = async (text, { parentId, email = AUTHOR } = {}) => {
+        const response = await server.request('/post/comment', {
+            method: 'POST',
+            cookie: sessionCookie(email),
+            body: { postId, comment: text, ...(parentId && { parentId }) },
+        });
+        return { status: response.status, body: response.body, id: response.body?.insertedId };
+    };
+    const edit = (id, text, email = AUTHOR) => server.request(`/comment/${id}`, {
+        method: 'PATCH',
+        cookie: sessionCookie(email),
+        body: { comment: text },
+    });
+    const remove = (id, email = AUTHOR) => server.request(`/comment/${id}`, { method: 'DELETE', cookie: sessionCookie(email) });
+    const tree = async () => (await server.request(`/comment/${postId}?tree=true`)).body.comments;
+
+    it('nests replies under their parent', async () => {
+        const root = await comment('Root');
+        assert.equal(root.status, 201);
+        const reply = await comment('Reply', { parentId: root.id, email: OTHER });
+        await comment('Reply to reply', { parentId: reply.id });
+        await comment('Second root');
+
+        const comments = await tree();
+        assert.deepEqual(comments.map(node => node.comment), ['Second root', 'Root']);
+        const [nested] = comments[1].replies;
+        assert.equal(nested.comment, 'Reply');
+        assert.equal(nested.authorEmail, OTHER);
+        assert.equal(nested.replies[0].comment, 'Reply to reply');
+        assert.equal(nested.replies[0].depth, 2);
+    });
+
+    it('caps how deep replies nest', async () => {
+        let parentId;
+        for (let depth = 0; depth <= 3; depth++) {
+            const created = await comment(`Depth ${depth}`, { parentId });
+            assert.equal(created.status, 201);
+            parentId = created.id;
+        }
+        const tooDeep = await comment('Depth 4', { parentId });
+        assert.equal(tooDeep.status, 400);
+    });
+
+    it('lets only the author edit and keeps the previous text', async () => {
+        const { id } = await comment('Frist');
+        assert.equal((await edit(id, 'Hijacked', OTHER)).status, 403);
+
+        const response = await edit(id, 'First');
+        assert.equal(response.status, 200);
+        assert.equal(response.body.comment, 'First');
+        assert.ok(response.body.editedAt);
+        assert.equal(response.body.editHistory, undefined);
+
+        const stored = await server.db.collection('comments').findOne({ _id: new ObjectId(id) });
+        assert.deepEqual(stored.editHistory.map(entry => entry.comment), ['Frist']);
+    });
+
+    it('leaves a tombstone when the author deletes a comment', async () => {
+        const { id } = await comment('Regrettable');
+        const reply = await comment('Reply', { parentId: id, email: OTHER });
+        assert.equal((await remove(id, OTHER)).status, 403);
+        assert.equal((await remove(id)).status, 200);
+
+        const [tombstone] = await tree();
+        assert.equal(tombstone.isDeleted, true);
+        assert.equal(tombstone.comment, undefined);
+        // Replies and anything else referencing the comment still resolve
+        assert.equal(tombstone.replies[0]._id, reply.id);
+        assert.ok(await server.db.collection('comments').findOne({ _id: new ObjectId(id) }));
+
+        assert.equal((await comment('Too late', { parentId: id })).status, 410);
+        assert.equal((await edit(id, 'Too late')).status, 410);
+    });
+});
@@ -0,0 +1,80 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, sessionCookie } = require('./helpers/server');
+
+const EMAIL = 'user@example.com';
+
+describe('Error responses', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+        await server.db.collection('users').insertOne({ email: EMAIL, name: 'User', username: 'taken' });
+    });
+    after(() => server.close());
+
+    const assertError = (response, status, code) => {
+        assert.equal(response.status, status);
+        assert.equal(response.body.code, code);
+        assert.equal(typeof response.body.message, 'string');
+        assert.equal(response.body.requestId, response.headers.get('x-request-id'));
+    };
+
+    it('answers malformed ids with 400 instead of crashing', async () => {
+        const cookie = sessionCookie(EMAIL);
+        const requests = [
+            ['/comment/not-an-id'],
+            ['/post/not-an-id'],
+            ['/report/not-an-id', { cookie }],
+            ['/post/vote/not-an-id', { method: 'PATCH', cookie, body: { type: 'up' } }],
+            ['/posts/not-an-id', { method: 'DELETE', cookie }],
+        ];
+        for (const [path, options] of requests) {
+            assertError(await server.request(path, options), 400, 'invalid_id');
+        }
+    });
+
+    it('uses typed errors for unknown routes, bad JSON and missing sessions', async () => {
+        assertError(await server.request('/no/such/route'), 404, 'route_not_found');
+        assertError(await server.request('/post/comment', { method: 'POST', body: '{"postId":', headers: { 'Content-Type': 'application/json' } }), 400, 'invalid_json');
+        assertError(await server.request('/billing/history'), 401, 'token_missing');
+        assertError(await server.request('/billing/history', { cookie: 'jwtToken=garbage' }), 403, 'token_invalid');
+    });
+
+    it('reports conflicts with a status code instead of a 200 body', async () => {
+        const email = 'new@example.com';
+        const response = await server.request('/users', {
+            method: 'POST',
+            cookie: sessionCookie(email),
+            body: { email, username: 'taken' },
+        });
+        assertError(response, 409, 'username_taken');
+    });
+
+    it("carries the caller's request id, or a fresh one", async () => {
+        const echoed = await server.request('/no/such/route', { headers: { 'X-Request-Id': 'trace-123' } });
+        assert.equal(echoed.body.requestId, 'trace-123');
+
+        const replaced = await server.request('/no/such/route', { headers: { 'X-Request-Id': 'not valid!' } });
+        assert.notEqual(replaced.body.requestId, 'not valid!');
+        assert.match(replaced.body.requestId, /^[\w-]+$/);
+    });
+
+    it('hides internal error details', async () => {
+        const posts = server.db.collection('posts');
+        const { findOne } = posts;
+        posts.findOne = async () => {
+            throw new Error('connection string mongodb://secret');
+        };
+        const logError = console.error;
+        console.error = () => {};
+        try {
+            const response = await server.request('/post/64b7f0c2a1b2c3d4e5f60718');
+            assertError(response, 500, 'internal_error');
+            assert.ok(!response.text.includes('secret'));
+        } finally {
+            posts.findOne = findOne;
+            console.error = logError;
+        }
+    });
+});
@@ -0,0 +1,154 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, sessionCookie } = require('./helpers/server');
+
+const ADMIN = 'admin@example.com';
+const AUTHOR = 'author@example.com';
+const READER = 'reader@example.com';
+
+describe('Real-time events', () => {
+    let server;
+    let postId;
+    let otherPostId;
+    let streams;
+
+    before(async () => {
+        server = await startServer();
+    });
+    after(() => server.close());
+    beforeEach(async () => {
+        server.db.clear();
+        streams = [];
+        const established = new Date(Date.now() - 365 * 24 * 60 * 60 * 1000);
+        await server.db.collection('users').insertOne({ email: ADMIN, name: 'Admin', role: 'admin', createdAt: established });
+        for (const email of [AUTHOR, READER]) {
+            await server.db.collection('users').insertOne({ email, name: email.split('@')[0], createdAt: established });
+        }
+        const posts = server.db.collection('posts');
+        const post = { description: 'Body', tag: 'general', authorEmail: AUTHOR, upVote: 0, downVote: 0, createdAt: new Date() };
+        postId = (await posts.insertOne({ ...post, title: 'Watched' })).insertedId.toString();
+        otherPostId = (await posts.insertOne({ ...post, title: 'Elsewhere' })).insertedId.toString();
+    });
+
+    // Opens /events and parses the stream; next() resolves with the next event or fails after `timeout`
+    const openStream = async (topics, cookie) => {
+        const controller = new AbortController();
+        const response = await fetch(`${server.baseUrl}/events?topics=${encodeURIComponent(topics)}`, {
+            headers: cookie ? { Cookie: cookie } : {},
+            signal: controller.signal,
+        });
+        const events = [];
+        let wake = () => {};
+        if (response.ok) {
+            const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+            (async () => {
+                let buffer = '';
+                for (;;) {
+                    const { value, done } = await reader.read();
+                    if (done) return;
+                    buffer += value;
+                    let end;
+                    while ((end = buffer.indexOf('\n\n')) !== -1) {
+                        const fields = Object.fromEntries(buffer.slice(0, end).split('\n')
+                            .filter(line => !line.startsWith(':'))
+                            .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 1).trim()]));
+                        buffer = buffer.slice(end + 2);
+                        if (fields.event) {
+                            events.push({ event: fields.event, data: JSON.parse(fields.data) });
+                            wake();
+                        }
+                    }
+                }
+            })().catch(() => {});
+        }
+        const stream = {
+            response,
+            next: async (timeout = 2000) => {
+                const deadline = Date.now() + timeout;
+                while (events.length === 0) {
+                    if (Date.now() >= deadline) assert.fail(`No event on ${topics} within ${timeout}ms`);
+                    await new Promise(resolve => {
+                        wake = resolve;
+                        setTimeout(resolve, deadline - Date.now());
+                    });
+                }
+                return events.shift();
+            },
+            pending: () => events.length,
+            close: () => controller.abort(),
+        };
+        streams.push(stream);
+        return stream;
+    };
+    const closeStreams = () => streams.forEach(stream => stream.close());
+
+    const comment = (text) => server.request('/post/comment', {
+        method: 'POST',
+        cookie: sessionCookie(READER),
+        body: { postId, comment: text },
+    });
+
+    it('rejects invalid topic lists', async () => {
+        try {
+            for (const topics of ['', 'weather', 'post:not-an-id']) {
+                const stream = await openStream(topics);
+                assert.equal(stream.response.status, 400);
+            }
+            const anonymous = await openStream('notifications');
+            assert.equal(anonymous.response.status, 401);
+        } finally {
+            closeStreams();
+        }
+    });
+
+    it('streams comment and vote events for a subscribed post only', async () => {
+        try {
+            const stream = await openStream(`post:${postId}`);
+            const other = await openStream(`post:${otherPostId}`);
+            assert.equal(stream.response.status, 200);
+            assert.equal(stream.response.headers.get('content-type'), 'text/event-stream');
+
+            const created = await comment('Live');
+            const { event, data } = await stream.next();
+            assert.equal(event, 'comment.created');
+            assert.equal(data.comment, 'Live');
+            assert.equal(data.editHistory, undefined);
+
+            await server.request(`/post/vote/${postId}`, { method: 'PATCH', cookie: sessionCookie(READER), body: { type: 'up' } });
+            assert.deepEqual(await stream.next(), { event: 'vote', data: { postId, upVote: 1, downVote: 0 } });
+
+            await server.request(`/comment/${created.body.insertedId}`, { method: 'DELETE', cookie: sessionCookie(READER) });
+            const deleted = await stream.next();
+            assert.equal(deleted.event, 'comment.deleted');
+            assert.equal(deleted.data.isDeleted, true);
+
+            assert.equal(other.pending(), 0);
+        } finally {
+            closeStreams();
+        }
+    });
+
+    it('delivers announcements and the caller\'s own notifications', async () => {
+        try {
+            const stream = await openStream('announcements,notifications', sessionCookie(AUTHOR));
+            assert.equal(stream.response.status, 200);
+
+            await server.request('/announcements', {
+                method: 'POST',
+                cookie: sessionCookie(ADMIN),
+                body: { title: 'Maintenance', description: 'Tonight' },
+            });
+            const announcement = await stream.next();
+            assert.equal(announcement.event, 'announcement.created');
+            assert.equal(announcement.data.title, 'Maintenance');
+
+            await comment('Hello author');
+            const notification = await stream.next();
+            assert.equal(notification.event, 'notification');
+            assert.equal(notification.data.type, 'comment');
+            assert.deepEqual(notification.data.actors, [READER]);
+        } finally {
+            closeStreams();
+        }
+    });
+});
@@ -0,0 +1,113 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, sessionCookie } = require('./helpers/server');
+
+const ALICE = 'alice@example.com';
+const BOB = 'bob@example.com';
+const CAROL = 'carol@example.com';
+
+describe('Bookmarks, follows and feed', () => {
+    let server;
+    let users;
+    let posts;
+
+    before(async () => {
+        server = await startServer();
+        users = server.db.collection('users');
+    });
+    after(() => server.close());
+    beforeEach(async () => {
+        server.db.clear();
+        for (const email of [ALICE, BOB, CAROL]) {
+            const name = email.split('@')[0];
+            await users.insertOne({ email, name, username: name });
+        }
+        await server.db.collection('tags').insertOne({ value: 'JavaScript', slug: 'javascript', postCount: 0 });
+        posts = {};
+        const base = Date.now() - 60 * 1000;
+        const seed = [
+            ['bobPost', BOB, 'general', {}],
+            ['jsPost', CAROL, 'JavaScript', {}],
+            ['otherPost', CAROL, 'general', {}],
+            ['heldPost', BOB, 'general', { moderationStatus: 'pending' }],
+        ];
+        for (const [index, [key, authorEmail, tag, extra]] of seed.entries()) {
+            posts[key] = (await server.db.collection('posts').insertOne({
+                title: key, description: 'Body', tag, authorEmail, upVote: 0, downVote: 0,
+                createdAt: new Date(base + index * 1000), ...extra,
+            })).insertedId.toString();
+        }
+    });
+
+    const as = (email) => (path, method = 'GET') => server.request(path, { method, cookie: sessionCookie(email) });
+    const alice = as(ALICE);
+    const titles = (list) => list.map(post => post.title);
+
+    it('saves bookmarks once and lists the visible ones, newest first', async () => {
+        assert.equal((await alice(`/bookmarks/${posts.bobPost}`, 'POST')).status, 201);
+        assert.equal((await alice(`/bookmarks/${posts.bobPost}`, 'POST')).status, 201);
+        await alice(`/bookmarks/${posts.jsPost}`, 'POST');
+        assert.equal((await alice(`/bookmarks/${posts.heldPost}`, 'POST')).status, 404);
+        assert.equal(await server.db.collection('bookmarks').countDocuments(), 2);
+
+        const saved = (await alice('/bookmarks')).body;
+        assert.equal(saved.total, 2);
+        assert.deepEqual(titles(saved.posts), ['jsPost', 'bobPost']);
+        assert.ok(saved.posts[0].bookmarkedAt);
+        assert.equal((await as(BOB)('/bookmarks')).body.total, 0);
+
+        await alice(`/bookmarks/${posts.jsPost}`, 'DELETE');
+        assert.deepEqual(titles((await alice('/bookmarks')).body.posts), ['bobPost']);
+        assert.equal((await server.request('/bookmarks')).status, 401);
+    });
+
+    it('follows users by username and keeps both counters in step', async () => {
+        assert.equal((await alice('/follow/users/bob', 'POST')).status, 201);
+        assert.equal((await alice('/follow/users/bob', 'POST')).status, 201);
+        assert.equal((await users.findOne({ email: BOB })).followerCount, 1);
+        assert.equal((await users.findOne({ email: ALICE })).followingCount, 1);
+        assert.equal((await server.request('/profile/bob')).body.followerCount, 1);
+
+        assert.equal((await alice('/follow/users/alice', 'POST')).body.code, 'self_follow');
+        assert.equal((await alice('/follow/users/nobody', 'POST')).status, 404);
+
+        await alice('/follow/users/bob', 'DELETE');
+        await alice('/follow/users/bob', 'DELETE');
+        assert.equal((await users.findOne({ email: BOB })).followerCount, 0);
+        assert.equal((await users.findOne({ email: ALICE })).followingCount, 0);
+    });
+
+    it('follows existing tags under their own casing', async () => {
+        const followed = await alice('/follow/tags/javascript', 'POST');
+        assert.equal(followed.status, 201);
+        assert.equal(followed.body.tag, 'JavaScript');
+        assert.equal((await alice('/follow/tags/python', 'POST')).status, 404);
+
+        await alice('/follow/users/bob', 'POST');
+        const following = (await alice('/following')).body;
+        assert.deepEqual(following.tags, ['JavaScript']);
+        assert.deepEqual(following.users.map(user => user.username), ['bob']);
+        assert.equal(following.users[0].email, undefined);
+
+        const unfollowed = await alice('/follow/tags/JAVASCRIPT', 'DELETE');
+        assert.equal(unfollowed.body.tag, 'JavaScript');
+        assert.deepEqual((await alice('/following')).body.tags, []);
+        assert.equal((await alice('/follow/tags/python', 'DELETE')).status, 404);
+
+        // Unfollowing resolves the tag the same way following does, by its slug
+        await server.db.collection('tags').insertOne({ value: 'Node.js', slug: 'node-js', postCount: 0 });
+        await alice('/follow/tags/Node.js', 'POST');
+        await alice('/follow/tags/node-js', 'DELETE');
+        assert.deepEqual((await alice('/following')).body.tags, []);
+    });
+
+    it('builds the feed from followed authors and tags', async () => {
+        assert.deepEqual((await alice('/feed?current=0&limit=10')).body, []);
+
+        await alice('/follow/users/bob', 'POST');
+        await alice('/follow/tags/javascript', 'POST');
+        const feed = (await alice('/feed?current=0&limit=10')).body;
+        assert.deepEqual(titles(feed), ['jsPost', 'bobPost']);
+        assert.equal((await server.request('/feed')).status, 401);
+    });
+});
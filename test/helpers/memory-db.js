@@ -0,0 +1,311 @@
+// In-memory stand-in for the parts of the MongoDB driver the server uses, backed by mingo for
+// queries, update operators and aggregation. Unique indexes (including sparse and partial ones)
+// are enforced with the driver's duplicate key error code 11000; TTL indexes are accepted and
+// ignored. A text index enables a simplified $text (see textScore). Documents are copied through
+// BSON on the way in and out, as on a real server.
+const mingo = require('mingo');
+const { ObjectId, BSON } = require('mongodb');
+
+const copy = (doc) => BSON.deserialize(BSON.serialize(doc));
+
+const duplicateKeyError = (collection, keys) => Object.assign(
+    new Error(`E11000 duplicate key error collection: ${collection} index: ${Object.keys(keys).join('_')}`),
+    { name: 'MongoServerError', code: 11000 }
+);
+
+const isOperatorObject = (value) => value !== null && typeof value === 'object'
+    && !(value instanceof Date) && !(value instanceof ObjectId) && !(value instanceof RegExp)
+    && Object.keys(value).some(key => key.startsWith('$'));
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+// Rewrite { $meta: 'textScore' } expressions to read the __textScore field aggregate adds
+const withTextScoreField = (value) => {
+    if (Array.isArray(value)) return value.map(withTextScoreField);
+    if (!isPlainObject(value)) return value;
+    if (value.$meta === 'textScore') return '$__textScore';
+    return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, withTextScoreField(inner)]));
+};
+
+// The document an upsert starts from: the filter's plain equality fields
+const seedFromFilter = (filter) => {
+    const seed = {};
+    for (const [key, value] of Object.entries(filter)) {
+        if (key.startsWith('$') || isOperatorObject(value) || value instanceof RegExp) continue;
+        if (key.includes('.')) continue;
+        seed[key] = value;
+    }
+    return seed;
+};
+
+class MemoryCursor {
+    constructor(load) {
+        this.load = load;
+        this.options = {};
+    }
+
+    sort(sort) { this.options.sort = sort; return this; }
+    skip(skip) { this.options.skip = skip; return this; }
+    limit(limit) { this.options.limit = limit; return this; }
+    project(projection) { this.options.projection = projection; return this; }
+
+    async toArray() {
+        return this.load(this.options);
+    }
+
+    async *[Symbol.asyncIterator]() {
+        for (const doc of await this.toArray()) yield doc;
+    }
+}
+
+class MemoryCollection {
+    constructor(db, name) {
+        this.db = db;
+        this.name = name;
+        this.docs = [];
+        this.uniqueIndexes = [{ keys: { _id: 1 } }];
+        this.textIndex = null;
+    }
+
+    async createIndex(keys, options = {}) {
+        const textFields = Object.keys(keys).filter(key => keys[key] === 'text');
+        if (textFields.length) {
+            this.textIndex = { fields: textFields, weights: options.weights || {} };
+        }
+        if (options.unique) {
+            this.uniqueIndexes.push({ keys, sparse: options.sparse, partial: options.partialFilterExpression });
+        }
+        return options.name || Object.entries(keys).map(([key, value]) => `${key}_${value}`).join('_');
+    }
+
+    assertUnique(doc, replacing = null) {
+        for (const { keys, sparse, partial } of this.uniqueIndexes) {
+            const fields = Object.keys(keys);
+            const applies = (candidate) => (!partial || new mingo.Query(partial).test(candidate))
+                && (!sparse || fields.some(field => getPath(candidate, field) !== undefined));
+            if (!applies(doc)) continue;
+            const key = BSON.EJSON.stringify(fields.map(field => getPath(doc, field) ?? null));
+            const clash = this.docs.some(other => other !== replacing && applies(other)
+                && BSON.EJSON.stringify(fields.map(field => getPath(other, field) ?? null)) === key);
+            if (clash) throw duplicateKeyError(this.name, keys);
+        }
+    }
+
+    // A much simplified $text: words are compared whole and case-insensitively, a document matches
+    // when it has every "quoted phrase" (if any) or else any search word, and the score adds up the
+    // index weights of the fields each word occurs in. Returns 0 for documents that do not match.
+    textScore(doc, search) {
+        if (!this.textIndex) throw new Error(`${this.name} has no text index`);
+        const phrases = [...search.matchAll(/"([^"]+)"/g)].map(match => match[1].toLowerCase());
+        const words = search.replace(/"[^"]*"/g, ' ').toLowerCase().split(/\s+/).filter(Boolean);
+        let score = 0;
+        let text = '';
+        for (const field of this.textIndex.fields) {
+            const value = String(getPath(doc, field) ?? '').toLowerCase();
+            text += ` ${value}`;
+            const fieldWords = value.split(/[^\p{L}\p{N}]+/u);
+            for (const word of [...words, ...phrases.flatMap(phrase => phrase.split(/\s+/))]) {
+                if (fieldWords.includes(word)) score += this.textIndex.weights[field] || 1;
+            }
+        }
+        if (phrases.length) return phrases.every(phrase => text.includes(phrase)) ? score : 0;
+        return score;
+    }
+
+    matching(filter = {}, { sort, skip, limit, projection } = {}) {
+        const { $text, ...rest } = filter;
+        const docs = $text ? this.docs.filter(doc => this.textScore(doc, $text.$search) > 0) : this.docs;
+        let cursor = mingo.find(docs, rest, projection && Object.keys(projection).length ? projection : undefined);
+        if (sort) cursor = cursor.sort(sort);
+        if (skip) cursor = cursor.skip(skip);
+        if (limit) cursor = cursor.limit(limit);
+        return cursor.all();
+    }
+
+    // The stored documents (not copies) matching `filter`
+    stored(filter, options = {}) {
+        const byId = new Map(this.docs.map(doc => [BSON.EJSON.stringify(doc._id), doc]));
+        return this.matching(filter, { sort: options.sort }).map(doc => byId.get(BSON.EJSON.stringify(doc._id)));
+    }
+
+    find(filter = {}, options = {}) {
+        return new MemoryCursor((cursorOptions) => this.matching(filter, { ...options, ...cursorOptions }).map(copy));
+    }
+
+    async findOne(filter = {}, options = {}) {
+        const [doc] = this.matching(filter, { ...options, limit: 1 });
+        return doc ? copy(doc) : null;
+    }
+
+    async countDocuments(filter = {}) {
+        return this.matching(filter).length;
+    }
+
+    async insertOne(doc) {
+        if (doc._id === undefined) doc._id = new ObjectId();
+        const stored = copy(doc);
+        this.assertUnique(stored);
+        this.docs.push(stored);
+        return { acknowledged: true, insertedId: doc._id };
+    }
+
+    // Apply an update document or pipeline to a copy of `doc`; returns the new version
+    applyUpdate(doc, update, inserting) {
+        const next = copy(doc);
+        if (Array.isArray(update)) {
+            // Pipeline updates may replace the array element instead of changing it
+            const documents = [next];
+            mingo.updateOne(documents, {}, update);
+            return copy(documents[0]);
+        }
+        const { $setOnInsert, ...operators } = update;
+        if (Object.keys(operators).length) mingo.update(next, operators);
+        if (inserting && $setOnInsert) mingo.update(next, { $set: $setOnInsert });
+        return copy(next);
+    }
+
+    // Shared by the update family: returns { matchedCount, modifiedCount, upsertedId, before, after }
+    modify(filter, update, { upsert = false, multi = false, sort, replace = false } = {}) {
+        const targets = this.stored(filter, { sort });
+        const selected = multi ? targets : targets.slice(0, 1);
+        if (selected.length === 0) {
+            if (!upsert) return { matchedCount: 0, modifiedCount: 0, upsertedId: null, before: null, after: null };
+            const seed = seedFromFilter(filter);
+            const inserted = replace ? { ...update, _id: seed._id } : this.applyUpdate(seed, update, true);
+            if (inserted._id === undefined) inserted._id = new ObjectId();
+            const stored = copy(inserted);
+            this.assertUnique(stored);
+            this.docs.push(stored);
+            return { matchedCount: 0, modifiedCount: 0, upsertedId: stored._id, before: null, after: copy(stored) };
+        }
+
+        let modifiedCount = 0;
+        let before = null;
+        let after = null;
+        for (const doc of selected) {
+            const next = replace ? copy({ ...update, _id: doc._id }) : this.applyUpdate(doc, update, false);
+            this.assertUnique(next, doc);
+            if (BSON.EJSON.stringify(next) !== BSON.EJSON.stringify(doc)) modifiedCount++;
+            this.docs[this.docs.indexOf(doc)] = next;
+            before = copy(doc);
+            after = copy(next);
+        }
+        return { matchedCount: selected.length, modifiedCount, upsertedId: null, before, after };
+    }
+
+    async updateOne(filter, update, options = {}) {
+        const { matchedCount, modifiedCount, upsertedId } = this.modify(filter, update, options);
+        return { acknowledged: true, matchedCount, modifiedCount, upsertedId, upsertedCount: upsertedId ? 1 : 0 };
+    }
+
+    async updateMany(filter, update, options = {}) {
+        const { matchedCount, modifiedCount, upsertedId } = this.modify(filter, update, { ...options, multi: true });
+        return { acknowledged: true, matchedCount, modifiedCount, upsertedId, upsertedCount: upsertedId ? 1 : 0 };
+    }
+
+    async replaceOne(filter, doc, options = {}) {
+        const { matchedCount, modifiedCount, upsertedId } = this.modify(filter, doc, { ...options, replace: true });
+        return { acknowledged: true, matchedCount, modifiedCount, upsertedId, upsertedCount: upsertedId ? 1 : 0 };
+    }
+
+    async findOneAndUpdate(filter, update, options = {}) {
+        const { before, after } = this.modify(filter, update, options);
+        const doc = options.returnDocument === 'after' ? after : before;
+        if (!doc) return null;
+        return options.projection ? mingo.find([doc], {}, options.projection).all()[0] : doc;
+    }
+
+    async findOneAndDelete(filter, options = {}) {
+        const [doc] = this.stored(filter, options);
+        if (!doc) return null;
+        this.docs.splice(this.docs.indexOf(doc), 1);
+        return options.projection ? mingo.find([copy(doc)], {}, options.projection).all()[0] : copy(doc);
+    }
+
+    async deleteOne(filter) {
+        const [doc] = this.stored(filter);
+        if (doc) this.docs.splice(this.docs.indexOf(doc), 1);
+        return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+    }
+
+    async deleteMany(filter = {}) {
+        const removed = new Set(this.stored(filter));
+        this.docs = this.docs.filter(doc => !removed.has(doc));
+        return { acknowledged: true, deletedCount: removed.size };
+    }
+
+    async bulkWrite(operations, { ordered = true } = {}) {
+        const result = { insertedCount: 0, matchedCount: 0, modifiedCount: 0, deletedCount: 0, upsertedCount: 0 };
+        const errors = [];
+        for (const operation of operations) {
+            const [type, spec] = Object.entries(operation)[0];
+            try {
+                if (type === 'insertOne') {
+                    await this.insertOne(spec.document);
+                    result.insertedCount++;
+                } else if (type === 'updateOne' || type === 'updateMany') {
+                    const outcome = await this[type](spec.filter, spec.update, { upsert: spec.upsert });
+                    result.matchedCount += outcome.matchedCount;
+                    result.modifiedCount += outcome.modifiedCount;
+                    result.upsertedCount += outcome.upsertedCount;
+                } else if (type === 'replaceOne') {
+                    const outcome = await this.replaceOne(spec.filter, spec.replacement, { upsert: spec.upsert });
+                    result.matchedCount += outcome.matchedCount;
+                    result.modifiedCount += outcome.modifiedCount;
+                    result.upsertedCount += outcome.upsertedCount;
+                } else if (type === 'deleteOne' || type === 'deleteMany') {
+                    result.deletedCount += (await this[type](spec.filter)).deletedCount;
+                } else {
+                    throw new Error(`Unsupported bulk operation ${type}`);
+                }
+            } catch (err) {
+                if (ordered) throw err;
+                errors.push(err);
+            }
+        }
+        if (errors.length) throw Object.assign(errors[0], { writeErrors: errors, result });
+        return result;
+    }
+
+    aggregate(pipeline) {
+        return new MemoryCursor(async ({ skip, limit }) => {
+            let docs = this.docs.map(copy);
+            let stages = pipeline;
+            // Only a leading $match may use $text, as on a real server
+            const search = pipeline[0]?.$match?.$text?.$search;
+            if (search !== undefined) {
+                docs = docs
+                    .map(doc => ({ ...doc, __textScore: this.textScore(doc, search) }))
+                    .filter(doc => doc.__textScore > 0);
+                const { $text, ...match } = pipeline[0].$match;
+                stages = [{ $match: match }, ...withTextScoreField(pipeline.slice(1)), { $project: { __textScore: 0 } }];
+            }
+            let results = mingo.aggregate(docs, stages, {
+                collectionResolver: (name) => this.db.collection(name).docs.map(copy),
+            });
+            if (skip) results = results.slice(skip);
+            if (limit) results = results.slice(0, limit);
+            return results.map(copy);
+        });
+    }
+}
+
+class MemoryDb {
+    constructor() {
+        this.collections = new Map();
+    }
+
+    collection(name) {
+        if (!this.collections.has(name)) this.collections.set(name, new MemoryCollection(this, name));
+        return this.collections.get(name);
+    }
+
+    // Empty every collection, keeping the indexes
+    clear() {
+        for (const collection of this.collections.values()) collection.docs = [];
+    }
+}
+
+module.exports = { MemoryDb };
@@ -0,0 +1,109 @@
+// Boots the real app against a MemoryDb on a random port. Each test file runs in its own
+// process under `node --test`, so every file gets a fresh module and database.
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const { MemoryDb } = require('./memory-db');
+
+process.env.NODE_ENV = 'test';
+process.env.MONGODB_URI = 'mongodb://127.0.0.1:1/?serverSelectionTimeoutMS=100';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.STRIPE_SECRETE = 'sk_test_forumhive';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test_forumhive';
+process.env.STRIPE_PRICE_MONTHLY = 'price_monthly';
+process.env.STRIPE_PRICE_YEARLY = 'price_yearly';
+// Anonymous callers are rate limited per IP; tests choose theirs with X-Forwarded-For
+process.env.TRUST_PROXY_HOPS = '1';
+process.env.CRON_SECRET = 'test-cron-secret';
+// Mail lands as JSON files in a fresh directory per test process (see readOutbox)
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_OUTBOX_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'forumhive-mail-'));
+
+// Firebase ID tokens are checked against FIREBASE_PUBLIC_KEYS; sign test ones with a local key
+const FIREBASE_PROJECT_ID = 'forumhive-test';
+const firebaseKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+process.env.FIREBASE_PROJECT_ID = FIREBASE_PROJECT_ID;
+process.env.FIREBASE_PUBLIC_KEYS = JSON.stringify({
+    'test-key': firebaseKey.publicKey.export({ type: 'spki', format: 'pem' }),
+});
+
+const { app, run } = require('../../index');
+
+const firebaseIdToken = (email, claims = {}) => jwt.sign(
+    { email, email_verified: true, ...claims },
+    firebaseKey.privateKey,
+    {
+        algorithm: 'RS256',
+        keyid: 'test-key',
+        audience: FIREBASE_PROJECT_ID,
+        issuer: `https://securetoken.google.com/${FIREBASE_PROJECT_ID}`,
+        subject: crypto.randomUUID(),
+        expiresIn: 60 * 60,
+    }
+);
+
+// An access token cookie exactly as issueSession signs it
+const sessionCookie = (email) => `jwtToken=${jwt.sign({ sub: email, typ: 'session' }, process.env.JWT_SECRET, { expiresIn: 60 * 60 })}`;
+
+// Every message sent so far, oldest first
+const readOutbox = () => {
+    const dir = process.env.MAIL_OUTBOX_DIR;
+    return fs.readdirSync(dir)
+        .map(file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')))
+        .sort((a, b) => new Date(a.date) - new Date(b.date));
+};
+
+const clearOutbox = () => {
+    for (const file of fs.readdirSync(process.env.MAIL_OUTBOX_DIR)) fs.rmSync(path.join(process.env.MAIL_OUTBOX_DIR, file));
+};
+
+// `seed` fills the database before startup, for data the startup jobs and migrations should see
+const startServer = async ({ seed } = {}) => {
+    const db = new MemoryDb();
+    if (seed) await seed(db);
+    // Startup logging (index creation, connection, mail) is noise in test output
+    const log = console.log;
+    console.log = () => {};
+    try {
+        await run({ db, searchDb: db, listen: false });
+    } finally {
+        console.log = log;
+    }
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    // fetch against the app; `body` objects are sent as JSON
+    const request = async (path, { method = 'GET', body, cookie, headers = {} } = {}) => {
+        const response = await fetch(baseUrl + path, {
+            method,
+            headers: {
+                ...(body !== undefined && typeof body !== 'string' && { 'Content-Type': 'application/json' }),
+                ...(cookie && { Cookie: cookie }),
+                ...headers,
+            },
+            body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body),
+        });
+        const text = await response.text();
+        let json = null;
+        try {
+            json = JSON.parse(text);
+        } catch (err) {
+            json = null;
+        }
+        return { status: response.status, headers: response.headers, body: json, text };
+    };
+
+    const close = () => new Promise(resolve => {
+        server.closeAllConnections();
+        server.close(resolve);
+        fs.rmSync(process.env.MAIL_OUTBOX_DIR, { recursive: true, force: true });
+    });
+
+    return { db, baseUrl, request, close };
+};
+
+module.exports = { startServer, sessionCookie, firebaseIdToken, readOutbox, clearOutbox };
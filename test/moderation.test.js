@@ -0,0 +1,210 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { startServer, sessionCookie } = require('./helpers/server');
+
+const ADMIN = 'admin@example.com';
+const BANNED = 'frobnicate';
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Content screening', () => {
+    let server;
+    let db;
+    // Post creation is rate limited per user, so every test writes as someone new
+    let author;
+    let authors = 0;
+
+    before(async () => {
+        server = await startServer();
+        db = server.db;
+    });
+    after(() => server.close());
+    beforeEach(async () => {
+        db.clear();
+        const established = new Date(Date.now() - 365 * DAY);
+        author = `author${++authors}@example.com`;
+        await db.collection('users').insertOne({ email: author, name: 'Author', memberShip: 'non-member', postLimit: 5, createdAt: established });
+        await db.collection('users').insertOne({ email: ADMIN, name: 'Admin', role: 'admin', createdAt: established });
+        await db.collection('tags').insertOne({ value: 'javascript', slug: 'javascript', postCount: 0 });
+        // Added through the API so the cached word list is reloaded
+        await server.request('/admin/banned-words', { method: 'POST', cookie: sessionCookie(ADMIN), body: { word: BANNED } });
+    });
+
+    const createPost = (fields, email = author) => server.request('/posts', {
+        method: 'POST',
+        cookie: sessionCookie(email),
+        body: { title: 'A question', description: 'How do closures work?', tag: 'javascript', ...fields },
+    });
+    const createComment = (postId, comment, email = author) => server.request('/post/comment', {
+        method: 'POST',
+        cookie: sessionCookie(email),
+        body: { postId, comment },
+    });
+    const decide = (targetType, id, decision) => server.request(`/admin/moderation/${targetType}/${id}`, {
+        method: 'PATCH',
+        cookie: sessionCookie(ADMIN),
+        body: { decision },
+    });
+    const publishedPosts = async () => (await server.request('/posts?current=0&limit=10')).body;
+    const report = (targetType, targetId) => db.collection('reports').findOne({ targetType, targetId: new ObjectId(targetId) });
+
+    it('publishes clean posts', async () => {
+        const response = await createPost({});
+        assert.equal(response.status, 200);
+        assert.equal(response.body.moderationStatus, 'published');
+        assert.equal((await publishedPosts()).length, 1);
+        assert.equal(await db.collection('reports').countDocuments(), 0);
+    });
+
+    it('holds posts with banned words until a moderator approves them', async () => {
+        const response = await createPost({ description: `Please ${BANNED} this` });
+        assert.equal(response.body.moderationStatus, 'pending');
+        const postId = response.body.insertedId;
+        assert.equal((await publishedPosts()).length, 0);
+        assert.equal((await server.request(`/post/${postId}`)).status, 404);
+        assert.equal((await server.request(`/post/${postId}`, { cookie: sessionCookie(author) })).status, 200);
+
+        const flagged = await report('post', postId);
+        assert.deepEqual(flagged.autoFlags, ['banned_word']);
+        assert.equal(flagged.source, 'filter');
+        const queue = await server.request('/admin/moderation/queue?type=post', { cookie: sessionCookie(ADMIN) });
+        assert.equal(queue.body.total, 1);
+
+        assert.equal((await decide('post', postId, 'approve')).body.moderationStatus, 'approved');
+        assert.equal((await publishedPosts()).length, 1);
+        assert.equal((await report('post', postId)).status, 'dismissed');
+        assert.equal((await decide('post', postId, 'approve')).status, 409);
+    });
+
+    it('keeps rejected comments hidden and closes their case', async () => {
+        const postId = (await createPost({})).body.insertedId;
+        const links = 'See https://a.example https://b.example https://c.example';
+        const held = await createComment(postId, links);
+        assert.equal(held.status, 201);
+        assert.equal(held.body.moderationStatus, 'pending');
+        assert.deepEqual((await report('comment', held.body.insertedId)).autoFlags, ['too_many_links']);
+
+        assert.equal((await decide('comment', held.body.insertedId, 'reject')).body.moderationStatus, 'rejected');
+        assert.deepEqual((await server.request(`/comment/${postId}`)).body, []);
+        assert.equal((await report('comment', held.body.insertedId)).status, 'resolved');
+        const audit = await db.collection('auditLog').findOne({ action: 'comment.reject' });
+        assert.deepEqual(audit.before.moderationFlags, ['too_many_links']);
+    });
+
+    it('strips markup before storing text', async () => {
+        const postId = (await createPost({ title: '<b>Bold</b> question', description: 'Hi<script>alert(1)</script>' })).body.insertedId;
+        const post = await db.collection('posts').findOne({ _id: new ObjectId(postId) });
+        assert.equal(post.title, 'Bold question');
+        assert.equal(post.description, 'Hi');
+
+        const empty = await createComment(postId, '<img src=x onerror=alert(1)>');
+        assert.equal(empty.status, 400);
+        assert.equal(empty.body.errors[0].field, 'comment');
+    });
+
+    it('throttles new accounts and holds their links', async () => {
+        const newcomer = 'newcomer@example.com';
+        await db.collection('users').insertOne({ email: newcomer, name: 'New', postLimit: 5, createdAt: new Date() });
+        const postId = (await createPost({}, newcomer)).body.insertedId;
+
+        const link = await createPost({ title: 'Another', description: 'Read www.example.com' }, newcomer);
+        assert.equal(link.body.moderationStatus, 'pending');
+        assert.deepEqual((await report('post', link.body.insertedId)).autoFlags, ['new_account_link']);
+
+        const third = await createPost({ title: 'Third', description: 'More' }, newcomer);
+        assert.equal(third.status, 429);
+        assert.equal(third.body.code, 'new_account_throttled');
+        assert.equal((await createComment(postId, 'Still allowed', newcomer)).status, 201);
+    });
+
+    it('flags repeated and mass-posted text', async () => {
+        const postId = (await createPost({})).body.insertedId;
+        for (const email of ['one@example.com', 'two@example.com', 'three@example.com']) {
+            await db.collection('users').insertOne({ email, name: email.split('@')[0] });
+        }
+        assert.equal((await createComment(postId, 'Buy cheap pills')).body.moderationStatus, 'published');
+        assert.equal((await createComment(postId, 'buy  CHEAP pills')).body.moderationStatus, 'pending');
+
+        await createComment(postId, 'Great answer', 'one@example.com');
+        await createComment(postId, 'Great answer', 'two@example.com');
+        const third = await createComment(postId, 'Great answer', 'three@example.com');
+        assert.equal(third.body.moderationStatus, 'pending');
+        assert.deepEqual((await report('comment', third.body.insertedId)).autoFlags, ['mass_duplicate']);
+    });
+
+    it('holds flagged edits to a published post and keeps the post up meanwhile', async () => {
+        const postId = (await createPost({})).body.insertedId;
+        const editPost = (description) => server.request(`/posts/${postId}`, {
+            method: 'PATCH',
+            cookie: sessionCookie(author),
+            body: { description },
+        });
+        const edit = await editPost(`Now with ${BANNED}`);
+        assert.equal(edit.status, 200);
+        assert.equal(edit.body.pendingEdit.moderationStatus, 'pending');
+        assert.equal(edit.body.description, 'How do closures work?');
+        const live = await server.request(`/post/${postId}`);
+        assert.equal(live.status, 200);
+        assert.equal(live.body.description, 'How do closures work?');
+        assert.equal(live.body.pendingEdit, undefined);
+        assert.equal((await db.collection('tags').findOne({ slug: 'javascript' })).postCount, 1);
+        assert.equal((await report('post', postId)).isOpen, true);
+        const queue = await server.request('/admin/moderation/queue?type=post', { cookie: sessionCookie(ADMIN) });
+        assert.equal(queue.body.total, 1);
+        assert.equal(queue.body.items[0].pendingEdit.changes.description, `Now with ${BANNED}`);
+
+        // Rejecting discards the edit; the post stays published as it was
+        const rejected = await decide('post', postId, 'reject');
+        assert.equal(rejected.body.edit, 'discarded');
+        assert.equal(rejected.body.moderationStatus, 'published');
+        assert.equal((await publishedPosts())[0].description, 'How do closures work?');
+        assert.equal((await report('post', postId)).status, 'resolved');
+        assert.equal((await decide('post', postId, 'reject')).status, 409);
+
+        // Approving applies the edit as a new revision
+        await editPost(`Second try, still ${BANNED}`);
+        assert.equal((await decide('post', postId, 'approve')).body.edit, 'applied');
+        const [approved] = await publishedPosts();
+        assert.equal(approved.description, `Second try, still ${BANNED}`);
+        assert.equal(approved.revision, 1);
+        assert.equal((await db.collection('postRevisions').findOne({})).replacedBy, author);
+        assert.equal((await db.collection('tags').findOne({ slug: 'javascript' })).postCount, 1);
+    });
+
+    it('does not flag an edit as a duplicate of the post itself', async () => {
+        const postId = (await createPost({})).body.insertedId;
+        const edit = await server.request(`/posts/${postId}`, {
+            method: 'PATCH',
+            cookie: sessionCookie(author),
+            // Same text once normalized, so the post's own hash would match
+            body: { title: 'A QUESTION' },
+        });
+        assert.equal(edit.body.moderationStatus, undefined);
+        assert.equal((await publishedPosts()).length, 1);
+    });
+
+    it('screens comment edits', async () => {
+        const postId = (await createPost({})).body.insertedId;
+        const created = await createComment(postId, 'Good question');
+        const edit = await server.request(`/comment/${created.body.insertedId}`, {
+            method: 'PATCH',
+            cookie: sessionCookie(author),
+            body: { comment: `Actually, ${BANNED}` },
+        });
+        assert.equal(edit.status, 200);
+        assert.equal(edit.body.moderationStatus, 'pending');
+        assert.deepEqual((await server.request(`/comment/${postId}`)).body, []);
+        assert.deepEqual((await report('comment', created.body.insertedId)).autoFlags, ['banned_word']);
+    });
+
+    it('lets admins manage the banned word list', async () => {
+        const admin = (path, options = {}) => server.request(path, { cookie: sessionCookie(ADMIN), ...options });
+        assert.equal((await admin('/admin/banned-words', { method: 'POST', body: { word: BANNED.toUpperCase() } })).status, 409);
+        assert.deepEqual((await admin('/admin/banned-words')).body.map(entry => entry.word), [BANNED]);
+        assert.equal((await server.request('/admin/banned-words', { cookie: sessionCookie(author) })).status, 403);
+
+        assert.equal((await admin(`/admin/banned-words/${BANNED}`, { method: 'DELETE' })).status, 200);
+        assert.equal((await admin(`/admin/banned-words/${BANNED}`, { method: 'DELETE' })).status, 404);
+        assert.equal((await createPost({ description: `Please ${BANNED} this` })).body.moderationStatus, 'published');
+    });
+});
@@ -0,0 +1,170 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, sessionCookie, readOutbox, clearOutbox } = require('./helpers/server');
+
+const ADMIN = 'admin@example.com';
+
+const linkToken = (message, route) => {
+    const match = message.text.match(new RegExp(`/newsletter/${route}\\?token=([\\w.-]+)`));
+    assert.ok(match, `no ${route} link in "${message.subject}"`);
+    return match[1];
+};
+
+describe('Newsletter', () => {
+    let server;
+    let subscribers;
+    // Subscribing is rate limited per IP, so every test subscribes from its own address
+    let client;
+    let clients = 0;
+
+    before(async () => {
+        server = await startServer();
+        subscribers = server.db.collection('newsletter');
+    });
+    after(() => server.close());
+    beforeEach(async () => {
+        server.db.clear();
+        clearOutbox();
+        client = { 'X-Forwarded-For': `10.0.1.${++clients}` };
+        await server.db.collection('users').insertOne({ email: ADMIN, role: 'admin' });
+        await server.db.collection('posts').insertOne({
+            title: 'Best post', description: 'Body', tag: 'general', authorEmail: 'author@example.com',
+            upVote: 3, downVote: 0, createdAt: new Date(),
+        });
+    });
+
+    const subscribe = (body) => server.request('/newsletter', { method: 'POST', body, headers: client });
+    const admin = (path, method = 'GET', body) => server.request(path, { method, cookie: sessionCookie(ADMIN), body });
+
+    it('confirms, manages and unsubscribes through the mailed links', async () => {
+        const email = 'reader@example.com';
+        const subscribed = await subscribe({ email, topics: ['digest', 'product'] });
+        assert.equal(subscribed.status, 201);
+        assert.equal(subscribed.body.status, 'pending');
+        assert.equal((await subscribers.findOne({ email })).status, 'pending');
+
+        const confirmation = readOutbox()[0];
+        assert.equal(confirmation.to, email);
+        const confirmed = await server.request(`/newsletter/confirm?token=${linkToken(confirmation, 'confirm')}`);
+        assert.equal(confirmed.body.status, 'active');
+        assert.equal((await subscribe({ email })).body.message, 'Email already subscribed');
+
+        await admin('/admin/newsletter/digest', 'POST', { send: true });
+        const digest = readOutbox()[1];
+        assert.equal(digest.to, email);
+        assert.match(digest.text, /Best post/);
+        assert.equal(digest.headers['List-Unsubscribe-Post'], 'List-Unsubscribe=One-Click');
+        const manage = linkToken(digest, 'preferences');
+
+        const preferences = await server.request(`/newsletter/preferences?token=${manage}`);
+        assert.deepEqual(preferences.body.topics, ['digest', 'product']);
+        const updated = await server.request('/newsletter/preferences', { method: 'PATCH', body: { token: manage, topics: ['product'] } });
+        assert.deepEqual(updated.body.topics, ['product']);
+        assert.equal((await server.request('/newsletter/preferences', { method: 'PATCH', body: { token: manage, topics: ['gossip'] } })).status, 400);
+
+        // Opening the link (as a mail scanner would) only asks for confirmation
+        const unsubscribeToken = linkToken(digest, 'unsubscribe');
+        const confirmStep = await server.request(`/newsletter/unsubscribe?token=${unsubscribeToken}`);
+        assert.equal(confirmStep.status, 200);
+        assert.equal(confirmStep.body.status, 'active');
+        assert.equal(confirmStep.body.confirm.method, 'POST');
+        assert.equal((await subscribers.findOne({ email })).status, 'active');
+
+        const unsubscribed = await server.request(`/newsletter/unsubscribe?token=${unsubscribeToken}`, { method: 'POST' });
+        assert.equal(unsubscribed.body.status, 'unsubscribed');
+        assert.equal((await subscribers.findOne({ email })).status, 'unsubscribed');
+        assert.equal((await server.request(`/newsletter/unsubscribe?token=${unsubscribeToken}`)).body.status, 'unsubscribed');
+    });
+
+    it('rejects links meant for something else', async () => {
+        await subscribe({ email: 'reader@example.com' });
+        const confirm = linkToken(readOutbox()[0], 'confirm');
+        const misused = await server.request(`/newsletter/unsubscribe?token=${confirm}`, { method: 'POST' });
+        assert.equal(misused.status, 400);
+        assert.equal(misused.body.code, 'invalid_token');
+        assert.equal((await server.request('/newsletter/preferences?token=garbage')).body.code, 'invalid_token');
+    });
+
+    it('invalidates links from an earlier subscription once the address confirms again', async () => {
+        const email = 'returning@example.com';
+        await subscribe({ email });
+        await server.request(`/newsletter/confirm?token=${linkToken(readOutbox()[0], 'confirm')}`);
+        await admin('/admin/newsletter/digest', 'POST', { send: true });
+        const oldManage = linkToken(readOutbox()[1], 'preferences');
+        await server.request(`/newsletter/unsubscribe?token=${oldManage}`, { method: 'POST' });
+
+        await subscribe({ email });
+        await server.request(`/newsletter/confirm?token=${linkToken(readOutbox()[2], 'confirm')}`);
+
+        const stale = await server.request(`/newsletter/preferences?token=${oldManage}`);
+        assert.equal(stale.status, 400);
+        assert.equal(stale.body.code, 'invalid_token');
+        assert.equal((await subscribers.findOne({ email })).status, 'active');
+    });
+
+    it('previews digests and sends them to active subscribers of the topic', async () => {
+        const now = new Date();
+        await subscribers.insertOne({ email: 'active@example.com', status: 'active', topics: ['digest'], createdAt: now });
+        await subscribers.insertOne({ email: 'legacy@example.com', createdAt: now });
+        await subscribers.insertOne({ email: 'product@example.com', status: 'active', topics: ['product'], createdAt: now });
+        await subscribers.insertOne({ email: 'pending@example.com', status: 'pending', createdAt: now });
+        await subscribers.insertOne({ email: 'gone@example.com', status: 'unsubscribed', createdAt: now });
+
+        const preview = await admin('/admin/newsletter/digest', 'POST', {});
+        assert.equal(preview.body.recipients, 2);
+        assert.deepEqual(preview.body.posts.map(post => post.title), ['Best post']);
+        assert.equal(readOutbox().length, 0);
+
+        const sent = await admin('/admin/newsletter/digest', 'POST', { send: true, subject: 'Weekly picks' });
+        assert.equal(sent.status, 201);
+        assert.equal(sent.body.sent, 2);
+        assert.deepEqual(readOutbox().map(message => message.to).sort(), ['active@example.com', 'legacy@example.com']);
+        assert.equal((await server.db.collection('newsletterIssues').findOne({})).sentAt instanceof Date, true);
+
+        const listed = (await admin('/admin/newsletter/subscribers?status=active')).body;
+        assert.equal(listed.total, 3);
+        const csv = await admin('/admin/newsletter/subscribers/export?status=unsubscribed');
+        assert.deepEqual(csv.text.trim().split(/\r?\n/).map(line => line.split(',')[0]), ['"email"', '"gone@example.com"']);
+        assert.equal((await admin('/admin/newsletter/subscribers?status=bogus')).body.code, 'invalid_status');
+    });
+
+    it('sends a digest in batches and never mails a recipient twice', async () => {
+        const now = new Date();
+        for (let index = 0; index < 230; index++) {
+            await subscribers.insertOne({ email: `reader${index}@example.com`, status: 'active', createdAt: now });
+        }
+        await subscribers.insertOne({ email: 'gone@example.com', status: 'unsubscribed', createdAt: now });
+        const continueIssue = (id) => admin(`/admin/newsletter/issues/${id}/send`, 'POST');
+
+        const first = await admin('/admin/newsletter/digest', 'POST', { send: true });
+        assert.equal(first.status, 201);
+        assert.equal(first.body.sent, 100);
+        assert.equal(first.body.remaining, 130);
+
+        const second = await continueIssue(first.body._id);
+        assert.equal(second.body.sent, 200);
+        assert.equal(second.body.remaining, 30);
+
+        // Lose the saved position, as if the previous call died before recording it
+        await server.db.collection('newsletterIssues').updateOne({}, { $set: { lastSubscriberId: null } });
+        const replay = await continueIssue(first.body._id);
+        assert.equal(replay.body.sent, 200);
+
+        let last = replay;
+        for (let calls = 0; last.body.status !== 'sent' && calls < 5; calls++) {
+            last = await continueIssue(first.body._id);
+        }
+        assert.equal(last.body.status, 'sent');
+        assert.equal(last.body.sent, 230);
+        assert.equal(last.body.remaining, 0);
+
+        const recipients = readOutbox().map(message => message.to);
+        assert.equal(recipients.length, 230);
+        assert.equal(new Set(recipients).size, 230);
+        assert.ok(!recipients.includes('gone@example.com'));
+
+        const done = await continueIssue(first.body._id);
+        assert.equal(done.status, 409);
+        assert.equal(done.body.code, 'issue_sent');
+    });
+});
@@ -0,0 +1,128 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, sessionCookie } = require('./helpers/server');
+
+const AUTHOR = 'author@example.com';
+const ALICE = 'alice@example.com';
+const BOB = 'bob@example.com';
+
+describe('Notifications', () => {
+    let server;
+    let postId;
+
+    before(async () => {
+        server = await startServer();
+    });
+    after(() => server.close());
+    beforeEach(async () => {
+        server.db.clear();
+        const established = new Date(Date.now() - 365 * 24 * 60 * 60 * 1000);
+        for (const email of [AUTHOR, ALICE, BOB]) {
+            const name = email.split('@')[0];
+            await server.db.collection('users').insertOne({ email, name, username: name, createdAt: established });
+        }
+        const { insertedId } = await server.db.collection('posts').insertOne({
+            title: 'A question', description: 'Body', tag: 'general', authorEmail: AUTHOR,
+            upVote: 0, downVote: 0, createdAt: new Date(),
+        });
+        postId = insertedId.toString();
+    });
+
+    const comment = async (email, text, parentId) => {
+        const response = await server.request('/post/comment', {
+            method: 'POST',
+            cookie: sessionCookie(email),
+            body: { postId, comment: text, ...(parentId && { parentId }) },
+        });
+        assert.equal(response.status, 201);
+        return response.body.insertedId;
+    };
+    const upvote = (email) => server.request(`/post/vote/${postId}`, {
+        method: 'PATCH',
+        cookie: sessionCookie(email),
+        body: { type: 'up' },
+    });
+    const inbox = async (email, query = '') => (await server.request(`/notifications${query}`, { cookie: sessionCookie(email) })).body;
+    const byType = (body, type) => body.notifications.filter(item => item.type === type);
+
+    it('groups activity on a post into one unread notification per type', async () => {
+        await comment(ALICE, 'First');
+        await comment(BOB, 'Second');
+        await comment(ALICE, 'Third');
+        await upvote(ALICE);
+        await upvote(BOB);
+        // The author acting on their own post is never notified
+        await comment(AUTHOR, 'Thanks all');
+
+        const body = await inbox(AUTHOR);
+        assert.equal(body.unreadCount, 2);
+        const [comments] = byType(body, 'comment');
+        assert.equal(comments.count, 3);
+        assert.deepEqual(comments.actors, [BOB, ALICE]);
+        assert.equal(comments.link, `/post/${postId}`);
+        assert.equal(comments.isRead, false);
+        assert.equal(byType(body, 'vote')[0].count, 2);
+        assert.deepEqual(body.unreadByType, { comment: 1, vote: 1 });
+        assert.equal(body.notifications[0].recipient, undefined);
+    });
+
+    it('notifies the parent author of replies and mentioned users', async () => {
+        const parentId = await comment(ALICE, 'A thought');
+        await comment(BOB, 'Agreed, and @author should see this', parentId);
+
+        const alice = await inbox(ALICE);
+        assert.equal(alice.unreadCount, 1);
+        assert.equal(byType(alice, 'reply')[0].actors[0], BOB);
+
+        const author = await inbox(AUTHOR);
+        assert.equal(author.unreadByType.mention, 1);
+        assert.equal(byType(author, 'mention')[0].actors[0], BOB);
+        assert.equal(byType(author, 'comment')[0].count, 2);
+    });
+
+    it('marks notifications read one at a time, by type or all at once', async () => {
+        await comment(ALICE, 'A comment');
+        await upvote(ALICE);
+        const body = await inbox(AUTHOR);
+        assert.equal(body.unreadCount, 2);
+
+        const [vote] = byType(body, 'vote');
+        assert.equal((await server.request(`/notifications/${vote._id}/read`, { method: 'PATCH', cookie: sessionCookie(ALICE) })).status, 404);
+        assert.equal((await server.request(`/notifications/${vote._id}/read`, { method: 'PATCH', cookie: sessionCookie(AUTHOR) })).status, 200);
+        const count = await server.request('/notifications/unread-count', { cookie: sessionCookie(AUTHOR) });
+        assert.deepEqual(count.body, { unreadCount: 1, unreadByType: { comment: 1 } });
+
+        const readAll = await server.request('/notifications/read-all', { method: 'PATCH', cookie: sessionCookie(AUTHOR), body: { type: 'comment' } });
+        assert.equal(readAll.body.modifiedCount, 1);
+        assert.equal((await inbox(AUTHOR, '?unread=true')).notifications.length, 0);
+        assert.equal((await inbox(AUTHOR)).notifications.length, 2);
+
+        // Activity after reading starts a fresh group
+        await comment(BOB, 'Another comment');
+        const fresh = await inbox(AUTHOR);
+        assert.equal(fresh.unreadCount, 1);
+        assert.equal(byType(fresh, 'comment').length, 2);
+    });
+
+    it('drops events for muted types', async () => {
+        const prefs = await server.request('/notifications/preferences', {
+            method: 'PATCH',
+            cookie: sessionCookie(AUTHOR),
+            body: { vote: false },
+        });
+        assert.equal(prefs.status, 200);
+        assert.equal(prefs.body.vote, false);
+        assert.equal(prefs.body.comment, true);
+        const invalid = await server.request('/notifications/preferences', {
+            method: 'PATCH',
+            cookie: sessionCookie(AUTHOR),
+            body: { moderation: false },
+        });
+        assert.equal(invalid.status, 400);
+
+        await upvote(ALICE);
+        await comment(ALICE, 'A comment');
+        const body = await inbox(AUTHOR);
+        assert.deepEqual(body.unreadByType, { comment: 1 });
+    });
+});
@@ -0,0 +1,119 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { startServer } = require('./helpers/server');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('Cursor pagination', () => {
+    let server;
+    let postId;
+    const expected = [];
+
+    before(async () => {
+        const start = Date.now() - 100 * HOUR;
+        server = await startServer({
+            // Seeded before startup so the createdAt migration sees the legacy posts
+            seed: async (db) => {
+                for (let index = 0; index < 23; index++) {
+                    // Pairs of posts share a timestamp, so only the _id tiebreak orders them
+                    const createdAt = new Date(start + Math.floor(index / 2) * HOUR);
+                    const post = {
+                        _id: new ObjectId(),
+                        title: `Post ${index}`,
+                        description: 'Body',
+                        tag: 'general',
+                        authorEmail: 'author@example.com',
+                        upVote: index % 5,
+                        downVote: 0,
+                        // Posts from before createdAt was server-set stored it as a string
+                        createdAt: index % 4 === 0 ? createdAt.toISOString() : createdAt,
+                    };
+                    await db.collection('posts').insertOne(post);
+                    expected.push({ _id: post._id.toString(), createdAt: createdAt.getTime() });
+                }
+                await db.collection('posts').insertOne({
+                    title: 'Held', description: 'Body', tag: 'general', authorEmail: 'author@example.com',
+                    createdAt: new Date(), moderationStatus: 'pending',
+                });
+            },
+        });
+        expected.sort((a, b) => b.createdAt - a.createdAt || b._id.localeCompare(a._id));
+
+        postId = new ObjectId(expected[0]._id);
+        for (let index = 0; index < 7; index++) {
+            await server.db.collection('comments').insertOne({
+                postId, comment: `Comment ${index}`, authorEmail: 'reader@example.com',
+                parentId: null, depth: 0, createdAt: new Date(start + Math.floor(index / 3) * HOUR),
+            });
+        }
+    });
+    after(() => server.close());
+
+    // Follows `next` until the last page and returns every item seen
+    const walk = async (path) => {
+        const items = [];
+        let cursor = '';
+        let pages = 0;
+        do {
+            const response = await server.request(`${path}&limit=5&cursor=${encodeURIComponent(cursor)}`);
+            assert.equal(response.status, 200);
+            items.push(...response.body.items);
+            cursor = response.body.next;
+            pages++;
+        } while (cursor && pages < 20);
+        return items;
+    };
+
+    it('converts legacy string createdAt values to dates at startup', async () => {
+        assert.equal(await server.db.collection('posts').countDocuments({ createdAt: { $type: 'string' } }), 0);
+    });
+
+    it('walks every published post newest first without gaps or repeats', async () => {
+        const first = await server.request('/posts?limit=5&cursor=');
+        assert.equal(first.body.total, expected.length);
+        const ids = (await walk('/posts?sort=')).map(post => post._id);
+        assert.deepEqual(ids, expected.map(post => post._id));
+    });
+
+    it('walks the vote-sorted listing without gaps or repeats', async () => {
+        const posts = await walk('/posts?sort=true');
+        assert.equal(posts.length, expected.length);
+        assert.equal(new Set(posts.map(post => post._id)).size, expected.length);
+        const votes = posts.map(post => post.upVote);
+        assert.deepEqual(votes, [...votes].sort((a, b) => b - a));
+    });
+
+    it('walks comments in both the flat and the threaded form', async () => {
+        const flat = await walk(`/comment/${postId}?tree=false`);
+        assert.equal(flat.length, 7);
+        assert.equal(new Set(flat.map(comment => comment._id)).size, 7);
+
+        const threaded = await walk(`/comment/${postId}?tree=true`);
+        assert.deepEqual(threaded.map(comment => comment._id), flat.map(comment => comment._id));
+    });
+
+    it('keeps offset paging for requests without a cursor', async () => {
+        const page = await server.request('/posts?current=1&limit=5');
+        assert.ok(Array.isArray(page.body));
+        // Offset pages have no _id tiebreak, so compare positions by timestamp
+        assert.deepEqual(
+            page.body.map(post => new Date(post.createdAt).getTime()),
+            expected.slice(5, 10).map(post => post.createdAt)
+        );
+    });
+
+    it('rejects tampered cursors and cursors from another sort', async () => {
+        const first = await server.request('/posts?limit=5&cursor=');
+        const fromNewest = first.body.next;
+
+        const otherSort = await server.request(`/posts?sort=true&limit=5&cursor=${fromNewest}`);
+        assert.equal(otherSort.status, 400);
+        assert.equal(otherSort.body.code, 'invalid_cursor');
+
+        const injected = Buffer.from(JSON.stringify({ s: 'createdAt:-1,_id:-1', v: [{ $gt: '' }, null] })).toString('base64url');
+        const tampered = await server.request(`/posts?limit=5&cursor=${injected}`);
+        assert.equal(tampered.status, 400);
+        assert.equal(tampered.body.code, 'invalid_cursor');
+    });
+});
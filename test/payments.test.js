@@ -0,0 +1,213 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const stripe = require('stripe')('sk_test_forumhive');
+const { startServer, sessionCookie } = require('./helpers/server');
+
+const EMAIL = 'member@example.com';
+
+describe('Stripe webhook and membership', () => {
+    let server;
+    let users;
+    let payments;
+
+    before(async () => {
+        server = await startServer();
+        users = server.db.collection('users');
+        payments = server.db.collection('payments');
+    });
+    after(() => server.close());
+    beforeEach(async () => {
+        server.db.clear();
+        await users.insertOne({ email: EMAIL, name: 'Member', memberShip: 'non-member', postLimit: 5 });
+    });
+
+    const sendEvent = (event) => {
+        const payload = JSON.stringify(event);
+        return server.request('/stripe/webhook', {
+            method: 'POST',
+            body: payload,
+            headers: {
+                'Content-Type': 'application/json',
+                'Stripe-Signature': stripe.webhooks.generateTestHeaderString({ payload, secret: process.env.STRIPE_WEBHOOK_SECRET }),
+            },
+        });
+    };
+
+    const paymentSucceeded = (id, { eventId = `evt_${id}`, email = EMAIL, amount = 1000 } = {}) => ({
+        id: eventId,
+        object: 'event',
+        type: 'payment_intent.succeeded',
+        created: Math.floor(Date.now() / 1000),
+        data: {
+            object: {
+                id,
+                object: 'payment_intent',
+                amount_received: amount,
+                currency: 'usd',
+                created: Math.floor(Date.now() / 1000),
+                metadata: { email, plan: 'membership' },
+            },
+        },
+    });
+
+    const chargeRefunded = (paymentIntentId) => ({
+        id: `evt_refund_${paymentIntentId}`,
+        object: 'event',
+        type: 'charge.refunded',
+        created: Math.floor(Date.now() / 1000),
+        data: { object: { id: `ch_${paymentIntentId}`, object: 'charge', refunded: true, payment_intent: paymentIntentId } },
+    });
+
+    const subscriptionEvent = (status, { periodEnd, created = Math.floor(Date.now() / 1000), price = 'price_monthly' } = {}) => ({
+        id: `evt_sub_${status}_${created}`,
+        object: 'event',
+        type: 'customer.subscription.updated',
+        created,
+        data: {
+            object: {
+                id: 'sub_1',
+                object: 'subscription',
+                customer: 'cus_1',
+                status,
+                cancel_at_period_end: false,
+                metadata: { email: EMAIL, plan: 'monthly' },
+                items: { data: [{ price: { id: price }, current_period_end: periodEnd }] },
+            },
+        },
+    });
+
+    const member = () => users.findOne({ email: EMAIL });
+    const membership = async () => (await server.request(`/membershipStatus/${EMAIL}`, { cookie: sessionCookie(EMAIL) })).body;
+    const inDays = (days) => Math.floor(Date.now() / 1000) + days * 24 * 60 * 60;
+
+    it('rejects events without a valid signature', async () => {
+        const response = await server.request('/stripe/webhook', {
+            method: 'POST',
+            body: JSON.stringify(paymentSucceeded('pi_forged')),
+            headers: { 'Content-Type': 'application/json', 'Stripe-Signature': 't=1,v1=forged' },
+        });
+        assert.equal(response.status, 400);
+        assert.equal(await payments.countDocuments(), 0);
+        assert.equal((await member()).memberShip, 'non-member');
+    });
+
+    it('grants membership once for a payment, however often Stripe delivers it', async () => {
+        const event = paymentSucceeded('pi_1');
+        assert.deepEqual((await sendEvent(event)).body, { received: true });
+        assert.deepEqual((await sendEvent(event)).body, { received: true, duplicate: true });
+        // A different event for the same payment intent is not a second payment either
+        await sendEvent(paymentSucceeded('pi_1', { eventId: 'evt_pi_1_again' }));
+
+        assert.equal(await payments.countDocuments({ paymentIntentId: 'pi_1' }), 1);
+        const user = await member();
+        assert.equal(user.memberShip, 'member');
+        assert.equal(user.postLimit, 10);
+        assert.deepEqual(user.badges, ['Gold']);
+    });
+
+    it('ignores payments for the wrong amount', async () => {
+        await sendEvent(paymentSucceeded('pi_cheap', { amount: 1 }));
+        assert.equal((await member()).memberShip, 'non-member');
+        assert.equal(await payments.countDocuments(), 0);
+    });
+
+    it('revokes membership when the payment is refunded', async () => {
+        await sendEvent(paymentSucceeded('pi_1'));
+        await sendEvent(chargeRefunded('pi_1'));
+
+        assert.equal((await payments.findOne({ paymentIntentId: 'pi_1' })).status, 'refunded');
+        const user = await member();
+        assert.equal(user.memberShip, 'non-member');
+        assert.equal(user.postLimit, 5);
+    });
+
+    it('mirrors an active subscription onto the user', async () => {
+        const periodEnd = inDays(30);
+        await sendEvent(subscriptionEvent('active', { periodEnd }));
+
+        const status = await membership();
+        assert.equal(status.memberShip, 'member');
+        assert.equal(status.plan, 'monthly');
+        assert.equal(new Date(status.currentPeriodEnd).getTime(), periodEnd * 1000);
+        assert.equal((await member()).stripeCustomerId, 'cus_1');
+    });
+
+    it('ignores subscription snapshots older than the one applied', async () => {
+        const now = Math.floor(Date.now() / 1000);
+        await sendEvent(subscriptionEvent('active', { periodEnd: inDays(30), created: now }));
+        await sendEvent(subscriptionEvent('canceled', { periodEnd: inDays(-1), created: now - 60 }));
+
+        assert.equal((await member()).subscription.status, 'active');
+        assert.equal((await membership()).memberShip, 'member');
+    });
+
+    it('downgrades a member once the paid period has ended', async () => {
+        await sendEvent(subscriptionEvent('active', { periodEnd: inDays(30) }));
+        await users.updateOne({ email: EMAIL }, { $set: { currentPeriodEnd: new Date(Date.now() - 1000) } });
+
+        const status = await membership();
+        assert.equal(status.memberShip, 'non-member');
+        assert.equal(status.postLimit, 5);
+    });
+
+    it("lists only the caller's paid invoices as billing history", async () => {
+        const invoice = (id, email) => ({
+            id: `evt_${id}`,
+            object: 'event',
+            type: 'invoice.paid',
+            created: Math.floor(Date.now() / 1000),
+            data: {
+                object: {
+                    id, object: 'invoice', amount_paid: 500, currency: 'usd', customer_email: email,
+                    created: Math.floor(Date.now() / 1000), lines: { data: [] },
+                },
+            },
+        });
+        await sendEvent(invoice('in_1', EMAIL));
+        await sendEvent(invoice('in_1', EMAIL));
+        await sendEvent(invoice('in_2', 'someone@example.com'));
+
+        const history = (await server.request('/billing/history', { cookie: sessionCookie(EMAIL) })).body;
+        assert.equal(history.total, 1);
+        assert.equal(history.payments[0].invoiceId, 'in_1');
+        assert.equal(history.payments[0].amount, 5);
+    });
+
+    it('keeps membership when another payment still covers it', async () => {
+        await sendEvent(paymentSucceeded('pi_1'));
+        await sendEvent(paymentSucceeded('pi_2'));
+        await sendEvent(chargeRefunded('pi_1'));
+
+        assert.equal((await membership()).memberShip, 'member');
+    });
+
+    it('keeps membership bought before payments went through the webhook', async () => {
+        // As the old /membership route stored it: whatever the client sent, plus the email
+        await payments.insertOne({ email: EMAIL, price: 10, transactionId: 'txn_legacy', date: new Date() });
+        await users.updateOne({ email: EMAIL }, { $set: { memberShip: 'member', postLimit: 10 } });
+
+        await sendEvent(subscriptionEvent('active', { periodEnd: inDays(30) }));
+        await sendEvent(subscriptionEvent('canceled', { periodEnd: inDays(-1), created: Math.floor(Date.now() / 1000) + 1 }));
+        assert.equal((await membership()).memberShip, 'member');
+
+        // A refunded webhook payment is no longer an entitlement
+        await payments.deleteMany({});
+        await sendEvent(paymentSucceeded('pi_1'));
+        await sendEvent(chargeRefunded('pi_1'));
+        assert.equal((await membership()).memberShip, 'non-member');
+    });
+
+    it('does not let a lapsed subscription period expire a one-time membership', async () => {
+        await users.updateOne({ email: EMAIL }, {
+            $set: {
+                currentPeriodEnd: new Date(Date.now() - 24 * 60 * 60 * 1000),
+                subscription: { id: 'sub_old', plan: 'monthly', status: 'canceled', eventCreated: 1 },
+            },
+        });
+        await sendEvent(paymentSucceeded('pi_1'));
+
+        const status = await membership();
+        assert.equal(status.memberShip, 'member');
+        assert.equal(status.currentPeriodEnd, null);
+    });
+});
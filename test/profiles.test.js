@@ -0,0 +1,88 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, sessionCookie } = require('./helpers/server');
+
+const ADMIN = 'admin@example.com';
+const ALICE = 'alice@example.com';
+const BOB = 'bob@example.com';
+
+describe('Profiles and privacy', () => {
+    let server;
+    let users;
+
+    before(async () => {
+        server = await startServer();
+        users = server.db.collection('users');
+    });
+    after(() => server.close());
+    beforeEach(async () => {
+        server.db.clear();
+        const established = new Date(Date.now() - 365 * 24 * 60 * 60 * 1000);
+        await users.insertOne({ email: ADMIN, name: 'Admin', username: 'admin', role: 'admin', createdAt: established });
+        await users.insertOne({
+            email: ALICE, name: 'Alice', username: 'alice', bio: 'Hi', memberShip: 'member', badges: ['Gold'],
+            reputation: 25, stripeCustomerId: 'cus_alice', lastSignInIp: '10.0.0.1', createdAt: established,
+        });
+        await users.insertOne({ email: BOB, name: 'Bob', username: 'bob', reputation: 10, createdAt: established });
+        const posts = server.db.collection('posts');
+        for (let i = 0; i < 6; i++) {
+            await posts.insertOne({
+                title: `Post ${i}`, description: 'Body', tag: 'general', authorEmail: ALICE,
+                upVote: 0, downVote: 0, createdAt: new Date(Date.now() - (6 - i) * 1000),
+            });
+        }
+        await server.db.collection('comments').insertOne({ postId: null, comment: 'Hi', authorEmail: ALICE, createdAt: new Date() });
+        await server.db.collection('comments').insertOne({ postId: null, authorEmail: ALICE, isDeleted: true, createdAt: new Date() });
+        const reputation = server.db.collection('reputation');
+        await reputation.insertOne({ email: ALICE, period: 'all', tag: null, points: 25 });
+        await reputation.insertOne({ email: BOB, period: 'all', tag: null, points: 10 });
+    });
+
+    const privacy = (body, email = ALICE) => server.request('/user/privacy', { method: 'PATCH', cookie: sessionCookie(email), body });
+
+    it('shows only public fields and recent activity', async () => {
+        const response = await server.request('/profile/alice');
+        assert.equal(response.status, 200);
+        const { recentPosts, createdAt, ...profile } = response.body;
+        assert.deepEqual(profile, {
+            username: 'alice', name: 'Alice', bio: 'Hi', badges: ['Gold'], memberShip: 'member', reputation: 25,
+            followerCount: 0, followingCount: 0, activityHidden: false, postCount: 6, commentCount: 1,
+        });
+        assert.ok(createdAt);
+        assert.deepEqual(recentPosts.map(post => post.title), ['Post 5', 'Post 4', 'Post 3', 'Post 2', 'Post 1']);
+        assert.equal(recentPosts[0].authorEmail, undefined);
+
+        const missing = await server.request('/profile/nobody');
+        assert.equal(missing.status, 404);
+        assert.equal(missing.body.code, 'user_not_found');
+    });
+
+    it('hides activity and leaderboard placement on request', async () => {
+        const updated = await privacy({ hideActivity: true });
+        assert.deepEqual(updated.body, { hideActivity: true, hideFromLeaderboard: false });
+        const profile = (await server.request('/profile/alice')).body;
+        assert.equal(profile.activityHidden, true);
+        assert.equal(profile.postCount, undefined);
+        assert.equal(profile.recentPosts, undefined);
+        assert.equal(profile.reputation, 25);
+
+        assert.deepEqual((await server.request('/leaderboard')).body.map(leader => leader.username), ['alice', 'bob']);
+        await privacy({ hideFromLeaderboard: true });
+        const leaders = (await server.request('/leaderboard?limit=1')).body;
+        assert.deepEqual(leaders.map(({ username, rank }) => ({ username, rank })), [{ username: 'bob', rank: 1 }]);
+
+        assert.equal((await privacy({})).status, 400);
+        assert.equal((await privacy({ showEmail: true })).status, 400);
+        assert.equal((await privacy({ hideActivity: 'yes' })).status, 400);
+    });
+
+    it('limits account endpoints to the owner and admins', async () => {
+        const paths = [`/userdata/${ALICE}`, `/user/${ALICE}`, `/membershipStatus/${ALICE}`, `/role?email=${ALICE}`];
+        for (const path of paths) {
+            assert.equal((await server.request(path)).status, 401, path);
+            assert.equal((await server.request(path, { cookie: sessionCookie(BOB) })).status, 403, path);
+            assert.equal((await server.request(path, { cookie: sessionCookie(ALICE) })).status, 200, path);
+            assert.equal((await server.request(path, { cookie: sessionCookie(ADMIN) })).status, 200, path);
+        }
+    });
+});
@@ -0,0 +1,109 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { startServer, sessionCookie } = require('./helpers/server');
+
+const HOUR = 60 * 60 * 1000;
+const AUTHOR = 'author@example.com';
+
+describe('Hot posts and trending tags', () => {
+    let server;
+    const cron = (secret = process.env.CRON_SECRET) => server.request('/cron/rankings', {
+        headers: { Authorization: `Bearer ${secret}` },
+    });
+    const tagIds = { javascript: new ObjectId(), python: new ObjectId(), removed: new ObjectId() };
+
+    before(async () => {
+        server = await startServer();
+        const db = server.db;
+        const ago = (hours) => new Date(Date.now() - hours * HOUR);
+        const post = { description: 'Body', tag: 'javascript', authorEmail: AUTHOR, downVote: 0 };
+        const posts = db.collection('posts');
+        await posts.insertOne({ ...post, title: 'Older', upVote: 10, createdAt: ago(48) });
+        await posts.insertOne({ ...post, title: 'Newer', upVote: 10, createdAt: ago(1) });
+        await posts.insertOne({ ...post, title: 'Ancient', upVote: 500, createdAt: ago(10 * 24) });
+        const discussed = await posts.insertOne({ ...post, title: 'Discussed', upVote: 0, createdAt: ago(1) });
+        await posts.insertOne({ ...post, title: 'Held', upVote: 50, createdAt: ago(1), moderationStatus: 'pending' });
+        for (let i = 0; i < 4; i++) {
+            await db.collection('comments').insertOne({ postId: discussed.insertedId, comment: `Reply ${i}`, authorEmail: AUTHOR, createdAt: ago(1) });
+        }
+
+        await db.collection('users').insertOne({ email: AUTHOR, name: 'Author', postLimit: 5 });
+        for (const [slug, _id] of Object.entries(tagIds)) {
+            if (slug !== 'removed') await db.collection('tags').insertOne({ _id, value: slug, label: slug, slug, postCount: 0 });
+        }
+        const hourAgo = (hours) => {
+            const hour = ago(hours);
+            hour.setUTCMinutes(0, 0, 0);
+            return hour;
+        };
+        const activity = db.collection('tagActivity');
+        await activity.insertOne({ tagId: tagIds.javascript, kind: 'search', hour: hourAgo(1), count: 5 });
+        await activity.insertOne({ tagId: tagIds.python, kind: 'post', hour: hourAgo(1), count: 1 });
+        await activity.insertOne({ tagId: tagIds.python, kind: 'search', hour: hourAgo(72), count: 100 });
+        await activity.insertOne({ tagId: tagIds.removed, kind: 'search', hour: hourAgo(1), count: 50 });
+
+        // Rankings are only recomputed by the scheduled job
+        assert.equal((await cron()).body.ran, true);
+    });
+    after(() => server.close());
+
+    it('ranks recent, well-received and discussed posts first', async () => {
+        const { items } = (await server.request('/posts?sort=hot&cursor=')).body;
+        assert.deepEqual(items.map(post => post.title), ['Newer', 'Discussed', 'Older', 'Ancient']);
+        assert.ok(items[0].hotScore > items[1].hotScore);
+        assert.equal(items[3].hotScore, 0);
+
+        const offset = (await server.request('/posts?sort=hot&current=0&limit=2')).body;
+        assert.deepEqual(offset.map(post => post.title), ['Newer', 'Discussed']);
+    });
+
+    it('ranks trending tags by recent weighted activity', async () => {
+        const day = (await server.request('/tags/trending')).body;
+        assert.equal(day.window, 'day');
+        assert.ok(day.computedAt);
+        // Five searches outweigh one post; activity on a deleted tag is dropped
+        assert.deepEqual(day.data.map(tag => tag.slug), ['javascript', 'python']);
+        assert.equal(day.data[0].searches, 5);
+        assert.equal(day.data[1].posts, 1);
+
+        const week = (await server.request('/tags/trending?window=week&limit=1')).body;
+        assert.deepEqual(week.data.map(tag => tag.slug), ['python']);
+
+        const invalid = await server.request('/tags/trending?window=year');
+        assert.equal(invalid.status, 400);
+        assert.equal(invalid.body.code, 'invalid_window');
+    });
+
+    it('counts new posts and tag searches as tag activity', async () => {
+        const created = await server.request('/posts', {
+            method: 'POST',
+            cookie: sessionCookie(AUTHOR),
+            body: { title: 'Fresh', description: 'A new question', tag: 'python' },
+        });
+        assert.equal(created.status, 200);
+        await server.request('/posts/search?q=tag:javascript&current=0&limit=10');
+
+        const activity = server.db.collection('tagActivity');
+        const hour = new Date();
+        hour.setUTCMinutes(0, 0, 0);
+        assert.equal((await activity.findOne({ tagId: tagIds.python, kind: 'post', hour })).count, 1);
+        assert.equal((await activity.findOne({ tagId: tagIds.javascript, kind: 'search', hour })).count, 1);
+    });
+
+    it('refreshes only for the scheduler and while no other run holds the lease', async () => {
+        const unauthorized = await cron('wrong');
+        assert.equal(unauthorized.status, 401);
+        assert.equal(unauthorized.body.code, 'cron_unauthorized');
+
+        const lock = await server.db.collection('jobLocks').findOne({ _id: 'rankings' });
+        assert.ok(lock.leaseUntil <= new Date());
+        assert.equal(lock.lastResult.ok, true);
+
+        await server.db.collection('jobLocks').updateOne(
+            { _id: 'rankings' },
+            { $set: { leaseUntil: new Date(Date.now() + 60 * 1000), holder: 'other-instance' } }
+        );
+        assert.deepEqual((await cron()).body, { ran: false, reason: 'already_running' });
+    });
+});
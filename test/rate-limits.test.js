@@ -0,0 +1,95 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, sessionCookie } = require('./helpers/server');
+
+const ADMIN = 'admin@example.com';
+const AUTHOR = 'author@example.com';
+
+describe('Rate limits', () => {
+    let server;
+    let postId;
+
+    before(async () => {
+        server = await startServer();
+    });
+    after(() => server.close());
+    beforeEach(async () => {
+        server.db.clear();
+        await server.db.collection('users').insertOne({ email: ADMIN, name: 'Admin', role: 'admin' });
+        await server.db.collection('users').insertOne({ email: AUTHOR, name: 'Author' });
+        postId = (await server.db.collection('posts').insertOne({
+            title: 'A question', description: 'Body', tag: 'general', authorEmail: AUTHOR,
+            upVote: 0, downVote: 0, createdAt: new Date(),
+        })).insertedId.toString();
+    });
+
+    // The report policy allows a burst of 5; repeats of the same report are 409s but still count
+    const report = (email) => server.request('/reports', {
+        method: 'POST',
+        cookie: sessionCookie(email),
+        body: { targetType: 'post', targetId: postId, category: 'spam' },
+    });
+    const subscribe = (ip, email) => server.request('/newsletter', {
+        method: 'POST',
+        headers: { 'X-Forwarded-For': ip },
+        body: { email },
+    });
+
+    it('reports the remaining budget and rejects requests over it', async () => {
+        const first = await report('one@example.com');
+        assert.equal(first.status, 201);
+        assert.equal(first.headers.get('ratelimit-limit'), '5');
+        assert.equal(first.headers.get('ratelimit-remaining'), '4');
+        assert.equal(first.headers.get('ratelimit-policy'), '5;w=600;burst=5');
+        assert.ok(Number(first.headers.get('ratelimit-reset')) > 0);
+
+        for (let i = 0; i < 4; i++) {
+            assert.equal((await report('one@example.com')).status, 409);
+        }
+        const limited = await report('one@example.com');
+        assert.equal(limited.status, 429);
+        assert.equal(limited.body.code, 'rate_limited');
+        assert.equal(limited.headers.get('ratelimit-remaining'), '0');
+        const retryAfter = Number(limited.headers.get('retry-after'));
+        assert.ok(retryAfter > 0 && retryAfter <= 120);
+        assert.equal(limited.body.retryAfter, retryAfter);
+
+        // Buckets are per user
+        assert.equal((await report('two@example.com')).status, 201);
+    });
+
+    it('keys anonymous callers by IP', async () => {
+        for (let i = 0; i < 3; i++) {
+            assert.equal((await subscribe('192.0.2.1', `reader${i}@example.com`)).status, 201);
+        }
+        assert.equal((await subscribe('192.0.2.1', 'reader3@example.com')).status, 429);
+        assert.equal((await subscribe('192.0.2.2', 'reader3@example.com')).status, 201);
+    });
+
+    it('does not charge submissions rejected as invalid', async () => {
+        const writer = 'writer@example.com';
+        await server.db.collection('users').insertOne({ email: writer, name: 'Writer', postLimit: 5, createdAt: new Date(Date.now() - 365 * 24 * 60 * 60 * 1000) });
+        await server.db.collection('tags').insertOne({ value: 'general', slug: 'general', postCount: 0 });
+        const post = (body) => server.request('/posts', { method: 'POST', cookie: sessionCookie(writer), body });
+
+        // Rejected by the schema, by the handler's own checks, and for an unknown tag
+        for (let i = 0; i < 3; i++) {
+            assert.equal((await post({ title: 'No body' })).status, 400);
+            assert.equal((await post({ title: '<b></b>', description: 'Body', tag: 'general' })).status, 400);
+            assert.equal((await post({ title: 'Question', description: 'Body', tag: 'nope' })).status, 400);
+        }
+        // The post policy allows a burst of 3, all still available
+        for (let i = 0; i < 3; i++) {
+            assert.equal((await post({ title: `Question ${i}`, description: `Body ${i}`, tag: 'general' })).status, 200);
+        }
+        assert.equal((await post({ title: 'One more', description: 'Body', tag: 'general' })).status, 429);
+    });
+
+    it('lets admins through once their bucket is empty', async () => {
+        for (let i = 0; i < 7; i++) {
+            const response = await report(ADMIN);
+            assert.notEqual(response.status, 429);
+        }
+        assert.equal((await report(ADMIN)).headers.get('ratelimit-remaining'), '0');
+    });
+});
@@ -0,0 +1,133 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, sessionCookie } = require('./helpers/server');
+
+const ADMIN = 'admin@example.com';
+const AUTHOR = 'author@example.com';
+
+describe('Report cases', () => {
+    let server;
+    let reports;
+    let postId;
+    let commentId;
+    let authorId;
+
+    before(async () => {
+        server = await startServer();
+        reports = server.db.collection('reports');
+    });
+    after(() => server.close());
+    beforeEach(async () => {
+        server.db.clear();
+        await server.db.collection('users').insertOne({ email: ADMIN, name: 'Admin', role: 'admin' });
+        authorId = (await server.db.collection('users').insertOne({ email: AUTHOR, name: 'Author' })).insertedId.toString();
+        postId = (await server.db.collection('posts').insertOne({
+            title: 'A question', description: 'Body', tag: 'general', authorEmail: AUTHOR,
+            upVote: 0, downVote: 0, createdAt: new Date(),
+        })).insertedId;
+        commentId = (await server.db.collection('comments').insertOne({
+            postId, comment: 'Rude', authorEmail: AUTHOR, createdAt: new Date(),
+        })).insertedId.toString();
+        postId = postId.toString();
+    });
+
+    // Reports are rate limited per user, so each test files them as different reporters
+    const report = (reporter, body) => server.request('/reports', {
+        method: 'POST',
+        cookie: sessionCookie(reporter),
+        body: { category: 'spam', ...body },
+    });
+    const asAdmin = (path, options = {}) => server.request(path, { cookie: sessionCookie(ADMIN), ...options });
+
+    it('folds reports on the same target into one case', async () => {
+        const first = await report('one@example.com', { targetType: 'post', targetId: postId, category: 'spam' });
+        assert.equal(first.status, 201);
+        await report('two@example.com', { targetType: 'post', targetId: postId, category: 'harassment', reason: 'Threats' });
+        const third = await report('three@example.com', { targetType: 'post', targetId: postId, category: 'spam' });
+
+        assert.equal(third.body._id, first.body._id);
+        assert.equal(third.body.reporterCount, 3);
+        assert.deepEqual(third.body.categories, { spam: 2, harassment: 1 });
+        assert.equal(third.body.severity, 3);
+        assert.equal(third.body.status, 'open');
+        assert.equal(await reports.countDocuments(), 1);
+    });
+
+    it('counts each reporter once per case', async () => {
+        await report('one@example.com', { targetType: 'comment', targetId: commentId });
+        const again = await report('one@example.com', { targetType: 'comment', targetId: commentId });
+        assert.equal(again.status, 409);
+        assert.equal((await reports.findOne({})).reporterCount, 1);
+    });
+
+    it('accepts posts, comments and users as targets', async () => {
+        assert.equal((await report('four@example.com', { targetType: 'user', targetId: authorId })).status, 201);
+        // The original comment-only payload still works
+        assert.equal((await report('four@example.com', { commentId, feedback: 'Rude' })).status, 201);
+        const comment = await reports.findOne({ targetType: 'comment' });
+        assert.equal(comment.postId.toString(), postId);
+        assert.equal(comment.targetAuthorEmail, AUTHOR);
+
+        assert.equal((await report(AUTHOR, { targetType: 'post', targetId: postId })).status, 400);
+        assert.equal((await report('five@example.com', { targetType: 'post', targetId: commentId })).status, 404);
+        assert.equal((await report('five@example.com', { targetType: 'planet', targetId: postId })).status, 400);
+        assert.equal((await report('five@example.com', { targetType: 'post', targetId: postId, category: 'boring' })).status, 400);
+    });
+
+    it('moves cases through review to resolution', async () => {
+        const id = (await report('six@example.com', { targetType: 'post', targetId: postId })).body._id;
+
+        const assigned = await asAdmin(`/reports/${id}/assign`, { method: 'PATCH', body: { assignee: ADMIN } });
+        assert.equal(assigned.body.status, 'in_review');
+        assert.equal((await asAdmin(`/reports/${id}/assign`, { method: 'PATCH', body: { assignee: AUTHOR } })).status, 400);
+
+        const resolved = await asAdmin(`/reports/${id}/status`, { method: 'PATCH', body: { status: 'resolved', note: 'Removed' } });
+        assert.equal(resolved.status, 200);
+        const closed = await reports.findOne({});
+        assert.equal(closed.resolvedBy, ADMIN);
+        assert.equal(closed.isOpen, undefined);
+
+        // A new report after resolution opens a fresh case
+        const reopened = await report('seven@example.com', { targetType: 'post', targetId: postId });
+        assert.notEqual(reopened.body._id, id);
+        assert.equal(reopened.body.reporterCount, 1);
+    });
+
+    it('lists active cases by severity or reporter count', async () => {
+        await report('eight@example.com', { targetType: 'post', targetId: postId, category: 'spam' });
+        await report('nine@example.com', { targetType: 'post', targetId: postId, category: 'spam' });
+        await report('eight@example.com', { targetType: 'comment', targetId: commentId, category: 'hate_speech' });
+
+        const bySeverity = (await asAdmin('/reports?sort=severity&page=0&limit=10')).body;
+        assert.deepEqual(bySeverity.map(item => item.targetType), ['comment', 'post']);
+        const byReporters = (await asAdmin('/reports?sort=reporters&page=0&limit=10')).body;
+        assert.deepEqual(byReporters.map(item => item.targetType), ['post', 'comment']);
+
+        assert.equal((await asAdmin('/reports/count?minSeverity=4')).body.count, 1);
+        assert.equal((await asAdmin('/reports/count?targetType=post')).body.count, 1);
+        assert.equal((await server.request('/reports/count', { cookie: sessionCookie(AUTHOR) })).status, 403);
+    });
+
+    it('shows a case only to its reporters and admins, without the moderation fields', async () => {
+        const filed = await report('ten@example.com', { targetType: 'comment', targetId: commentId });
+        assert.equal(filed.status, 201);
+        for (const field of ['targetAuthorEmail', 'assignee', 'resolvedBy', 'reporters']) {
+            assert.equal(field in filed.body, false, field);
+        }
+        await asAdmin(`/reports/${filed.body._id}/assign`, { method: 'PATCH', body: { assignee: ADMIN } });
+
+        const lookup = (cookie) => server.request(`/report/${commentId}`, { cookie });
+        assert.equal((await lookup()).status, 401);
+        const own = (await lookup(sessionCookie('ten@example.com'))).body;
+        assert.equal(own._id, filed.body._id);
+        assert.equal(own.status, 'in_review');
+        assert.equal(own.targetAuthorEmail, undefined);
+        assert.equal(own.assignee, undefined);
+        // Someone who didn't report the comment learns nothing about the case
+        assert.equal((await lookup(sessionCookie('eleven@example.com'))).text, '');
+
+        const moderated = (await lookup(sessionCookie(ADMIN))).body;
+        assert.equal(moderated.targetAuthorEmail, AUTHOR);
+        assert.equal(moderated.assignee, ADMIN);
+    });
+});
@@ -0,0 +1,109 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, sessionCookie } = require('./helpers/server');
+
+const AUTHOR = 'author@example.com';
+const ALICE = 'alice@example.com';
+const BOB = 'bob@example.com';
+
+describe('Reputation and leaderboard', () => {
+    let server;
+    let users;
+    let postId;
+
+    before(async () => {
+        server = await startServer();
+        users = server.db.collection('users');
+    });
+    after(() => server.close());
+    beforeEach(async () => {
+        server.db.clear();
+        const established = new Date(Date.now() - 365 * 24 * 60 * 60 * 1000);
+        for (const email of [AUTHOR, ALICE, BOB]) {
+            const name = email.split('@')[0];
+            await users.insertOne({ email, name, username: name, createdAt: established });
+        }
+        const { insertedId } = await server.db.collection('posts').insertOne({
+            title: 'A question', description: 'Body', tag: 'javascript', authorEmail: AUTHOR,
+            upVote: 0, downVote: 0, createdAt: new Date(),
+        });
+        postId = insertedId.toString();
+    });
+
+    const vote = (email, type) => server.request(`/post/vote/${postId}`, {
+        method: 'PATCH',
+        cookie: sessionCookie(email),
+        body: { type },
+    });
+    const comment = async (email, text) => (await server.request('/post/comment', {
+        method: 'POST',
+        cookie: sessionCookie(email),
+        body: { postId, comment: text },
+    })).body.insertedId;
+    const accept = (commentId, method = 'PATCH', email = AUTHOR) => server.request(`/comment/${commentId}/accept`, {
+        method,
+        cookie: sessionCookie(email),
+    });
+    const reputation = async (email) => (await users.findOne({ email })).reputation ?? 0;
+    const leaderboard = async (query = '') => (await server.request(`/leaderboard${query}`)).body;
+
+    it('credits post authors for votes from others and reverses switched votes', async () => {
+        await vote(ALICE, 'up');
+        await vote(BOB, 'up');
+        await vote(AUTHOR, 'up');
+        assert.equal(await reputation(AUTHOR), 20);
+
+        await vote(BOB, 'down');
+        assert.equal(await reputation(AUTHOR), 8);
+        await vote(BOB, 'none');
+        assert.equal(await reputation(AUTHOR), 10);
+    });
+
+    it('credits the accepted answer and moves the credit when it changes', async () => {
+        const first = await comment(ALICE, 'Try this');
+        const second = await comment(BOB, 'Or this');
+        const own = await comment(AUTHOR, 'Solved it myself');
+
+        assert.equal((await accept(first, 'PATCH', BOB)).status, 403);
+        assert.equal((await accept(first)).status, 200);
+        assert.equal((await accept(first)).status, 200);
+        assert.equal(await reputation(ALICE), 15);
+
+        await accept(second);
+        assert.equal(await reputation(ALICE), 0);
+        assert.equal(await reputation(BOB), 15);
+        assert.equal((await server.db.collection('comments').findOne({ authorEmail: BOB })).isAccepted, true);
+
+        // Accepting one's own comment earns nothing
+        await accept(own);
+        assert.equal(await reputation(BOB), 0);
+        assert.equal(await reputation(AUTHOR), 0);
+        assert.equal((await accept(own, 'DELETE')).status, 200);
+        assert.equal((await accept(own, 'DELETE')).status, 404);
+    });
+
+    it('ranks users per window and tag with public fields only', async () => {
+        await vote(ALICE, 'up');
+        await comment(AUTHOR, 'Follow-up');
+        await accept(await comment(ALICE, 'Answer'));
+
+        for (const window of ['all', 'month', 'week']) {
+            assert.deepEqual(
+                (await leaderboard(`?window=${window}`)).map(({ username, points, rank }) => ({ username, points, rank })),
+                [{ username: 'alice', points: 15, rank: 1 }, { username: 'author', points: 10, rank: 2 }]
+            );
+        }
+        const [leader] = await leaderboard('?tag=javascript&limit=1');
+        assert.equal(leader.username, 'alice');
+        assert.equal(leader.email, undefined);
+        assert.equal((await leaderboard('?tag=python')).length, 0);
+
+        // Users whose balance is not positive are left out
+        await vote(ALICE, 'down');
+        assert.deepEqual((await leaderboard()).map(leader => leader.username), ['alice']);
+
+        const invalid = await server.request('/leaderboard?window=year');
+        assert.equal(invalid.status, 400);
+        assert.equal(invalid.body.code, 'invalid_window');
+    });
+});
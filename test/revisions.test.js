@@ -0,0 +1,88 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, sessionCookie } = require('./helpers/server');
+
+const ADMIN = 'admin@example.com';
+const AUTHOR = 'author@example.com';
+const OTHER = 'other@example.com';
+
+describe('Post edits and revisions', () => {
+    let server;
+    let posts;
+    let postId;
+
+    before(async () => {
+        server = await startServer();
+        posts = server.db.collection('posts');
+    });
+    after(() => server.close());
+    beforeEach(async () => {
+        server.db.clear();
+        const established = new Date(Date.now() - 365 * 24 * 60 * 60 * 1000);
+        await server.db.collection('users').insertOne({ email: ADMIN, name: 'Admin', role: 'admin', createdAt: established });
+        await server.db.collection('users').insertOne({ email: AUTHOR, name: 'Author', createdAt: established });
+        await server.db.collection('users').insertOne({ email: OTHER, name: 'Other', createdAt: established });
+        postId = (await posts.insertOne({
+            title: 'Teh title', description: 'Original body', tag: 'general', authorEmail: AUTHOR,
+            upVote: 2, downVote: 0, createdAt: new Date(),
+        })).insertedId.toString();
+    });
+
+    const edit = (email, body) => server.request(`/posts/${postId}`, { method: 'PATCH', cookie: sessionCookie(email), body });
+    const revisions = (email) => server.request(`/post/${postId}/revisions`, { cookie: sessionCookie(email) });
+
+    it('lets the author edit and keeps the replaced version', async () => {
+        const response = await edit(AUTHOR, { title: 'The title' });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.title, 'The title');
+        assert.equal(response.body.description, 'Original body');
+        assert.equal(response.body.revision, 1);
+        assert.ok(response.body.editedAt);
+        assert.ok(response.body.updatedAt);
+
+        await edit(AUTHOR, { description: 'Better body' });
+        const history = (await revisions(AUTHOR)).body;
+        assert.equal(history.currentRevision, 2);
+        assert.deepEqual(history.revisions.map(({ revision, title, description }) => ({ revision, title, description })), [
+            { revision: 1, title: 'The title', description: 'Original body' },
+            { revision: 0, title: 'Teh title', description: 'Original body' },
+        ]);
+    });
+
+    it('only edits titles, descriptions and tags', async () => {
+        const response = await edit(AUTHOR, { upVote: 1000 });
+        assert.equal(response.status, 400);
+        assert.equal((await posts.findOne({})).upVote, 2);
+    });
+
+    it('limits edits and history to the author and admins', async () => {
+        assert.equal((await edit(OTHER, { title: 'Mine now' })).status, 403);
+        assert.equal((await revisions(OTHER)).status, 403);
+
+        const byAdmin = await edit(ADMIN, { title: 'Moderated title', reason: 'Clickbait' });
+        assert.equal(byAdmin.status, 200);
+        assert.equal((await revisions(ADMIN)).status, 200);
+        const [entry] = await server.db.collection('auditLog').find({ action: 'post.edit' }).toArray();
+        assert.equal(entry.actor, ADMIN);
+        assert.equal(entry.before.title, 'Teh title');
+    });
+
+    it('lets admins restore an earlier revision', async () => {
+        await edit(AUTHOR, { title: 'Vandalised', description: 'Spam' });
+
+        const restore = await server.request(`/post/${postId}/revisions/0/restore`, {
+            method: 'POST',
+            cookie: sessionCookie(ADMIN),
+            body: { reason: 'Revert vandalism' },
+        });
+        assert.equal(restore.status, 200);
+        assert.equal(restore.body.title, 'Teh title');
+        assert.equal(restore.body.description, 'Original body');
+        assert.equal(restore.body.revision, 2);
+
+        const notAdmin = await server.request(`/post/${postId}/revisions/0/restore`, { method: 'POST', cookie: sessionCookie(AUTHOR), body: {} });
+        assert.equal(notAdmin.status, 403);
+        const missing = await server.request(`/post/${postId}/revisions/9/restore`, { method: 'POST', cookie: sessionCookie(ADMIN), body: {} });
+        assert.equal(missing.status, 404);
+    });
+});
@@ -0,0 +1,88 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Post search', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+        const posts = server.db.collection('posts');
+        const now = Date.now();
+        await posts.insertOne({
+            title: 'Understanding closures', description: 'Functions that remember their scope',
+            tag: 'JavaScript', authorEmail: 'alice@example.com', authorName: 'Alice',
+            upVote: 1, downVote: 0, createdAt: new Date(now - 3 * DAY),
+        });
+        await posts.insertOne({
+            title: 'Callbacks everywhere', description: 'Closures make callbacks work and the event loop runs them',
+            tag: 'JavaScript', authorEmail: 'bob@example.com', authorName: 'Bob',
+            upVote: 5, downVote: 0, createdAt: new Date(now - DAY),
+        });
+        await posts.insertOne({
+            title: 'Loop over events', description: 'An event handler inside a for loop',
+            tag: 'Python', authorEmail: 'alice@example.com', authorName: 'Alice',
+            upVote: 0, downVote: 0, createdAt: new Date(now - 10 * DAY),
+        });
+        await server.db.collection('tags').insertOne({ value: 'JavaScript', slug: 'javascript', postCount: 0 });
+    });
+    after(() => server.close());
+
+    const search = async (query, extra = '') => {
+        const response = await server.request(`/posts/search?q=${encodeURIComponent(query)}&current=0&limit=10${extra}`);
+        assert.equal(response.status, 200);
+        return response.body.map(post => post.title);
+    };
+    const count = async (query, extra = '') => (await server.request(`/posts/count?search=${encodeURIComponent(query)}${extra}`)).body.count;
+
+    it('ranks text matches across titles and bodies by relevance', async () => {
+        assert.deepEqual(await search('closures'), ['Understanding closures', 'Callbacks everywhere']);
+        assert.deepEqual(await search('closures', '&sort=new'), ['Callbacks everywhere', 'Understanding closures']);
+        assert.deepEqual(await search('', '&sort=true'), ['Callbacks everywhere', 'Understanding closures', 'Loop over events']);
+    });
+
+    it('matches quoted phrases exactly', async () => {
+        assert.deepEqual(await search('"event loop"'), ['Callbacks everywhere']);
+    });
+
+    it('filters by tag, author and date range', async () => {
+        assert.deepEqual(await search('tag:python'), ['Loop over events']);
+        assert.deepEqual(await search('author:alice loop'), ['Loop over events']);
+        const from = new Date(Date.now() - 5 * DAY).toISOString();
+        assert.deepEqual(await search('tag:javascript', `&from=${from}&sort=new`), ['Callbacks everywhere', 'Understanding closures']);
+        assert.deepEqual(await search('', `&to=${from}`), ['Loop over events']);
+
+        const invalid = await server.request('/posts/search?q=x&from=yesterday&current=0&limit=10');
+        assert.equal(invalid.status, 400);
+    });
+
+    it('treats regex syntax in the query as plain text', async () => {
+        assert.deepEqual(await search('(a+)+$'), []);
+        assert.deepEqual(await search('tag:.*'), []);
+    });
+
+    it('counts the same posts the search returns', async () => {
+        for (const query of ['closures', '"event loop"', 'tag:javascript', 'author:alice', '']) {
+            assert.equal(await count(query), (await search(query)).length, query);
+        }
+    });
+
+    it('records popular tags once per search, only for tag filters naming an existing tag', async () => {
+        await server.db.collection('popularTags').deleteMany({});
+        await search('tag:javascript');
+        await search('tag:rust');
+        // A plain text query is not a tag, even when it reads like one
+        await search('javascript');
+        // Later pages of the same search
+        assert.equal((await server.request('/posts/search?q=tag:javascript&current=1&limit=1')).status, 200);
+        const first = await server.request('/posts/search?q=tag:javascript&limit=1&cursor=');
+        assert.equal(first.body.items.length, 1);
+        assert.ok(first.body.next);
+        await server.request(`/posts/search?q=tag:javascript&limit=1&cursor=${encodeURIComponent(first.body.next)}`);
+
+        const popular = await server.db.collection('popularTags').find({}).toArray();
+        assert.deepEqual(popular.map(({ value, count }) => ({ value, count })), [{ value: 'JavaScript', count: 2 }]);
+    });
+});
@@ -0,0 +1,130 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, sessionCookie } = require('./helpers/server');
+
+const ADMIN = 'admin@example.com';
+const READER = 'reader@example.com';
+
+describe('Tags', () => {
+    let server;
+    let db;
+    // Post creation is rate limited per user, so every test writes as someone new
+    let author;
+    let authors = 0;
+
+    before(async () => {
+        server = await startServer();
+        db = server.db;
+    });
+    after(() => server.close());
+    beforeEach(async () => {
+        db.clear();
+        const established = new Date(Date.now() - 365 * 24 * 60 * 60 * 1000);
+        author = `author${++authors}@example.com`;
+        await db.collection('users').insertOne({ email: author, name: 'Author', postLimit: 5, createdAt: established });
+        await db.collection('users').insertOne({ email: ADMIN, name: 'Admin', role: 'admin', createdAt: established });
+        await db.collection('users').insertOne({ email: READER, name: 'Reader', createdAt: established });
+    });
+
+    const admin = (path, method = 'GET', body) => server.request(path, { method, cookie: sessionCookie(ADMIN), body });
+    const createTag = async (value) => {
+        const response = await admin('/tag', 'POST', { value });
+        assert.equal(response.status, 201);
+    };
+    // Titles differ so the duplicate filter leaves every post published
+    let posted = 0;
+    const createPost = (tag) => server.request('/posts', {
+        method: 'POST',
+        cookie: sessionCookie(author),
+        body: { title: `Question ${++posted}`, description: `A question on ${tag}`, tag },
+    });
+    const tag = (slug) => db.collection('tags').findOne({ slug });
+
+    it('creates tags with a unique slug', async () => {
+        await createTag('Node.js & Express');
+        await createTag('C++');
+        const node = await tag('node-js-express');
+        assert.equal(node.value, 'Node.js & Express');
+        assert.equal(node.label, 'Node.js & Express');
+        assert.equal(node.postCount, 0);
+        assert.ok(await tag('c-plus-plus'));
+
+        const duplicate = await admin('/tag', 'POST', { value: 'node.js express' });
+        assert.equal(duplicate.status, 409);
+        assert.equal(duplicate.body.code, 'tag_exists');
+        assert.equal((await admin('/tag', 'POST', { value: '???' })).status, 400);
+        assert.equal((await server.request('/tag', { method: 'POST', cookie: sessionCookie(READER), body: { value: 'Go' } })).status, 403);
+    });
+
+    it('only accepts existing tags on posts and counts their published posts', async () => {
+        await createTag('JavaScript');
+        await createTag('Python');
+        const unknown = await createPost('Rust');
+        assert.equal(unknown.status, 400);
+        assert.equal(unknown.body.errors[0].field, 'tag');
+
+        const created = await createPost('javascript');
+        assert.equal(created.status, 200);
+        await createPost('JavaScript');
+        const stored = await db.collection('posts').find({}).toArray();
+        assert.deepEqual(stored.map(post => post.tag), ['JavaScript', 'JavaScript']);
+        assert.equal((await tag('javascript')).postCount, 2);
+
+        const ranked = (await server.request('/tags?sort=usage')).body;
+        assert.deepEqual(ranked.map(entry => entry.value), ['JavaScript', 'Python']);
+        assert.equal((await server.request('/tags?sort=random')).body.code, 'invalid_sort');
+
+        await server.request(`/posts/${created.body.insertedId}`, { method: 'DELETE', cookie: sessionCookie(author) });
+        assert.equal((await tag('javascript')).postCount, 1);
+    });
+
+    it('renames a tag everywhere it is used', async () => {
+        await createTag('js');
+        await createPost('js');
+        await server.request('/follow/tags/js', { method: 'POST', cookie: sessionCookie(READER) });
+        await db.collection('popularTags').insertOne({ value: 'js', count: 4 });
+        await db.collection('reputation').insertOne({ email: author, period: 'all', tag: 'js', points: 10 });
+
+        const renamed = await admin('/tags/js', 'PATCH', { value: 'JavaScript', description: 'The language of the web' });
+        assert.equal(renamed.status, 200);
+        assert.equal(renamed.body.slug, 'javascript');
+        assert.equal(renamed.body.postCount, 1);
+        assert.equal((await db.collection('posts').findOne({})).tag, 'JavaScript');
+        assert.deepEqual((await server.request('/following', { cookie: sessionCookie(READER) })).body.tags, ['JavaScript']);
+        assert.equal((await db.collection('popularTags').findOne({})).value, 'JavaScript');
+        assert.deepEqual(
+            (await db.collection('reputation').find({ tag: { $ne: null } }).toArray()).map(bucket => [bucket.tag, bucket.points]),
+            [['JavaScript', 10]]
+        );
+        assert.equal((await admin('/tags/js', 'PATCH', { label: 'JS' })).status, 404);
+    });
+
+    it('merges tags and deletes them only once their posts have a new home', async () => {
+        await createTag('JavaScript');
+        await createTag('ECMAScript');
+        await createTag('Unused');
+        await createPost('JavaScript');
+        await createPost('ECMAScript');
+        await server.request('/follow/tags/ecmascript', { method: 'POST', cookie: sessionCookie(READER) });
+        // Buckets for the same user and period are added together
+        await db.collection('reputation').insertOne({ email: author, period: 'all', tag: 'JavaScript', points: 5 });
+        await db.collection('reputation').insertOne({ email: author, period: 'all', tag: 'ECMAScript', points: 3 });
+        await db.collection('reputation').insertOne({ email: READER, period: 'all', tag: 'ECMAScript', points: 2 });
+
+        assert.equal((await admin('/tags/ecmascript/merge', 'POST', { into: 'ecmascript' })).body.code, 'same_tag');
+        const merged = await admin('/tags/ecmascript/merge', 'POST', { into: 'javascript' });
+        assert.equal(merged.body.postCount, 2);
+        assert.equal(await tag('ecmascript'), null);
+        assert.deepEqual((await server.request('/following', { cookie: sessionCookie(READER) })).body.tags, ['JavaScript']);
+        const buckets = await db.collection('reputation').find({ tag: { $ne: null } }).sort({ points: -1 }).toArray();
+        assert.deepEqual(buckets.map(bucket => [bucket.email, bucket.tag, bucket.points]), [[author, 'JavaScript', 8], [READER, 'JavaScript', 2]]);
+
+        const inUse = await admin('/tags/javascript', 'DELETE');
+        assert.equal(inUse.status, 409);
+        assert.equal(inUse.body.code, 'tag_in_use');
+        const reassigned = await admin('/tags/javascript?reassignTo=unused', 'DELETE');
+        assert.equal(reassigned.body.reassignedTo, 'Unused');
+        assert.equal((await tag('unused')).postCount, 2);
+        assert.equal(await db.collection('posts').countDocuments({ tag: 'Unused' }), 2);
+    });
+});
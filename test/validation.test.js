@@ -0,0 +1,93 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, sessionCookie } = require('./helpers/server');
+
+const EMAIL = 'user@example.com';
+
+describe('Request body validation', () => {
+    let server;
+    let users;
+
+    before(async () => {
+        server = await startServer();
+        users = server.db.collection('users');
+    });
+    after(() => server.close());
+    beforeEach(async () => {
+        server.db.clear();
+        await users.insertOne({ email: EMAIL, name: 'User', role: 'user', memberShip: 'non-member', postLimit: 5 });
+    });
+
+    const updateProfile = (body, { email = EMAIL, cookie = sessionCookie(EMAIL) } = {}) =>
+        server.request(`/user/update/${email}`, { method: 'PATCH', cookie, body });
+
+    it('reports every problem with a field-level message', async () => {
+        const response = await server.request('/post/comment', {
+            method: 'POST',
+            cookie: sessionCookie(EMAIL),
+            body: { postId: 'not-an-id', comment: '', extra: true },
+        });
+        assert.equal(response.status, 400);
+        assert.deepEqual(response.body.errors, [
+            { field: 'extra', message: 'extra is not allowed' },
+            { field: 'postId', message: 'postId must be a valid id' },
+            { field: 'comment', message: 'comment is required' },
+        ]);
+        assert.equal(await server.db.collection('comments').countDocuments(), 0);
+    });
+
+    it('never takes server-controlled fields from the client', async () => {
+        const response = await updateProfile({ name: 'Renamed', role: 'admin', memberShip: 'member', postLimit: 9999 });
+        assert.equal(response.status, 200);
+
+        const user = await users.findOne({ email: EMAIL });
+        assert.equal(user.name, 'Renamed');
+        assert.equal(user.role, 'user');
+        assert.equal(user.memberShip, 'non-member');
+        assert.equal(user.postLimit, 5);
+    });
+
+    it('creates users with server-set role, badges and identity', async () => {
+        const email = 'new@example.com';
+        const created = await server.request('/users', {
+            method: 'POST',
+            cookie: sessionCookie(email),
+            body: { email, username: 'newbie', name: 'New', role: 'admin', badges: ['Gold'], postLimit: 100 },
+        });
+        assert.equal(created.status, 201);
+        const user = await users.findOne({ email });
+        assert.equal(user.role, 'user');
+        assert.deepEqual(user.badges, ['Bronze']);
+        assert.equal(user.postLimit, 5);
+
+        const impersonation = await server.request('/users', {
+            method: 'POST',
+            cookie: sessionCookie(email),
+            body: { email: 'someone-else@example.com' },
+        });
+        assert.equal(impersonation.status, 403);
+    });
+
+    it('checks types, lengths and formats', async () => {
+        const image = await updateProfile({ image: 'javascript:alert(1)' });
+        assert.deepEqual(image.body.errors, [{ field: 'image', message: 'image must be an http(s) URL' }]);
+
+        const name = await updateProfile({ name: 'x'.repeat(101) });
+        assert.deepEqual(name.body.errors, [{ field: 'name', message: 'name must be at most 100 characters' }]);
+
+        const username = await server.request('/users', {
+            method: 'POST',
+            cookie: sessionCookie(EMAIL),
+            body: { email: EMAIL, username: 'has spaces' },
+        });
+        assert.deepEqual(username.body.errors, [{ field: 'username', message: 'username has an invalid format' }]);
+
+        const notAnObject = await updateProfile(['name']);
+        assert.equal(notAnObject.status, 400);
+    });
+
+    it('only lets users update their own profile', async () => {
+        assert.equal((await updateProfile({ name: 'Anon' }, { cookie: null })).status, 401);
+        assert.equal((await updateProfile({ name: 'Hijack' }, { email: 'other@example.com' })).status, 403);
+    });
+});
@@ -0,0 +1,90 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, sessionCookie } = require('./helpers/server');
+
+const ALICE = 'alice@example.com';
+const BOB = 'bob@example.com';
+
+describe('Post votes', () => {
+    let server;
+    let postId;
+
+    before(async () => {
+        server = await startServer();
+    });
+    after(() => server.close());
+    beforeEach(async () => {
+        server.db.clear();
+        const { insertedId } = await server.db.collection('posts').insertOne({
+            title: 'A question', description: 'Body', tag: 'general', authorEmail: 'author@example.com',
+            upVote: 0, downVote: 0, createdAt: new Date(),
+        });
+        postId = insertedId.toString();
+    });
+
+    const vote = (email, type) => server.request(`/post/vote/${postId}`, {
+        method: 'PATCH',
+        cookie: sessionCookie(email),
+        body: { type },
+    });
+    const counters = async () => {
+        const post = await server.db.collection('posts').findOne({});
+        return { upVote: post.upVote, downVote: post.downVote };
+    };
+
+    it('requires a signed-in voter', async () => {
+        const response = await server.request(`/post/vote/${postId}`, { method: 'PATCH', body: { type: 'up' } });
+        assert.equal(response.status, 401);
+        assert.deepEqual(await counters(), { upVote: 0, downVote: 0 });
+    });
+
+    it('counts one vote per user however often they vote', async () => {
+        await vote(ALICE, 'up');
+        const again = await vote(ALICE, 'up');
+        assert.equal(again.status, 200);
+        assert.equal(again.body.upVote, 1);
+        assert.equal(again.body.myVote, 'up');
+
+        await vote(BOB, 'up');
+        assert.deepEqual(await counters(), { upVote: 2, downVote: 0 });
+        assert.equal(await server.db.collection('votes').countDocuments(), 2);
+    });
+
+    it('moves the vote between counters when a user switches', async () => {
+        await vote(ALICE, 'up');
+        const response = await vote(ALICE, 'down');
+        assert.equal(response.body.myVote, 'down');
+        assert.equal(response.body.upVote, 0);
+        assert.equal(response.body.downVote, 1);
+        assert.deepEqual(await counters(), { upVote: 0, downVote: 1 });
+    });
+
+    it('retracts the vote on undo', async () => {
+        await vote(ALICE, 'down');
+        await vote(BOB, 'up');
+        const response = await vote(ALICE, 'none');
+        assert.equal(response.body.myVote, null);
+        assert.deepEqual(await counters(), { upVote: 1, downVote: 0 });
+        assert.equal(await server.db.collection('votes').countDocuments({ userEmail: ALICE }), 0);
+
+        // Undoing again changes nothing
+        await vote(ALICE, 'none');
+        assert.deepEqual(await counters(), { upVote: 1, downVote: 0 });
+    });
+
+    it('rejects unknown vote types', async () => {
+        const response = await vote(ALICE, 'sideways');
+        assert.equal(response.status, 400);
+        assert.deepEqual(await counters(), { upVote: 0, downVote: 0 });
+    });
+
+    it("reports the caller's vote on post reads", async () => {
+        await vote(ALICE, 'up');
+        assert.equal((await server.request(`/post/${postId}`, { cookie: sessionCookie(ALICE) })).body.myVote, 'up');
+        assert.equal((await server.request(`/post/${postId}`, { cookie: sessionCookie(BOB) })).body.myVote, null);
+        assert.equal((await server.request(`/post/${postId}`)).body.myVote, undefined);
+
+        const [listed] = (await server.request('/posts?current=0&limit=5', { cookie: sessionCookie(ALICE) })).body;
+        assert.equal(listed.myVote, 'up');
+    });
+});